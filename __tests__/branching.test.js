@@ -0,0 +1,106 @@
+/**
+ * Branching Combinator Tests
+ * Tests for branch(), switchOn() and firstMatch() and the path recorded in ctx._meta
+ */
+
+import { jest } from '@jest/globals';
+import { chain, branch, switchOn, firstMatch } from '../index.js';
+
+describe('Branching Combinators', () => {
+  const markGuest = (ctx) => ({ ...ctx, flow: 'guest' });
+  const markMember = (ctx) => ({ ...ctx, flow: 'member' });
+  const markAdmin = (ctx) => ({ ...ctx, flow: 'admin' });
+  const isGuest = (ctx) => !ctx.userId;
+
+  describe('branch', () => {
+    test('should run the then chain when the condition passes', async () => {
+      const result = await branch(isGuest, markGuest, markMember)({});
+
+      expect(result.flow).toBe('guest');
+      expect(result._meta.branches).toEqual([
+        { type: 'branch', condition: 'isGuest', taken: 'then' }
+      ]);
+    });
+
+    test('should run the else chain when the condition fails', async () => {
+      const result = await branch(isGuest, markGuest, markMember)({ userId: 1 });
+
+      expect(result.flow).toBe('member');
+      expect(result._meta.branches[0].taken).toBe('else');
+    });
+
+    test('should pass through without an else chain', async () => {
+      const result = await branch(isGuest, markGuest)({ userId: 1 });
+
+      expect(result.flow).toBeUndefined();
+      expect(result.userId).toBe(1);
+    });
+  });
+
+  describe('switchOn', () => {
+    const byRole = (ctx) => ctx.role;
+
+    test('should run the chain for the selected case', async () => {
+      const router = switchOn(byRole, { admin: markAdmin, member: markMember, default: markGuest });
+
+      const result = await router({ role: 'admin' });
+
+      expect(result.flow).toBe('admin');
+      expect(result._meta.branches).toEqual([
+        { type: 'switchOn', selector: 'byRole', value: 'admin', taken: 'admin' }
+      ]);
+    });
+
+    test('should fall back to the default case', async () => {
+      const router = switchOn(byRole, { admin: markAdmin, default: markGuest });
+
+      const result = await router({ role: 'unknown' });
+
+      expect(result.flow).toBe('guest');
+      expect(result._meta.branches[0].taken).toBe('default');
+    });
+
+    test('should pass through when nothing matches and there is no default', async () => {
+      const result = await switchOn(byRole, { admin: markAdmin })({ role: 'member' });
+
+      expect(result.flow).toBeUndefined();
+      expect(result._meta.branches[0].taken).toBeNull();
+    });
+  });
+
+  describe('firstMatch', () => {
+    test('should run the first matching chain only', async () => {
+      const later = jest.fn(() => true);
+      const router = firstMatch([
+        [(ctx) => ctx.role === 'admin', markAdmin],
+        [(ctx) => ctx.role === 'member', markMember],
+        [later, markGuest]
+      ]);
+
+      const result = await router({ role: 'member' });
+
+      expect(result.flow).toBe('member');
+      expect(result._meta.branches[0]).toMatchObject({ type: 'firstMatch', taken: 1 });
+      expect(later).not.toHaveBeenCalled();
+    });
+
+    test('should record null when no predicate matches', async () => {
+      const result = await firstMatch([[() => false, markAdmin]])({});
+
+      expect(result.flow).toBeUndefined();
+      expect(result._meta.branches[0].taken).toBeNull();
+    });
+  });
+
+  test('should record nested decisions in execution order', async () => {
+    const router = chain(
+      branch(isGuest, markGuest, switchOn((ctx) => ctx.role, { admin: markAdmin, default: markMember }))
+    );
+
+    const result = await router({ userId: 7, role: 'admin' });
+
+    expect(result.flow).toBe('admin');
+    expect(result._meta.branches.map(entry => entry.type)).toEqual(['branch', 'switchOn']);
+    expect(result._meta.branches.map(entry => entry.taken)).toEqual(['else', 'admin']);
+  });
+});
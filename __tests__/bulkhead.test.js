@@ -0,0 +1,164 @@
+/**
+ * Bulkhead Tests
+ * Tests for bulkhead() and createBulkhead(): concurrency limits, queueing,
+ * rejections with BulkheadFullError, cancellation and live metrics
+ */
+
+import request from 'supertest';
+import { createModuLink, chain, bulkhead, createBulkhead, BulkheadFullError, CancellationError } from '../index.js';
+
+describe('Bulkhead', () => {
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  test('should cap concurrent executions and start queued ones in arrival order', async () => {
+    let open;
+    const gate = new Promise(resolve => { open = resolve; });
+    let running = 0;
+    let peak = 0;
+    const started = [];
+    const charge = chain(async (ctx) => {
+      running++;
+      peak = Math.max(peak, running);
+      started.push(ctx.id);
+      await gate;
+      running--;
+      return { ...ctx, charged: true };
+    });
+    const limited = bulkhead(charge, { maxConcurrent: 2, maxQueue: 3 });
+
+    const runs = [1, 2, 3, 4, 5].map(id => limited({ id }));
+    await wait(0);
+    const whileBusy = limited.stats();
+    open();
+    const results = await Promise.all(runs);
+
+    expect(whileBusy).toMatchObject({ name: 'bulkhead', maxConcurrent: 2, maxQueue: 3, active: 2, queued: 3, rejected: 0 });
+    expect(started).toEqual([1, 2, 3, 4, 5]);
+    expect(peak).toBe(2);
+    expect(results.map(result => result.charged)).toEqual([true, true, true, true, true]);
+    expect(limited.stats()).toMatchObject({ active: 0, queued: 0, completed: 5 });
+  });
+
+  test('should reject at once without a queue and when the queue is full', async () => {
+    let open;
+    const gate = new Promise(resolve => { open = resolve; });
+    const charge = chain(async (ctx) => {
+      await gate;
+      return { ...ctx, charged: true };
+    });
+    const unqueued = bulkhead(charge, { name: 'refunds', maxConcurrent: 1 });
+    const queued = bulkhead(charge, { name: 'payments', maxConcurrent: 1, maxQueue: 1 });
+
+    const running = [unqueued({ id: 1 }), queued({ id: 1 }), queued({ id: 2 })];
+    const noQueue = await unqueued({ id: 2 });
+    const queueFull = await queued({ id: 3, amount: 40 });
+    open();
+    await Promise.all(running);
+
+    expect(noQueue.error).toMatchObject({ bulkhead: 'refunds', reason: 'queueFull' });
+    expect(queueFull).toMatchObject({ id: 3, amount: 40 });
+    expect(queueFull.error).toBeInstanceOf(BulkheadFullError);
+    expect(queueFull.error).toMatchObject({ code: 'BULKHEAD_FULL', bulkhead: 'payments', reason: 'queueFull', retryable: true });
+    expect(queued.stats()).toMatchObject({ completed: 2, rejected: 1, rejections: { queueFull: 1, queueTimeout: 0 } });
+  });
+
+  test('should drop executions waiting longer than queueTimeoutMs from the queue', async () => {
+    let open;
+    const gate = new Promise(resolve => { open = resolve; });
+    const ran = [];
+    const report = chain(async (ctx) => {
+      ran.push(ctx.id);
+      if (ctx.id === 1) {
+        await gate;
+      }
+      return ctx;
+    });
+    const limited = bulkhead(report, { maxConcurrent: 1, maxQueue: 5, queueTimeoutMs: 20 });
+
+    const first = limited({ id: 1 });
+    const timedOut = await limited({ id: 2 });
+    const next = limited({ id: 3 });
+    open();
+    await Promise.all([first, next]);
+
+    expect(timedOut.error.reason).toBe('queueTimeout');
+    expect(ran).toEqual([1, 3]);
+    expect(limited.stats()).toMatchObject({ queued: 0, completed: 2, rejections: { queueFull: 0, queueTimeout: 1 } });
+  });
+
+  test('should give up a queued slot when the execution is cancelled', async () => {
+    let open;
+    const gate = new Promise(resolve => { open = resolve; });
+    const ran = [];
+    const exportReport = chain(async (ctx) => {
+      ran.push(ctx.id);
+      await gate;
+      return ctx;
+    });
+    const limited = bulkhead(exportReport, { maxConcurrent: 1, maxQueue: 2 });
+    const disconnect = new AbortController();
+
+    const first = limited({ id: 1 });
+    const waiting = limited({ id: 2, signal: disconnect.signal });
+    disconnect.abort(new Error('client disconnected'));
+    const cancelled = await waiting;
+    const alreadyAborted = await limited({ id: 3, signal: disconnect.signal });
+    const next = limited({ id: 4 });
+    open();
+    await Promise.all([first, next]);
+
+    expect(cancelled.error).toBeInstanceOf(CancellationError);
+    expect(alreadyAborted.error).toBeInstanceOf(CancellationError);
+    expect(ran).toEqual([1, 4]);
+    expect(limited.stats()).toMatchObject({ active: 0, queued: 0, completed: 2, rejected: 0 });
+  });
+
+  test('should release slots when the chain throws and ignore repeated releases', async () => {
+    const limiter = createBulkhead({ name: 'shared', maxConcurrent: 1 });
+
+    const failed = await limiter.run(() => { throw new Error('card declined'); }, { orderId: 7 });
+    const release = await limiter.acquire();
+    release();
+    release();
+    const afterDoubleRelease = limiter.stats();
+    await limiter.acquire();
+
+    expect(failed).toMatchObject({ orderId: 7, error: { message: 'card declined' } });
+    expect(afterDoubleRelease).toMatchObject({ active: 0, completed: 2 });
+    await expect(limiter.acquire()).rejects.toBeInstanceOf(BulkheadFullError);
+    expect(() => createBulkhead({ maxConcurrent: 0 })).toThrow('maxConcurrent must be a positive integer');
+    expect(() => createBulkhead({ maxConcurrent: 1.5 })).toThrow('maxConcurrent must be a positive integer');
+  });
+
+  test('should share one limit between chains given the same limiter', async () => {
+    let open;
+    const gate = new Promise(resolve => { open = resolve; });
+    const limiter = createBulkhead({ name: 'api', maxConcurrent: 1 });
+    const modulink = createModuLink();
+    const payments = bulkhead(chain(async (ctx) => {
+      await gate;
+      return { ...ctx, charged: true };
+    }), limiter);
+    const health = bulkhead(chain((ctx) => ({ ...ctx, ok: true })), limiter);
+    modulink.http.post('/payments', payments);
+    modulink.http.get('/health', health);
+    const server = modulink.http.handle;
+
+    // supertest only sends the request once it is awaited
+    const first = Promise.resolve(request(server).post('/payments').send({}));
+    await wait(20);
+    const rejected = await request(server).get('/health');
+    const direct = await health({});
+    open();
+    const accepted = await first;
+    const afterwards = await request(server).get('/health');
+
+    expect(rejected.status).toBe(503);
+    expect(rejected.body.error.code).toBe('BULKHEAD_FULL');
+    expect(direct.error).toMatchObject({ code: 'BULKHEAD_FULL', bulkhead: 'api' });
+    expect(accepted.body).toEqual({ charged: true });
+    expect(afterwards.body).toEqual({ ok: true });
+    expect(health.stats()).toEqual(limiter.stats());
+    expect(limiter.stats()).toMatchObject({ active: 0, completed: 2, rejected: 2 });
+  });
+});
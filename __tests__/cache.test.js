@@ -0,0 +1,235 @@
+/**
+ * Cache Tests
+ * Tests for cache() and createMemoryCacheStore(): LRU bounds, request
+ * coalescing, error caching, invalidation, stale-while-revalidate and stats
+ */
+
+import { chain, cache, createMemoryCacheStore } from '../index.js';
+
+describe('Cache', () => {
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  test('should cache only the fields the chain added and merge them into each caller', async () => {
+    let loads = 0;
+    const loadProfile = chain(async (ctx) => {
+      loads++;
+      return { ...ctx, profile: { id: ctx.userId, name: 'Ada' } };
+    });
+    const cached = cache(loadProfile, (ctx) => `user:${ctx.userId}`, { ttlMs: 60000 });
+    const signal = new AbortController().signal;
+
+    const miss = await cached({ userId: 1, requestId: 'a', signal });
+    const hit = await cached({ userId: 1, requestId: 'b' });
+
+    expect(miss.cached).toBeUndefined();
+    expect(hit).toEqual({ userId: 1, requestId: 'b', profile: { id: 1, name: 'Ada' }, cached: true });
+    expect(loads).toBe(1);
+    expect(cached.stats()).toEqual({ hits: 1, staleHits: 0, misses: 1, coalesced: 0, revalidations: 0, revalidationErrors: 0, hitRate: 0.5 });
+  });
+
+  test('should bypass the cache when the key function returns null', async () => {
+    let loads = 0;
+    const loadCart = chain((ctx) => ({ ...ctx, items: ++loads }));
+    const cached = cache(loadCart, async (ctx) => (ctx.userId ? `cart:${ctx.userId}` : null));
+
+    await cached({});
+    const anonymous = await cached({});
+    await cached({ userId: 1 });
+    const known = await cached({ userId: 1 });
+
+    expect(anonymous).toMatchObject({ items: 2 });
+    expect(anonymous.cached).toBeUndefined();
+    expect(known).toMatchObject({ userId: 1, items: 3, cached: true });
+    expect(cached.stats()).toMatchObject({ hits: 1, misses: 1 });
+  });
+
+  test('should run the chain once for concurrent misses and keep each caller context', async () => {
+    let loads = 0;
+    const loadRates = chain(async (ctx) => {
+      loads++;
+      await wait(10);
+      return { ...ctx, rates: { EUR: 1.1 } };
+    });
+    const cached = cache(loadRates, () => 'rates');
+
+    const results = await Promise.all(['a', 'b', 'c'].map(requestId => cached({ requestId })));
+
+    expect(loads).toBe(1);
+    expect(results.map(({ requestId, rates }) => ({ requestId, rates }))).toEqual([
+      { requestId: 'a', rates: { EUR: 1.1 } },
+      { requestId: 'b', rates: { EUR: 1.1 } },
+      { requestId: 'c', rates: { EUR: 1.1 } }
+    ]);
+    expect(cached.stats()).toMatchObject({ misses: 1, coalesced: 2 });
+  });
+
+  test('should not cache error contexts unless cacheErrors is set', async () => {
+    let loads = 0;
+    const failing = chain(() => {
+      loads++;
+      throw new Error('profile service down');
+    });
+    const skipping = cache(failing, () => 'profile');
+    const caching = cache(failing, () => 'profile', { cacheErrors: true });
+
+    await skipping({});
+    const retried = await skipping({});
+    await caching({});
+    const cachedError = await caching({});
+
+    expect(retried.error.message).toBe('profile service down');
+    expect(retried.cached).toBeUndefined();
+    expect(cachedError).toMatchObject({ cached: true, error: { message: 'profile service down' } });
+    expect(loads).toBe(3);
+  });
+
+  test('should invalidate single keys, clear the store and expire after the TTL', async () => {
+    let loads = 0;
+    const loadStock = chain((ctx) => ({ ...ctx, stock: ++loads }));
+    const cached = cache(loadStock, (ctx) => `sku:${ctx.sku}`, 20);
+
+    await cached({ sku: 'A' });
+    await cached({ sku: 'B' });
+    await cached.invalidate('sku:A');
+    const reloaded = await cached({ sku: 'A' });
+    const stillCached = await cached({ sku: 'B' });
+    await cached.clear();
+    const afterClear = await cached({ sku: 'B' });
+    await wait(30);
+    const expired = await cached({ sku: 'B' });
+
+    expect([reloaded, stillCached, afterClear, expired].map(({ stock, cached }) => [stock, Boolean(cached)])).toEqual([
+      [3, false],
+      [2, true],
+      [4, false],
+      [5, false]
+    ]);
+  });
+
+  test('should not store the result of a load that was invalidated while running', async () => {
+    let price = 10;
+    const loadPrice = chain(async (ctx) => {
+      const current = price;
+      await wait(20);
+      return { ...ctx, price: current };
+    });
+    const cached = cache(loadPrice, (ctx) => `sku:${ctx.sku}`);
+
+    const running = cached({ sku: 'A' });
+    const otherRunning = cached({ sku: 'B' });
+    await wait(5);
+    price = 12;
+    await cached.invalidate('sku:A');
+    const afterInvalidate = await cached({ sku: 'A' });
+    await cached.clear();
+    const [stale, staleOther] = await Promise.all([running, otherRunning]);
+    const reloaded = await cached({ sku: 'B' });
+
+    expect(stale.price).toBe(10);
+    expect(staleOther.price).toBe(10);
+    expect(afterInvalidate).toMatchObject({ price: 12 });
+    expect(afterInvalidate.cached).toBeUndefined();
+    expect(reloaded).toMatchObject({ price: 12 });
+    expect(reloaded.cached).toBeUndefined();
+  });
+
+  test('should serve stale entries while a single background refresh runs', async () => {
+    let loads = 0;
+    const loadPrices = chain(async (ctx) => {
+      loads++;
+      await wait(10);
+      return { ...ctx, version: loads };
+    });
+    const cached = cache(loadPrices, () => 'prices', { ttlMs: 20, staleWhileRevalidateMs: 1000 });
+
+    await cached({});
+    await wait(30);
+    const stale = await Promise.all([cached({}), cached({})]);
+    await wait(20);
+    const refreshed = await cached({});
+
+    expect(stale).toEqual([{ version: 1, cached: true }, { version: 1, cached: true }]);
+    expect(refreshed).toEqual({ version: 2, cached: true });
+    expect(loads).toBe(2);
+    expect(cached.stats()).toMatchObject({ hits: 1, staleHits: 2, revalidations: 1, misses: 1 });
+  });
+
+  test('should keep the stale entry and count the failure when a background refresh fails', async () => {
+    let loads = 0;
+    const loadPrices = chain((ctx) => {
+      if (++loads > 1) {
+        throw new Error('pricing service down');
+      }
+      return { ...ctx, version: loads };
+    });
+    const cached = cache(loadPrices, () => 'prices', { ttlMs: 10, staleWhileRevalidateMs: 1000 });
+
+    await cached({});
+    await wait(20);
+    const stale = await cached({});
+    await wait(10);
+    const stillStale = await cached({});
+    await wait(5);
+
+    expect(stale).toEqual({ version: 1, cached: true });
+    expect(stillStale).toEqual({ version: 1, cached: true });
+    expect(cached.stats()).toMatchObject({ staleHits: 2, revalidations: 2, revalidationErrors: 2 });
+  });
+
+  test('should evict the least recently used entries beyond maxEntries', async () => {
+    const store = createMemoryCacheStore({ maxEntries: 2 });
+    const entry = (value) => ({ value, expiresAt: Infinity, staleUntil: Infinity });
+
+    await store.set('a', entry({ n: 1 }));
+    await store.set('b', entry({ n: 2 }));
+    await store.get('a');
+    await store.set('c', entry({ n: 3 }));
+
+    expect(await store.get('a')).toEqual(entry({ n: 1 }));
+    expect(await store.get('b')).toBeUndefined();
+    expect(store.stats()).toMatchObject({ entries: 2, maxEntries: 2, evictions: 1 });
+    expect(() => createMemoryCacheStore({ maxEntries: 0 })).toThrow('positive maxEntries and maxBytes');
+  });
+
+  test('should bound the store by size and skip values larger than maxBytes', async () => {
+    const store = createMemoryCacheStore({ maxBytes: 100, sizeOf: (value) => value.size });
+    const entry = (size) => ({ value: { size }, expiresAt: Infinity, staleUntil: Infinity });
+
+    await store.set('a', entry(40));
+    await store.set('b', entry(40));
+    await store.set('c', entry(40));
+    await store.set('huge', entry(200));
+
+    expect(await store.get('a')).toBeUndefined();
+    expect(await store.get('huge')).toBeUndefined();
+    expect(store.stats()).toMatchObject({ entries: 2, bytes: 80, evictions: 1 });
+  });
+
+  test('should keep serving requests when the store fails', async () => {
+    let loads = 0;
+    const brokenStore = {
+      get: async () => undefined,
+      set: async () => { throw new Error('redis unavailable'); },
+      delete: async () => {},
+      clear: async () => {}
+    };
+    const unreachableStore = {
+      get: () => { throw new Error('redis connection refused'); },
+      set: async () => {},
+      delete: async () => {},
+      clear: async () => {}
+    };
+    const cached = cache(chain((ctx) => ({ ...ctx, loads: ++loads })), () => 'key', { store: brokenStore });
+    const unreachable = cache(chain((ctx) => ({ ...ctx, loads: ++loads })), () => 'key', { store: unreachableStore });
+
+    const first = await cached({});
+    const second = await cached({});
+    const withoutStore = await unreachable({});
+
+    expect(first.loads).toBe(1);
+    expect(second.loads).toBe(2);
+    expect(second.cached).toBeUndefined();
+    expect(withoutStore.error).toBeUndefined();
+    expect(withoutStore.loads).toBe(3);
+  });
+});
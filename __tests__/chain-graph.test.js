@@ -0,0 +1,106 @@
+/**
+ * Chain Graph Introspection Tests
+ * Tests for chain._describe(), describeChain() and the Mermaid/DOT exporters
+ */
+
+import {
+  chain,
+  step,
+  when,
+  validate,
+  retry,
+  parallel,
+  race,
+  branch,
+  describeChain,
+  toMermaid,
+  toDot
+} from '../index.js';
+
+describe('Chain Graph Introspection', () => {
+  function validateUser(ctx) { return ctx; }
+  function saveUser(ctx) { return ctx; }
+  function deleteUser(ctx) { return ctx; }
+  function sendWelcome(ctx) { return ctx; }
+  function auditLog(ctx) { return ctx; }
+  function requestLogger(ctx) { return ctx; }
+  function isNewsletter(ctx) { return Boolean(ctx.newsletter); }
+
+  test('should describe links in order with middleware positions', () => {
+    const signup = chain(validateUser, saveUser)
+      .use.onInput(requestLogger)
+      .use(auditLog);
+
+    expect(signup._describe()).toEqual({
+      type: 'chain',
+      links: [
+        { type: 'link', name: 'validateUser' },
+        { type: 'link', name: 'saveUser' }
+      ],
+      middleware: {
+        input: [{ type: 'link', name: 'requestLogger' }],
+        output: [],
+        global: [{ type: 'link', name: 'auditLog' }]
+      },
+      timeouts: { linkTimeout: null, chainTimeout: null }
+    });
+  });
+
+  test('should describe nested chains inside wrapper utilities', () => {
+    const signup = chain(
+      validate(validateUser, chain(saveUser)),
+      when(isNewsletter, chain(sendWelcome)),
+      retry(chain(saveUser), 2, 10),
+      parallel(sendWelcome, auditLog),
+      race(saveUser, deleteUser)
+    );
+
+    const description = describeChain(signup);
+    const [validated, conditional, retrying, fanOut, racing] = description.links;
+
+    expect(validated).toMatchObject({ type: 'validate', label: 'validateUser' });
+    expect(validated.children[0].node.links[0].name).toBe('saveUser');
+    expect(conditional).toMatchObject({ type: 'when', label: 'isNewsletter', passThrough: true });
+    expect(conditional.children[0]).toMatchObject({ label: 'true', node: { type: 'chain' } });
+    expect(retrying).toMatchObject({ type: 'retry', label: '2x' });
+    expect(fanOut.children.map(child => child.node.name)).toEqual(['sendWelcome', 'auditLog']);
+    expect(racing.type).toBe('race');
+  });
+
+  test('should describe compensating steps', () => {
+    const description = describeChain(chain(step(saveUser, deleteUser)));
+
+    expect(description.links[0]).toEqual({ type: 'step', name: 'saveUser', compensate: 'deleteUser' });
+  });
+
+  test('should render Mermaid flowcharts', () => {
+    const signup = chain(validateUser, branch(isNewsletter, sendWelcome), saveUser)
+      .use.onOutput(auditLog);
+
+    const mermaid = toMermaid(signup, { direction: 'LR' });
+
+    expect(mermaid.split('\n')[0]).toBe('flowchart LR');
+    expect(mermaid).toContain('subgraph c0 ["chain"]');
+    expect(mermaid).toContain('>"onOutput: auditLog"]');
+    expect(mermaid).toContain('["validateUser"]');
+    expect(mermaid).toContain('{"branch: isNewsletter"}');
+    expect(mermaid).toMatch(/n\d+ -->\|"then"\| n\d+/);
+  });
+
+  test('should render Graphviz DOT digraphs', () => {
+    const dot = toDot(chain(validateUser, when(isNewsletter, sendWelcome)), { name: 'signup' });
+
+    expect(dot.startsWith('digraph "signup" {')).toBe(true);
+    expect(dot).toContain('subgraph cluster_c0 {');
+    expect(dot).toContain('[label="validateUser", shape=box]');
+    expect(dot).toContain('[label="when: isNewsletter", shape=diamond]');
+    expect(dot).toMatch(/n\d+ -> n\d+ \[label="true"\];/);
+    expect(dot.trim().endsWith('}')).toBe(true);
+  });
+
+  test('should render a description object as well as a chain', () => {
+    const description = describeChain(chain(validateUser));
+
+    expect(toMermaid(description)).toBe(toMermaid(chain(validateUser)));
+  });
+});
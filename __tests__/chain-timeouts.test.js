@@ -0,0 +1,131 @@
+/**
+ * Chain Timeout and Cancellation Tests
+ * Tests for per-link/whole-chain deadlines and the AbortSignal on ctx.signal
+ */
+
+import { jest } from '@jest/globals';
+import { chain, errorHandler, TimeoutError, isTimeoutError } from '../index.js';
+
+describe('Chain Timeouts and Cancellation', () => {
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  const fastLink = (ctx) => ({ ...ctx, fast: true });
+
+  const hangingLink = async function hangingLink(ctx) {
+    await sleep(200);
+    return { ...ctx, hung: true };
+  };
+
+  test('should pass an AbortSignal to links of executions that can be cancelled', async () => {
+    const seen = [];
+    const inspect = (ctx) => {
+      seen.push(ctx.signal);
+      return ctx;
+    };
+    const callerSignal = new AbortController().signal;
+
+    const withDeadline = await chain(inspect, { chainTimeout: 1000 })({ test: true });
+    const withCaller = await chain(inspect)({ signal: callerSignal });
+    const uncancellable = await chain(inspect)({ test: true });
+
+    expect(seen[0]).toBeInstanceOf(AbortSignal);
+    expect(seen[0].aborted).toBe(false);
+    expect(seen[1]).toBeInstanceOf(AbortSignal);
+    expect(seen[1]).not.toBe(callerSignal);
+    expect(seen[2]).toBeUndefined();
+    expect(withDeadline.signal).toBeUndefined();
+    expect(withCaller.signal).toBe(callerSignal);
+    expect('signal' in uncancellable).toBe(false);
+  });
+
+  test('should give every execution its own signal and reject instead of throwing', async () => {
+    const signals = [];
+    const keepSignal = (ctx) => {
+      signals.push(ctx.signal);
+      return ctx;
+    };
+    const bounded = chain(keepSignal, { linkTimeout: 1000 });
+
+    await bounded({});
+    signals[0].addEventListener('abort', () => {});
+    await bounded({});
+    const missingContext = bounded();
+
+    expect(signals[0]).not.toBe(signals[1]);
+    expect(missingContext).toBeInstanceOf(Promise);
+    await expect(missingContext).rejects.toThrow(TypeError);
+  });
+
+  test('should fail a link that exceeds linkTimeout', async () => {
+    const afterLink = jest.fn((ctx) => ctx);
+    const testChain = chain(fastLink, hangingLink, afterLink, { linkTimeout: 20 });
+
+    const result = await testChain({ test: true });
+
+    expect(result.fast).toBe(true);
+    expect(result.hung).toBeUndefined();
+    expect(result.error).toBeInstanceOf(TimeoutError);
+    expect(result.error.scope).toBe('link');
+    expect(result.error.linkName).toBe('hangingLink');
+    expect(afterLink).not.toHaveBeenCalled();
+  });
+
+  test('should abort the signal when a deadline is hit', async () => {
+    let signal = null;
+    const cooperativeLink = async (ctx) => {
+      signal = ctx.signal;
+      await sleep(100);
+      return ctx;
+    };
+
+    await chain(cooperativeLink).withTimeout(10)({});
+
+    expect(signal.aborted).toBe(true);
+    expect(isTimeoutError(signal.reason)).toBe(true);
+  });
+
+  test('should enforce a whole-chain deadline', async () => {
+    const slowStep = async (ctx) => {
+      await sleep(15);
+      return { ...ctx, steps: (ctx.steps || 0) + 1 };
+    };
+
+    const testChain = chain(slowStep, slowStep, slowStep, slowStep, slowStep)
+      .withTimeout({ chainTimeout: 40 });
+
+    const result = await testChain({});
+
+    expect(result.error).toBeInstanceOf(TimeoutError);
+    expect(result.error.scope).toBe('chain');
+    expect(result.steps).toBeLessThan(5);
+  });
+
+  test('should cancel when the caller signal aborts', async () => {
+    const controller = new AbortController();
+    const testChain = chain(hangingLink);
+
+    setTimeout(() => controller.abort(new Error('client disconnected')), 10);
+    const result = await testChain({ signal: controller.signal });
+
+    expect(result.error.message).toBe('client disconnected');
+    expect(result.signal).toBe(controller.signal);
+  });
+
+  test('should let errorHandler tell timeouts apart', async () => {
+    const onTimeout = (error, ctx) => ({ ...ctx, timedOut: true });
+    const onError = (error, ctx) => ({ ...ctx, failed: true });
+
+    const timeoutChain = chain(hangingLink, { linkTimeout: 10 })
+      .use(errorHandler(onError, { onTimeout }));
+    const failingChain = chain(() => { throw new Error('boom'); })
+      .use(errorHandler(onError, { onTimeout }));
+
+    const timedOut = await timeoutChain({});
+    const failed = await failingChain({});
+
+    expect(timedOut.timedOut).toBe(true);
+    expect(timedOut.failed).toBeUndefined();
+    expect(failed.failed).toBe(true);
+    expect(failed.timedOut).toBeUndefined();
+  });
+});
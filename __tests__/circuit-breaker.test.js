@@ -0,0 +1,145 @@
+/**
+ * Circuit Breaker Tests
+ * Tests for circuitBreaker(): state transitions, short-circuiting with
+ * CircuitOpenError, half-open trials, events and stats
+ */
+
+import { chain, circuitBreaker, CircuitOpenError, CancellationError, ValidationError, describeChain, ErrorHttpStatus } from '../index.js';
+
+describe('Circuit Breaker', () => {
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  test('should open after consecutive failures and short-circuit without running the chain', async () => {
+    let calls = 0;
+    const proxy = chain(async () => {
+      calls++;
+      throw new Error('upstream unavailable');
+    });
+    const guarded = circuitBreaker(proxy, { name: 'upstream', failureThreshold: 3, resetTimeoutMs: 1000 });
+
+    for (let i = 0; i < 3; i++) {
+      expect((await guarded({ requestId: i })).error.message).toBe('upstream unavailable');
+    }
+    const rejected = await guarded({ requestId: 3, path: '/orders' });
+
+    expect(calls).toBe(3);
+    expect(rejected.error).toBeInstanceOf(CircuitOpenError);
+    expect(rejected.error).toMatchObject({ code: 'CIRCUIT_OPEN', circuit: 'upstream', retryable: true });
+    expect(rejected.error.retryAfterMs).toBeGreaterThan(500);
+    expect(rejected.error.retryAfterMs).toBeLessThanOrEqual(1000);
+    expect(rejected).toMatchObject({ requestId: 3, path: '/orders' });
+    expect(ErrorHttpStatus.CIRCUIT_OPEN).toBe(503);
+  });
+
+  test('should count only consecutive failures', async () => {
+    const flaky = chain((ctx) => (ctx.fail ? { ...ctx, error: new Error('timeout') } : { ...ctx, ok: true }));
+    const guarded = circuitBreaker(flaky, { failureThreshold: 2 });
+
+    await guarded({ fail: true });
+    await guarded({ fail: false });
+    await guarded({ fail: true });
+
+    expect(guarded.stats()).toMatchObject({ state: 'closed', consecutiveFailures: 1, calls: 3, successes: 1, failures: 2 });
+    await guarded({ fail: true });
+    expect(guarded.stats().state).toBe('open');
+  });
+
+  test('should admit only halfOpenMax concurrent trials and close once they succeed', async () => {
+    let healthy = false;
+    let running = 0;
+    let maxRunning = 0;
+    const slowUpstream = chain(async (ctx) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await wait(5);
+      running--;
+      if (!healthy) {
+        throw new Error('upstream unavailable');
+      }
+      return { ...ctx, data: 'ok' };
+    });
+    const guarded = circuitBreaker(slowUpstream, { failureThreshold: 1, resetTimeoutMs: 20, halfOpenMax: 2 });
+
+    await guarded({});
+    await wait(30);
+    healthy = true;
+    maxRunning = 0;
+    const trials = await Promise.all([guarded({}), guarded({}), guarded({})]);
+
+    expect(trials.map(result => result.data || result.error.code)).toEqual(['ok', 'ok', 'CIRCUIT_OPEN']);
+    expect(maxRunning).toBe(2);
+    expect(guarded.stats()).toMatchObject({ state: 'closed', consecutiveFailures: 0, openedAt: null, rejected: 1 });
+    expect((await guarded({})).data).toBe('ok');
+  });
+
+  test('should reopen on a failed trial and wait resetTimeoutMs again', async () => {
+    const down = chain(() => { throw new Error('upstream unavailable'); });
+    const guarded = circuitBreaker(down, { failureThreshold: 1, resetTimeoutMs: 40 });
+
+    await guarded({});
+    await wait(50);
+    const trial = await guarded({});
+    const rejected = await guarded({});
+
+    expect(trial.error.message).toBe('upstream unavailable');
+    expect(rejected.error).toBeInstanceOf(CircuitOpenError);
+    expect(rejected.error.retryAfterMs).toBeGreaterThan(20);
+    expect(guarded.stats()).toMatchObject({ state: 'open', calls: 2, failures: 2, rejected: 1 });
+  });
+
+  test('should emit state changes and stop notifying removed listeners', async () => {
+    let healthy = false;
+    const payments = chain((ctx) => (healthy ? { ...ctx, charged: true } : { ...ctx, error: new Error('gateway down') }));
+    const changes = [];
+    const named = [];
+    const onOpen = ({ name, stats }) => named.push(`open:${name}:${stats.failures}`);
+    const guarded = circuitBreaker(payments, {
+      name: 'payments',
+      failureThreshold: 1,
+      resetTimeoutMs: 20,
+      onStateChange: ({ from, to }) => changes.push(`${from}->${to}`)
+    })
+      .on('open', onOpen)
+      .on('halfOpen', () => named.push('halfOpen'))
+      .on('close', () => named.push('close'));
+
+    await guarded({});
+    await wait(30);
+    healthy = true;
+    await guarded({});
+    guarded.off('open', onOpen);
+    healthy = false;
+    await guarded({});
+    guarded.reset();
+    guarded.reset();
+
+    expect(changes).toEqual(['closed->open', 'open->half-open', 'half-open->closed', 'closed->open', 'open->closed']);
+    expect(named).toEqual(['open:payments:1', 'halfOpen', 'close', 'close']);
+    expect(guarded.stats()).toMatchObject({ name: 'payments', state: 'closed', retryAfterMs: 0 });
+    expect(typeof guarded.stats().lastFailureAt).toBe('string');
+  });
+
+  test('should ignore validation errors and cancellations unless isFailure says otherwise', async () => {
+    const rejectInput = chain(() => { throw new ValidationError('email is required'); });
+    const cancelled = chain(() => { throw new CancellationError('client went away'); });
+    const lookup = chain((ctx) => ({ ...ctx, error: ctx.failWith }));
+    const validation = circuitBreaker(rejectInput, { failureThreshold: 1 });
+    const cancellation = circuitBreaker(cancelled, { failureThreshold: 1 });
+    const custom = circuitBreaker(lookup, {
+      failureThreshold: 1,
+      isFailure: (result) => Boolean(result.error) && result.error.code !== 'NOT_FOUND'
+    });
+
+    await validation({});
+    await cancellation({});
+    await custom({ failWith: Object.assign(new Error('no such account'), { code: 'NOT_FOUND' }) });
+    const beforeOpen = custom.stats().state;
+    await custom({ failWith: Object.assign(new Error('bad gateway'), { code: 'BAD_GATEWAY' }) });
+
+    expect(validation.stats()).toMatchObject({ state: 'closed', successes: 1, failures: 0 });
+    expect(cancellation.stats()).toMatchObject({ state: 'closed', successes: 1, failures: 0 });
+    expect(beforeOpen).toBe('closed');
+    expect(custom.stats().state).toBe('open');
+    expect(describeChain(chain(custom)).links[0].type).toBe('circuitBreaker');
+  });
+});
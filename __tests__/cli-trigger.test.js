@@ -0,0 +1,153 @@
+/**
+ * CLI Trigger Tests
+ * Tests for modulink.command / runCli: contexts, summaries, --json output
+ * exit codes and interruption through the instance lifecycle
+ */
+
+import { jest } from '@jest/globals';
+import { createModuLink, chain, ValidationError } from '../index.js';
+
+describe('CLI Trigger', () => {
+  const capture = () => {
+    const output = { text: '', write(chunk) { output.text += chunk; } };
+    return output;
+  };
+
+  const runCli = (modulink, argv) => {
+    const stdout = capture();
+    const stderr = capture();
+    return modulink
+      .runCli(argv, { from: 'user', stdout, stderr, exit: false })
+      .then(outcome => ({ ...outcome, stdout: stdout.text, stderr: stderr.text }));
+  };
+
+  const importFile = (ctx) => ctx.params.file.endsWith('.csv')
+    ? { ...ctx, imported: 3, dryRun: Boolean(ctx.options.dryRun) }
+    : { ...ctx, error: new ValidationError(`Unsupported file ${ctx.params.file}`) };
+
+  test('should build contexts with createCliContext', async () => {
+    const seen = [];
+    const modulink = createModuLink();
+    modulink.use((ctx) => ({ ...ctx, operator: 'cli' }));
+    modulink.command('copy <source> [targets...]', chain((ctx) => {
+      seen.push(ctx);
+      return ctx;
+    }), { options: ['-f, --force'] });
+
+    await runCli(modulink, ['copy', 'a.txt', 'b.txt', 'c.txt', '--force']);
+
+    expect(seen[0]).toMatchObject({
+      trigger: 'cli',
+      command: 'copy',
+      args: ['a.txt', 'b.txt', 'c.txt'],
+      params: { source: 'a.txt', targets: ['b.txt', 'c.txt'] },
+      options: { force: true },
+      operator: 'cli'
+    });
+  });
+
+  test('should print a result summary and exit with 0', async () => {
+    const modulink = createModuLink();
+    modulink.command('import <file>', chain(importFile), {
+      options: [{ flags: '--dry-run', description: 'Validate only' }]
+    });
+
+    const outcome = await runCli(modulink, ['import', 'users.csv', '--dry-run']);
+
+    expect(outcome.exitCode).toBe(0);
+    expect(outcome.result.imported).toBe(3);
+    expect(outcome.stdout).toMatch(/^✔ import completed in \d+ms\n {2}imported: 3\n {2}dryRun: true\n$/);
+  });
+
+  test('should map ctx.error to a non-zero exit code', async () => {
+    const modulink = createModuLink();
+    modulink
+      .command('import <file>', chain(importFile))
+      .command('sync', chain(() => { throw new Error('remote unavailable'); }), {
+        exitCodes: { UNEXPECTED_ERROR: 75 }
+      });
+
+    const invalid = await runCli(modulink, ['import', 'users.xml']);
+    const crashed = await runCli(modulink, ['sync']);
+
+    expect(invalid.exitCode).toBe(2);
+    expect(invalid.stderr).toBe('✖ import failed: [VALIDATION_FAILED] Unsupported file users.xml\n');
+    expect(crashed.exitCode).toBe(75);
+  });
+
+  test('should print JSON with --json', async () => {
+    const modulink = createModuLink();
+    modulink.command('import <file>', chain(importFile), { respond: ['imported'] });
+
+    const success = await runCli(modulink, ['import', 'users.csv', '--json']);
+    const failure = await runCli(modulink, ['import', 'users.xml', '--json']);
+
+    expect(JSON.parse(success.stdout)).toMatchObject({ ok: true, command: 'import', result: { imported: 3 } });
+    expect(JSON.parse(failure.stdout)).toMatchObject({
+      ok: false,
+      error: { code: 'VALIDATION_FAILED', link: { name: 'importFile', index: 0 } }
+    });
+  });
+
+  test('should use custom summaries and report usage errors', async () => {
+    const modulink = createModuLink();
+    modulink.command('import <file>', chain(importFile), {
+      summary: (ctx) => `Imported ${ctx.imported} rows`
+    });
+
+    const summarized = await runCli(modulink, ['import', 'users.csv']);
+    const missingArg = await runCli(modulink, ['import']);
+
+    expect(summarized.stdout).toBe('Imported 3 rows\n');
+    expect(missingArg.exitCode).toBe(1);
+    expect(missingArg.stderr).toContain("missing required argument 'file'");
+  });
+
+  test('should leave signals to the lifecycle and fail interrupted commands', async () => {
+    const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+    const exitCode = process.exitCode;
+    try {
+      const modulink = createModuLink();
+      let started;
+      const running = new Promise(resolve => { started = resolve; });
+      modulink.command('sync', chain(async (ctx) => {
+        started();
+        await new Promise(resolve => ctx.signal.addEventListener('abort', resolve));
+        return { ...ctx, error: ctx.signal.reason };
+      }));
+      await modulink.start({ signals: ['SIGUSR2'], stopTimeoutMs: 0 });
+      const sigintListeners = process.listenerCount('SIGINT');
+
+      const outcome = runCli(modulink, ['sync']);
+      await running;
+      expect(process.listenerCount('SIGINT')).toBe(sigintListeners);
+      process.emit('SIGUSR2');
+      const { exitCode: commandExit, stderr } = await outcome;
+      await modulink.stop();
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(kill).toHaveBeenCalledWith(process.pid, 'SIGUSR2');
+      expect(modulink.state).toBe('stopped');
+      expect(commandExit).toBe(1);
+      expect(stderr).toContain('[CANCELLED]');
+    } finally {
+      kill.mockRestore();
+      process.exitCode = exitCode;
+    }
+  });
+
+  test('should set process.exitCode by default', async () => {
+    const modulink = createModuLink();
+    modulink.command('import <file>', chain(importFile));
+    const previous = process.exitCode;
+
+    try {
+      await modulink.runCli(['import', 'users.xml'], {
+        from: 'user', stdout: capture(), stderr: capture()
+      });
+      expect(process.exitCode).toBe(2);
+    } finally {
+      process.exitCode = previous;
+    }
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Combinator Tests
+ * Tests for race(), any(), allSettled() and quorum(): first-result and
+ * first-success semantics, per-branch outcomes, agreement and cancellation
+ * of losing branches
+ */
+
+import { chain, race, any, allSettled, quorum, ParallelError, QuorumError, CancellationError } from '../index.js';
+
+describe('Combinators', () => {
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  test('should resolve race with the first chain, even a failing one, and cancel the losers', async () => {
+    let slowCancelled = null;
+    let slowFinished = false;
+    const failFast = async (ctx) => {
+      await wait(5);
+      return { ...ctx, error: new Error('primary timed out') };
+    };
+    const slow = async (ctx) => {
+      ctx.signal.addEventListener('abort', () => { slowCancelled = ctx.signal.reason; });
+      await wait(40);
+      slowFinished = !ctx.signal.aborted;
+      return { ...ctx, servedBy: 'slow' };
+    };
+    const callerSignal = new AbortController().signal;
+
+    const result = await race(failFast, slow)({ requestId: 'r1', signal: callerSignal });
+    await wait(50);
+
+    expect(result.error.message).toBe('primary timed out');
+    expect(result.signal).toBe(callerSignal);
+    expect(slowCancelled).toBeInstanceOf(CancellationError);
+    expect(slowFinished).toBe(false);
+  });
+
+  test('should resolve race with the first chain even when its result is falsy', async () => {
+    let slowCancelled = null;
+    const empty = async () => {
+      await wait(5);
+      return null;
+    };
+    const slow = async (ctx) => {
+      ctx.signal.addEventListener('abort', () => { slowCancelled = ctx.signal.reason; });
+      await wait(40);
+      return { ...ctx, servedBy: 'slow' };
+    };
+
+    const result = await race(empty, slow)({ requestId: 'r1' });
+
+    expect(result).toBeNull();
+    expect(slowCancelled).toBeInstanceOf(CancellationError);
+  });
+
+  test('should forward a caller abort to every raced branch', async () => {
+    const reasons = [];
+    const replica = async (ctx) => {
+      await new Promise(resolve => ctx.signal.addEventListener('abort', resolve));
+      reasons.push(ctx.signal.reason.message);
+      return { ...ctx, error: ctx.signal.reason };
+    };
+    const controller = new AbortController();
+
+    const racing = race(replica, replica)({ signal: controller.signal });
+    controller.abort(new Error('client disconnected'));
+    const result = await racing;
+
+    expect(reasons).toEqual(['client disconnected', 'client disconnected']);
+    expect(result.error.message).toBe('client disconnected');
+  });
+
+  test('should resolve any with the first success and skip thrown and returned errors', async () => {
+    let lateCancelled = null;
+    const primary = async () => { throw new Error('primary down'); };
+    const stale = async (ctx) => ({ ...ctx, error: new Error('replica lagging') });
+    const replica = async (ctx) => {
+      await wait(10);
+      return { ...ctx, price: 42, servedBy: 'replica' };
+    };
+    const late = async (ctx) => {
+      ctx.signal.addEventListener('abort', () => { lateCancelled = ctx.signal.reason; });
+      await wait(40);
+      return { ...ctx, price: 41, servedBy: 'late' };
+    };
+
+    const result = await any(primary, stale, replica, late)({ sku: 'A1' });
+
+    expect(result).toEqual({ sku: 'A1', price: 42, servedBy: 'replica' });
+    expect(lateCancelled).toBeInstanceOf(CancellationError);
+  });
+
+  test('should list every failure of named branches when any finds no success', async () => {
+    const primary = async () => {
+      await wait(10);
+      throw new Error('primary down');
+    };
+    const secondary = async (ctx) => ({ ...ctx, error: new Error('secondary down') });
+
+    const result = await any({ primary, secondary })({ sku: 'A1' });
+
+    expect(result.sku).toBe('A1');
+    expect(result.error).toBeInstanceOf(ParallelError);
+    expect(result.error.message).toBe('All 2 branches failed: primary down; secondary down');
+    expect(result.error.failures.map(failure => [failure.branch, failure.error.message])).toEqual([
+      ['primary', 'primary down'],
+      ['secondary', 'secondary down']
+    ]);
+  });
+
+  test('should collect every outcome with allSettled in branch order', async () => {
+    const sendEmail = async (ctx) => {
+      await wait(10);
+      return { ...ctx, emailId: 'e1' };
+    };
+    const sendSms = async () => { throw new Error('sms gateway down'); };
+    const sendPush = async (ctx) => ({ ...ctx, error: new Error('no device token') });
+
+    const named = await allSettled({ email: sendEmail, sms: sendSms }, { collectInto: 'notifications' })({ userId: 1 });
+    const positional = await allSettled(sendPush, sendEmail)({ userId: 2 });
+
+    expect(named.error).toBeUndefined();
+    expect(named.notifications).toEqual([
+      { branch: 'email', status: 'fulfilled', result: { userId: 1, emailId: 'e1' } },
+      { branch: 'sms', status: 'rejected', error: expect.objectContaining({ message: 'sms gateway down' }) }
+    ]);
+    expect(positional.error).toBeUndefined();
+    expect(positional.settled.map(outcome => [outcome.branch, outcome.status])).toEqual([[0, 'rejected'], [1, 'fulfilled']]);
+  });
+
+  test('should resolve quorum once n replicas agree, ignoring internal fields', async () => {
+    let laggingCancelled = null;
+    const replica = (balance, delayMs) => async (ctx) => {
+      await wait(delayMs);
+      return { ...ctx, balance, _meta: { servedAfterMs: delayMs } };
+    };
+    const lagging = async (ctx) => {
+      ctx.signal.addEventListener('abort', () => { laggingCancelled = ctx.signal.reason; });
+      await wait(60);
+      return { ...ctx, balance: 100 };
+    };
+
+    const byDefault = await quorum(2, [replica(100, 5), replica(90, 10), replica(100, 15), lagging])({ accountId: 'acc-1' });
+    const custom = await quorum(2, [
+      async (ctx) => ({ ...ctx, balance: 100, readAt: 1 }),
+      async (ctx) => ({ ...ctx, balance: 100, readAt: 2 })
+    ], { agreeOn: (result) => result.balance })({});
+
+    expect(byDefault).toMatchObject({ accountId: 'acc-1', balance: 100 });
+    expect(byDefault._meta).toEqual({ servedAfterMs: 5, quorum: { required: 2, total: 4, agreeing: [0, 2] } });
+    expect(laggingCancelled).toBeInstanceOf(CancellationError);
+    expect(custom._meta.quorum.agreeing).toEqual([0, 1]);
+    expect(() => quorum(3, replica(1, 0), replica(1, 0))).toThrow('quorum requires n between 1 and the number of chains');
+    expect(() => quorum(0, replica(1, 0))).toThrow('quorum requires n between 1 and the number of chains');
+  });
+
+  test('should fail quorum as soon as agreement is impossible', async () => {
+    const a = async (ctx) => ({ ...ctx, balance: 100 });
+    const b = async () => {
+      await wait(5);
+      throw new Error('replica b down');
+    };
+    const c = async (ctx) => {
+      await wait(10);
+      return { ...ctx, balance: 90 };
+    };
+    const slow = chain(async (ctx) => {
+      await wait(100);
+      return { ...ctx, balance: 100 };
+    });
+
+    const startedAt = Date.now();
+    const result = await quorum(3, a, b, c, slow)({});
+
+    expect(Date.now() - startedAt).toBeLessThan(100);
+    expect(result.error).toBeInstanceOf(QuorumError);
+    expect(result.error).toMatchObject({ code: 'QUORUM_NOT_REACHED', required: 3, agreeing: 1, retryable: true });
+    expect(result.error.failures.map(failure => failure.branch)).toEqual([1]);
+  });
+});
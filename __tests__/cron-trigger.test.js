@@ -0,0 +1,117 @@
+/**
+ * Cron Trigger Tests
+ * Tests for modulink.cron scheduling, overlap policies, run history and job control
+ */
+
+import { createModuLink, chain } from '../index.js';
+
+describe('Cron Trigger', () => {
+  const NEVER = '0 0 1 1 *';
+  let modulink;
+
+  beforeEach(() => {
+    modulink = createModuLink();
+  });
+
+  afterEach(() => {
+    for (const job of modulink.listJobs()) {
+      modulink.pauseJob(job.name);
+    }
+  });
+
+  const deferred = () => {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+  };
+
+  test('should build contexts with createCronContext and record history', async () => {
+    const seen = [];
+    modulink.use((ctx) => ({ ...ctx, tenant: 'acme' }));
+    const cleanup = chain((ctx) => {
+      seen.push(ctx);
+      return { ...ctx, deleted: 3 };
+    });
+    modulink.cron(NEVER, cleanup, { name: 'cleanup' });
+
+    const entry = await modulink.runNow('cleanup');
+
+    expect(seen[0]).toMatchObject({ trigger: 'cron', expression: NEVER, jobName: 'cleanup', tenant: 'acme' });
+    expect(entry).toMatchObject({ runId: 1, source: 'manual', outcome: 'success', error: null });
+    expect(typeof entry.durationMs).toBe('number');
+    expect(modulink.listJobs()[0].lastRun).toEqual(entry);
+  });
+
+  test('should record failed runs with their error', async () => {
+    const failing = chain(() => { throw new Error('disk full'); });
+    modulink.cron(NEVER, failing, { name: 'backup' });
+
+    const entry = await modulink.runNow('backup');
+
+    expect(entry.outcome).toBe('error');
+    expect(entry.error.message).toBe('disk full');
+  });
+
+  test('should skip overlapping runs by default', async () => {
+    const gate = deferred();
+    let runs = 0;
+    const slow = chain(async (ctx) => {
+      runs++;
+      await gate.promise;
+      return ctx;
+    });
+    modulink.cron(NEVER, slow, { name: 'slow' });
+
+    const first = modulink.runNow('slow');
+    const second = await modulink.runNow('slow');
+    gate.resolve();
+    await first;
+
+    expect(second.outcome).toBe('skipped');
+    expect(runs).toBe(1);
+    expect(modulink.listJobs()[0].history.map(run => run.outcome)).toEqual(['skipped', 'success']);
+  });
+
+  test('should queue or allow overlapping runs when configured', async () => {
+    const gate = deferred();
+    const order = [];
+    const job = (label) => chain(async (ctx) => {
+      order.push(`${label}:start`);
+      await gate.promise;
+      order.push(`${label}:end`);
+      return ctx;
+    });
+    modulink
+      .cron(NEVER, job('queued'), { name: 'queued', overlap: 'queue' })
+      .cron(NEVER, job('allowed'), { name: 'allowed', overlap: 'allow' });
+
+    const queuedRuns = [modulink.runNow('queued'), modulink.runNow('queued')];
+    const allowedRuns = [modulink.runNow('allowed'), modulink.runNow('allowed')];
+    await Promise.resolve();
+    const queuedJob = modulink.listJobs().find(j => j.name === 'queued');
+    gate.resolve();
+    await Promise.all([...queuedRuns, ...allowedRuns]);
+
+    expect(queuedJob.queued).toBe(1);
+    expect(order.filter(step => step.startsWith('queued'))).toEqual([
+      'queued:start', 'queued:end', 'queued:start', 'queued:end'
+    ]);
+    expect(order.filter(step => step.startsWith('allowed')).slice(0, 2)).toEqual(['allowed:start', 'allowed:start']);
+  });
+
+  test('should pause and resume jobs', () => {
+    modulink.cron(NEVER, chain((ctx) => ctx), { name: 'report', timezone: 'Europe/Berlin' });
+
+    modulink.pauseJob('report');
+    expect(modulink.listJobs()[0]).toMatchObject({ name: 'report', paused: true, timezone: 'Europe/Berlin' });
+
+    modulink.resumeJob('report');
+    expect(modulink.listJobs()[0].paused).toBe(false);
+  });
+
+  test('should reject invalid jobs', async () => {
+    expect(() => modulink.cron('not a cron', chain((ctx) => ctx))).toThrow('Invalid cron expression');
+    expect(() => modulink.cron(NEVER, chain((ctx) => ctx), { overlap: 'sometimes' })).toThrow('overlap');
+    await expect(modulink.runNow('missing')).rejects.toThrow('Unknown cron job "missing"');
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Debounce and Throttle Tests
+ * Tests for keyed debounce() and throttle(): leading/trailing execution,
+ * maxWaitMs, the shared default key and the outcome of superseded callers
+ */
+
+import { chain, debounce, throttle } from '../index.js';
+
+describe('Debounce and Throttle', () => {
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  test('should resolve every debounced caller with the final result', async () => {
+    const saved = [];
+    const saveDraft = chain(async (ctx) => {
+      saved.push(ctx.draft);
+      return { ...ctx, savedDraft: ctx.draft };
+    });
+    const autosave = debounce(saveDraft, 20);
+
+    const results = await Promise.all(['a', 'ab', 'abc'].map(draft => autosave({ draft })));
+
+    expect(saved).toEqual(['abc']);
+    expect(results.map(result => result.savedDraft)).toEqual(['abc', 'abc', 'abc']);
+  });
+
+  test('should share one burst between all callers unless a key is given', async () => {
+    const saved = [];
+    const saveDraft = chain((ctx) => {
+      saved.push(`${ctx.userId}:${ctx.draft}`);
+      return { ...ctx, savedBy: ctx.userId };
+    });
+    const shared = debounce(saveDraft, 20);
+    const perUser = debounce(saveDraft, 20, { key: (ctx) => ctx.userId });
+
+    const sharedResults = await Promise.all([shared({ userId: 1, draft: 'x' }), shared({ userId: 2, draft: 'y' })]);
+    const perUserResults = await Promise.all([perUser({ userId: 1, draft: 'x' }), perUser({ userId: 2, draft: 'y' })]);
+
+    expect(sharedResults.map(result => result.savedBy)).toEqual([2, 2]);
+    expect(perUserResults.map(result => result.savedBy)).toEqual([1, 2]);
+    expect(saved).toEqual(['2:y', '1:x', '2:y']);
+  });
+
+  test('should resolve superseded callers right away with superseded: skip', async () => {
+    let runs = 0;
+    const saveDraft = chain((ctx) => ({ ...ctx, run: ++runs }));
+    const autosave = debounce(saveDraft, 50, { superseded: 'skip' });
+
+    const first = autosave({ draft: 'a' });
+    const second = autosave({ draft: 'ab' });
+    const skipped = await Promise.race([first, wait(25).then(() => 'still pending')]);
+    const saved = await second;
+
+    expect(skipped).toEqual({ draft: 'a', superseded: true });
+    expect(saved).toMatchObject({ draft: 'ab', run: 1 });
+    expect(() => debounce(saveDraft, 10, { superseded: 'drop' })).toThrow('superseded must be one of');
+  });
+
+  test('should run leading calls immediately and flush long bursts after maxWaitMs', async () => {
+    const saved = [];
+    const saveDraft = chain((ctx) => {
+      saved.push(ctx.draft);
+      return { ...ctx, savedDraft: ctx.draft };
+    });
+    const autosave = debounce(saveDraft, 30, { leading: true, maxWaitMs: 50 });
+
+    const leadingResult = await autosave({ draft: 'v1' });
+    const pending = [];
+    for (let i = 2; i <= 8; i++) {
+      pending.push(autosave({ draft: `v${i}` }));
+      await wait(15);
+    }
+    const results = await Promise.all(pending);
+
+    expect(leadingResult.savedDraft).toBe('v1');
+    expect(saved[0]).toBe('v1');
+    // Calls never paused for 30ms, so only maxWaitMs can have flushed mid-burst
+    expect(saved.length).toBeGreaterThanOrEqual(3);
+    expect(saved[saved.length - 1]).toBe('v8');
+    expect(results[results.length - 1].savedDraft).toBe('v8');
+  });
+
+  test('should answer later calls of a leading-only burst with the leading result', async () => {
+    let runs = 0;
+    const refresh = chain((ctx) => ({ ...ctx, run: ++runs }));
+    const sharing = debounce(refresh, 20, { leading: true, trailing: false });
+    const skipping = debounce(refresh, 20, { leading: true, trailing: false, superseded: 'skip' });
+
+    const [first, second] = await Promise.all([sharing({ call: 1 }), sharing({ call: 2 })]);
+    await skipping({ call: 3 });
+    const skipped = await skipping({ call: 4 });
+
+    expect(first.run).toBe(1);
+    expect(second).toEqual(first);
+    expect(skipped).toEqual({ call: 4, superseded: true });
+    expect(runs).toBe(2);
+    expect(() => debounce(refresh, 10, { leading: false, trailing: false })).toThrow('leading or trailing');
+  });
+
+  test('should throttle per key, share the in-flight result and bypass null keys', async () => {
+    const synced = [];
+    const sync = chain(async (ctx) => {
+      synced.push(`${ctx.repo}:${ctx.push}`);
+      await wait(5);
+      return { ...ctx, syncedPush: ctx.push };
+    });
+    const throttled = throttle(sync, 50, { key: (ctx) => ctx.repo });
+
+    const [first, shared, otherRepo] = await Promise.all([
+      throttled({ repo: 'api', push: 1 }),
+      throttled({ repo: 'api', push: 2 }),
+      throttled({ repo: 'web', push: 3 })
+    ]);
+    const unkeyed = await Promise.all([throttled({ push: 4 }), throttled({ push: 5 })]);
+    await wait(60);
+    const afterInterval = await throttled({ repo: 'api', push: 6 });
+
+    expect([first, shared, otherRepo].map(result => result.syncedPush)).toEqual([1, 1, 3]);
+    expect(unkeyed.map(result => result.syncedPush)).toEqual([4, 5]);
+    expect(afterInterval.syncedPush).toBe(6);
+    expect(synced).toEqual(['api:1', 'web:3', 'undefined:4', 'undefined:5', 'api:6']);
+  });
+
+  test('should throttle callers without a key together', async () => {
+    const sync = chain((ctx) => ({ ...ctx, syncedRepo: ctx.repo }));
+    const throttled = throttle(sync, 50);
+
+    const first = await throttled({ repo: 'api' });
+    const other = await throttled({ repo: 'web' });
+
+    // The second caller is inside the shared interval and gets the first caller's result
+    expect(first.syncedRepo).toBe('api');
+    expect(other).toEqual(first);
+  });
+
+  test('should run one trailing throttled call with the latest context', async () => {
+    const synced = [];
+    const sync = chain((ctx) => {
+      synced.push(ctx.push);
+      if (ctx.push === 'push-3') {
+        throw new Error('sync failed');
+      }
+      return { ...ctx, syncedPush: ctx.push };
+    });
+    const webhook = throttle(sync, 30, { key: (ctx) => ctx.repo, trailing: true });
+
+    const leadingResult = await webhook({ repo: 'api', push: 'push-1' });
+    const trailing = await Promise.all([
+      webhook({ repo: 'api', push: 'push-2' }),
+      webhook({ repo: 'api', push: 'push-3' })
+    ]);
+
+    expect(leadingResult.syncedPush).toBe('push-1');
+    expect(trailing.map(result => result.error.message)).toEqual(['sync failed', 'sync failed']);
+    expect(trailing.map(result => result.push)).toEqual(['push-3', 'push-3']);
+    expect(synced).toEqual(['push-1', 'push-3']);
+  });
+});
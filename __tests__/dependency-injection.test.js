@@ -0,0 +1,151 @@
+/**
+ * Dependency Injection Tests
+ * Tests for modulink.provide / override: scopes, ctx.deps injection,
+ * disposal on stop() and test-time overrides
+ */
+
+import request from 'supertest';
+import { createModuLink, chain } from '../index.js';
+
+describe('Dependency Injection', () => {
+  const sendWelcome = async (ctx) => ({
+    ...ctx,
+    sent: await ctx.deps.mailer.send(ctx.email, 'Welcome!')
+  });
+
+  const createMailer = (log) => ({
+    send: async (to, subject) => {
+      log.push(`${to}: ${subject}`);
+      return true;
+    }
+  });
+
+  test('should inject singleton services as frozen ctx.deps', async () => {
+    const modulink = createModuLink();
+    const log = [];
+    let created = 0;
+    modulink.provide('mailer', () => {
+      created++;
+      return createMailer(log);
+    });
+    const seen = [];
+    const welcome = chain(sendWelcome, (ctx) => {
+      seen.push(ctx.deps);
+      return ctx;
+    });
+
+    await modulink.run(welcome, { email: 'ada@example.com' });
+    const result = await modulink.run(welcome, { email: 'grace@example.com' });
+
+    expect(result.sent).toBe(true);
+    expect(log).toEqual(['ada@example.com: Welcome!', 'grace@example.com: Welcome!']);
+    expect(created).toBe(1);
+    expect(Object.isFrozen(seen[0])).toBe(true);
+    expect(seen[0].mailer).toBe(seen[1].mailer);
+  });
+
+  test('should create and dispose per-execution services around each run', async () => {
+    const modulink = createModuLink();
+    const events = [];
+    let nextId = 0;
+    modulink
+      .provide('db', () => ({ name: 'pool' }))
+      .provide('tx', async (resolve) => {
+        const db = await resolve('db');
+        const tx = { id: ++nextId, db: db.name };
+        events.push(`begin ${tx.id}`);
+        return tx;
+      }, {
+        scope: 'perExecution',
+        dispose: (tx) => { events.push(`end ${tx.id}`); }
+      });
+    const useTx = chain((ctx) => {
+      events.push(`use ${ctx.deps.tx.id}`);
+      return { ...ctx, db: ctx.deps.tx.db };
+    });
+
+    const first = await modulink.run(useTx);
+    await modulink.run(useTx);
+
+    expect(first.db).toBe('pool');
+    expect(events).toEqual(['begin 1', 'use 1', 'end 1', 'begin 2', 'use 2', 'end 2']);
+  });
+
+  test('should inject services into trigger contexts but not HTTP bodies', async () => {
+    const modulink = createModuLink();
+    const log = [];
+    modulink.provide('mailer', () => createMailer(log));
+    modulink.http.post('/welcome', chain(sendWelcome));
+
+    const response = await request(modulink.http.handle).post('/welcome').send({});
+    const entry = await modulink
+      .cron('0 0 1 1 *', chain(sendWelcome), { name: 'digest', paused: true })
+      .runNow('digest');
+
+    expect(response.body).toEqual({ sent: true });
+    expect(entry.outcome).toBe('success');
+    expect(log).toHaveLength(2);
+  });
+
+  test('should let tests override services', async () => {
+    const modulink = createModuLink();
+    const realLog = [];
+    const fakeLog = [];
+    modulink.provide('mailer', () => createMailer(realLog));
+    const welcome = chain(sendWelcome);
+
+    const restore = modulink.override('mailer', createMailer(fakeLog));
+    await modulink.run(welcome, { email: 'test@example.com' });
+    restore();
+    await modulink.run(welcome, { email: 'real@example.com' });
+    await modulink.run(welcome, { email: 'inline@example.com', deps: { mailer: createMailer(fakeLog) } });
+
+    expect(fakeLog).toEqual(['test@example.com: Welcome!', 'inline@example.com: Welcome!']);
+    expect(realLog).toEqual(['real@example.com: Welcome!']);
+  });
+
+  test('should create singletons on start and dispose them on stop', async () => {
+    const modulink = createModuLink();
+    const events = [];
+    modulink
+      .provide('db', () => {
+        events.push('connect db');
+        return {};
+      }, { dispose: () => { events.push('close db'); } })
+      .provide('cache', async (resolve) => {
+        await resolve('db');
+        events.push('connect cache');
+        return {};
+      }, { dispose: () => { events.push('close cache'); } })
+      .onStop(() => { events.push('onStop'); });
+
+    await modulink.start({ signals: [] });
+    expect(events).toEqual(['connect db', 'connect cache']);
+
+    const report = await modulink.stop();
+
+    expect(events).toEqual(['connect db', 'connect cache', 'onStop', 'close cache', 'close db']);
+    expect(report.errors).toEqual([]);
+  });
+
+  test('should report resolution errors', async () => {
+    const modulink = createModuLink();
+    modulink
+      .provide('flaky', () => { throw new Error('connection refused'); })
+      .provide('request', () => ({}), { scope: 'perExecution' })
+      .provide('session', async (resolve) => resolve('request'))
+      .provide('a', (resolve) => resolve('b'))
+      .provide('b', (resolve) => resolve('a'));
+
+    const result = await modulink.run(chain((ctx) => ctx));
+
+    expect(result.error.message).toBe('connection refused');
+    await expect(modulink.resolve('session')).rejects.toThrow(
+      'Singleton service "session" cannot depend on per-execution service "request"'
+    );
+    await expect(modulink.resolve('a')).rejects.toThrow('Circular service dependency: a -> b -> a');
+    await expect(modulink.resolve('missing')).rejects.toThrow('Unknown service "missing"');
+    expect(() => modulink.provide('a', () => ({}))).toThrow('already provided');
+    expect(() => modulink.provide('x', () => ({}), { scope: 'request' })).toThrow('scope must be one of');
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Durable Execution Tests
+ * Tests for journal checkpoints, resume() and listing incomplete executions
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  chain,
+  createFileJournalStore,
+  createMemoryJournalStore,
+  listIncompleteExecutions
+} from '../index.js';
+
+describe('Durable Chain Execution', () => {
+  const download = (ctx) => ({ ...ctx, rows: ['a', 'b'], steps: [...(ctx.steps || []), 'download'] });
+  const parse = (ctx) => ({ ...ctx, parsed: ctx.rows.map(row => row.toUpperCase()), steps: [...ctx.steps, 'parse'] });
+  const load = (ctx) => ({ ...ctx, loaded: ctx.parsed.length, steps: [...ctx.steps, 'load'] });
+
+  test('should checkpoint after each link and clean up on completion', async () => {
+    const store = createMemoryJournalStore();
+    const snapshots = [];
+    const originalSave = store.save;
+    store.save = async (record) => {
+      snapshots.push({ executionId: record.executionId, completedIndex: record.completedIndex });
+      return originalSave(record);
+    };
+
+    const importChain = chain(download, parse, load, { durable: { name: 'import', store } });
+    const result = await importChain({ source: 'file.csv' });
+
+    expect(result.loaded).toBe(2);
+    expect(result._meta.executionId).toBeUndefined();
+    expect(snapshots[0].executionId).toMatch(/^exec_/);
+    expect(snapshots.map(s => s.completedIndex)).toEqual([-1, 0, 1, 2]);
+    expect(await store.load(snapshots[0].executionId)).toBeNull();
+  });
+
+  test('should retain completed executions when asked', async () => {
+    const store = createMemoryJournalStore();
+    const importChain = chain(download, { durable: { store, retainCompleted: true } });
+
+    await importChain({});
+    const [record] = await store.list({ status: 'completed' });
+
+    expect(record.status).toBe('completed');
+    expect(record.context.rows).toEqual(['a', 'b']);
+  });
+
+  test('should resume a failed execution after the last completed link', async () => {
+    const store = createMemoryJournalStore();
+    let loadAttempts = 0;
+    const flakyLoad = (ctx) => {
+      loadAttempts++;
+      if (loadAttempts === 1) {
+        throw new Error('database offline');
+      }
+      return load(ctx);
+    };
+
+    const importChain = chain(download, parse, flakyLoad).durable({ name: 'import', store });
+    const failed = await importChain({});
+
+    expect(failed.error.message).toBe('database offline');
+    const [record] = await store.list({ status: 'failed', name: 'import' });
+    expect(record.completedIndex).toBe(1);
+    expect(record.error.message).toBe('database offline');
+
+    const resumed = await importChain.resume(record.executionId);
+
+    expect(resumed.error).toBeUndefined();
+    expect(resumed.steps).toEqual(['download', 'parse', 'load']);
+    expect(loadAttempts).toBe(2);
+  });
+
+  test('should list and resume interrupted executions from a file store', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'modulink-journal-'));
+    try {
+      const store = createFileJournalStore({ directory });
+
+      // Simulate a crash after the first link: the journal still says 'running'
+      await store.save({
+        executionId: 'crashed/1',
+        name: 'import',
+        status: 'running',
+        completedIndex: 0,
+        context: { rows: ['x'], steps: ['download'] },
+        error: null,
+        startedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+
+      const incomplete = await listIncompleteExecutions(store, { name: 'import' });
+      expect(incomplete.map(record => record.executionId)).toEqual(['crashed/1']);
+
+      const importChain = chain(download, parse, load, { durable: { name: 'import', store } });
+      const result = await importChain.resume('crashed/1');
+
+      expect(result.steps).toEqual(['download', 'parse', 'load']);
+      expect(result.parsed).toEqual(['X']);
+      expect(await listIncompleteExecutions(store)).toEqual([]);
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('should not journal transient context fields', async () => {
+    const store = createMemoryJournalStore();
+    const importChain = chain(download, { durable: { store, retainCompleted: true } });
+
+    await importChain({
+      _instanceMiddleware: [(ctx) => ctx],
+      callback: () => {}
+    });
+    const [{ context }] = await store.list({ status: 'completed' });
+
+    expect(context.signal).toBeUndefined();
+    expect(context._instanceMiddleware).toBeUndefined();
+    expect(context.callback).toBeUndefined();
+  });
+
+  test('should give nested durable chains their own journal record', async () => {
+    const store = createMemoryJournalStore();
+    const seenIds = [];
+    const recordId = (step) => (ctx) => {
+      seenIds.push([step, ctx._meta.executionId]);
+      return ctx;
+    };
+    const enrich = chain(recordId('enrich'), (ctx) => ({ ...ctx, enriched: true }), { durable: { name: 'enrich', store } });
+    const failAfterEnrich = () => { throw new Error('warehouse offline'); };
+    const importChain = chain(recordId('before'), enrich, recordId('after'), failAfterEnrich, { durable: { name: 'import', store } });
+
+    const failed = await importChain({});
+    const [outer] = await store.list({ name: 'import' });
+    const rerun = await enrich(failed);
+
+    expect(failed.error.message).toBe('warehouse offline');
+    expect(failed._meta.executionId).toBeUndefined();
+    expect(seenIds[0][1]).toBe(seenIds[2][1]);
+    expect(seenIds[1][1]).not.toBe(seenIds[0][1]);
+    expect(outer).toMatchObject({ executionId: seenIds[0][1], status: 'failed', completedIndex: 2 });
+    expect(outer.context.enriched).toBe(true);
+    expect(seenIds[3][1]).not.toBe(seenIds[0][1]);
+    expect(rerun._meta.executionId).toBeUndefined();
+    expect(await store.load(seenIds[0][1])).toMatchObject({ status: 'failed' });
+  });
+
+  test('should return an error context for unknown executions', async () => {
+    const importChain = chain(download, { durable: { store: createMemoryJournalStore() } });
+
+    const result = await importChain.resume('missing');
+
+    expect(result.error.message).toBe('Unknown execution "missing"');
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Structured Error Model Tests
+ * Tests for ModuLinkError, error normalization in chains and JSON round-trips
+ */
+
+import {
+  chain,
+  validate,
+  createErrorContext,
+  createHttpContext,
+  ModuLinkError,
+  TimeoutError,
+  CancellationError,
+  ValidationError,
+  ErrorCodes,
+  toModuLinkError,
+  serializeError,
+  deserializeError,
+  registerErrorClass
+} from '../index.js';
+
+describe('Structured Error Model', () => {
+  const loadUser = (ctx) => ({ ...ctx, user: { id: ctx.userId } });
+  const chargeCard = () => {
+    const error = new TypeError('card declined');
+    error.code = 'CARD_DECLINED';
+    throw error;
+  };
+
+  test('should wrap thrown errors with link, trigger and cause', async () => {
+    const checkout = chain(loadUser, chargeCard);
+
+    const result = await checkout(createHttpContext({ userId: 7 }));
+
+    expect(result.error).toBeInstanceOf(ModuLinkError);
+    expect(result.error.name).toBe('TypeError');
+    expect(result.error.message).toBe('card declined');
+    expect(result.error.code).toBe('CARD_DECLINED');
+    expect(result.error.link).toEqual({ name: 'chargeCard', index: 1 });
+    expect(result.error.trigger).toBe('http');
+    expect(result.error.retryable).toBe(false);
+    expect(result.error.cause).toBeInstanceOf(TypeError);
+  });
+
+  test('should normalize errors returned by links', async () => {
+    const rejectOrder = (ctx) => ({ ...ctx, error: 'out of stock' });
+
+    const result = await chain(loadUser, rejectOrder)({ userId: 1 });
+
+    expect(result.error).toBeInstanceOf(ModuLinkError);
+    expect(result.error.message).toBe('out of stock');
+    expect(result.error.code).toBe(ErrorCodes.UNEXPECTED);
+    expect(result.error.link).toEqual({ name: 'rejectOrder', index: 1 });
+  });
+
+  test('should record the failing link on returned ModuLinkErrors', async () => {
+    const checkStock = (ctx) => ({ ...ctx, error: new ValidationError('quantity must be positive') });
+
+    const result = await chain(loadUser, checkStock)(createHttpContext({ userId: 1 }));
+
+    expect(result.error).toBeInstanceOf(ValidationError);
+    expect(result.error.link).toEqual({ name: 'checkStock', index: 1 });
+    expect(result.error.trigger).toBe('http');
+  });
+
+  test('should not write one execution\'s link onto a shared error', async () => {
+    const soldOut = new ValidationError('sold out');
+    const reserveSeat = (ctx) => ({ ...ctx, error: soldOut });
+    const reserveParking = (ctx) => ({ ...ctx, error: soldOut });
+
+    const seat = await chain(loadUser, reserveSeat)({ userId: 1 });
+    const parking = await chain(reserveParking)({ userId: 1 });
+
+    expect(seat.error.link).toEqual({ name: 'reserveSeat', index: 1 });
+    expect(parking.error.link).toEqual({ name: 'reserveParking', index: 0 });
+    expect(parking.error).toBeInstanceOf(ValidationError);
+    expect(parking.error.stack).toBe(soldOut.stack);
+    expect(soldOut.link).toBeNull();
+    expect(toModuLinkError(soldOut)).toBe(soldOut);
+  });
+
+  test('should keep the innermost link of nested chains', async () => {
+    const inner = chain(chargeCard);
+
+    const result = await chain(loadUser, inner)({ userId: 1 });
+
+    expect(result.error.link).toEqual({ name: 'chargeCard', index: 0 });
+  });
+
+  test('should use typed errors for framework failures', async () => {
+    const slow = () => new Promise(resolve => setTimeout(resolve, 50));
+    const controller = new AbortController();
+    controller.abort(new Error('client disconnected'));
+
+    const timedOut = await chain(slow, { linkTimeout: 5 })({});
+    const cancelled = await chain(loadUser)({ signal: controller.signal });
+    const invalid = await validate(() => 'email is required', chain(loadUser))({});
+
+    expect(timedOut.error).toBeInstanceOf(TimeoutError);
+    expect(timedOut.error.retryable).toBe(true);
+    expect(cancelled.error).toBeInstanceOf(CancellationError);
+    expect(cancelled.error.code).toBe(ErrorCodes.CANCELLED);
+    expect(cancelled.error.cause.message).toBe('client disconnected');
+    expect(invalid.error).toBeInstanceOf(ValidationError);
+    expect(invalid.error.code).toBe(ErrorCodes.VALIDATION_FAILED);
+  });
+
+  test('should round-trip errors and their cause chain through JSON', () => {
+    const root = new RangeError('socket closed');
+    root.code = 'ECONNRESET';
+    const timeout = new TimeoutError('Link "fetch" timed out after 100ms', {
+      scope: 'link',
+      timeoutMs: 100,
+      linkName: 'fetch',
+      cause: root,
+      link: { name: 'fetch', index: 2 },
+      trigger: 'cron'
+    });
+
+    const restored = deserializeError(JSON.parse(JSON.stringify(timeout)));
+
+    expect(restored).toBeInstanceOf(TimeoutError);
+    expect(restored.message).toBe(timeout.message);
+    expect(restored.stack).toBe(timeout.stack);
+    expect(restored).toMatchObject({
+      code: 'TIMEOUT',
+      scope: 'link',
+      timeoutMs: 100,
+      linkName: 'fetch',
+      link: { name: 'fetch', index: 2 },
+      trigger: 'cron',
+      retryable: true,
+      timestamp: timeout.timestamp
+    });
+    expect(restored.cause).toBeInstanceOf(Error);
+    expect(restored.cause.name).toBe('RangeError');
+    expect(restored.cause.code).toBe('ECONNRESET');
+    expect(serializeError(restored)).toEqual(serializeError(timeout));
+  });
+
+  test('should restore registered custom error classes', () => {
+    class PaymentError extends ModuLinkError {
+      constructor(message, options = {}) {
+        super(message, { code: 'PAYMENT_FAILED', retryable: true, ...options });
+        this.name = 'PaymentError';
+      }
+    }
+    registerErrorClass(PaymentError);
+
+    const restored = ModuLinkError.fromJSON(new PaymentError('gateway down').toJSON());
+
+    expect(restored).toBeInstanceOf(PaymentError);
+    expect(restored.code).toBe('PAYMENT_FAILED');
+  });
+
+  test('should produce the same error shape from createErrorContext', () => {
+    const ctx = createErrorContext(new Error('boom'), {
+      trigger: 'cli',
+      _currentLink: { name: 'parseArgs', index: 0, length: 1 }
+    });
+
+    expect(ctx.error).toBeInstanceOf(ModuLinkError);
+    expect(ctx.error.link).toEqual({ name: 'parseArgs', index: 0 });
+    expect(ctx.error.trigger).toBe('cli');
+    expect(toModuLinkError(ctx.error)).toBe(ctx.error);
+  });
+});
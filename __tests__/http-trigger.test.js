@@ -0,0 +1,112 @@
+/**
+ * HTTP Trigger Tests
+ * Tests for modulink.http routing, request parsing and response mapping
+ * on bare node:http and Express
+ */
+
+import http from 'http';
+import express from 'express';
+import request from 'supertest';
+import { createModuLink, chain } from '../index.js';
+
+describe('HTTP Trigger', () => {
+  const loadUser = (ctx) => ctx.params.id === '404'
+    ? { ...ctx, error: Object.assign(new Error('User not found'), { status: 404 }) }
+    : { ...ctx, user: { id: Number(ctx.params.id), fields: ctx.query.fields } };
+  const createUser = (ctx) => ({ ...ctx, status: 201, created: { ...ctx.body, id: 1 } });
+
+  test('should route path params and query strings on bare node:http', async () => {
+    const modulink = createModuLink();
+    modulink.http.get('/users/:id', chain(loadUser));
+    const server = http.createServer(modulink.http.handle);
+
+    const response = await request(server).get('/users/42?fields=name&fields=email');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ user: { id: 42, fields: ['name', 'email'] } });
+  });
+
+  test('should parse JSON bodies and honour ctx.status', async () => {
+    const modulink = createModuLink();
+    modulink.http.post('/users', chain(createUser));
+
+    const response = await request(modulink.http.handle)
+      .post('/users')
+      .send({ name: 'Ada' });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toEqual({ created: { name: 'Ada', id: 1 } });
+  });
+
+  test('should build contexts with createHttpContext and instance middleware', async () => {
+    const seen = [];
+    const modulink = createModuLink();
+    modulink.use((ctx) => ({ ...ctx, requestId: 'req-1' }));
+    const inspect = (ctx) => {
+      seen.push(ctx);
+      return { ...ctx, ok: true };
+    };
+    modulink.http.get('/inspect', chain(inspect), { respond: ['ok', 'requestId'] });
+
+    const response = await request(modulink.http.handle).get('/inspect');
+
+    expect(response.body).toEqual({ ok: true, requestId: 'req-1' });
+    expect(seen[0]).toMatchObject({ trigger: 'http', method: 'GET', path: '/inspect', params: {} });
+    expect(seen[0].signal).toBeInstanceOf(AbortSignal);
+  });
+
+  test('should map errors to status codes', async () => {
+    const modulink = createModuLink();
+    modulink.http.get('/users/:id', chain(loadUser));
+    modulink.http.post('/users', chain(createUser));
+
+    const notFound = await request(modulink.http.handle).get('/users/404');
+    const badJson = await request(modulink.http.handle)
+      .post('/users')
+      .set('Content-Type', 'application/json')
+      .send('{"name":');
+    const noRoute = await request(modulink.http.handle).get('/orders');
+    const wrongMethod = await request(modulink.http.handle).delete('/users');
+
+    expect(notFound.status).toBe(404);
+    expect(notFound.body.error.message).toBe('User not found');
+    expect(badJson.status).toBe(400);
+    expect(badJson.body.error.code).toBe('VALIDATION_FAILED');
+    expect(noRoute.status).toBe(404);
+    expect(wrongMethod.status).toBe(405);
+    expect(wrongMethod.headers.allow).toBe('POST');
+  });
+
+  test('should answer malformed paths and unexpected failures instead of rejecting', async () => {
+    const modulink = createModuLink();
+    modulink.http.get('/users/:id', chain(loadUser));
+    const server = http.createServer(modulink.http.handle);
+
+    const malformed = await request(server).get('/users/%E0%A4%A');
+    modulink._lifecycle.enter = () => { throw new Error('lifecycle unavailable'); };
+    const failed = await request(server).get('/users/1');
+
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.error.code).toBe('VALIDATION_FAILED');
+    expect(failed.status).toBe(500);
+    expect(failed.body.error).toEqual({ code: 'UNEXPECTED_ERROR', message: 'Internal server error' });
+  });
+
+  test('should mount routes on an Express app', async () => {
+    const app = express();
+    app.use(express.json());
+    const modulink = createModuLink(app);
+    modulink.http.get('/users/:id', chain(loadUser));
+    modulink.http.post('/users', chain(createUser));
+    app.get('/health', (req, res) => res.json({ status: 'ok' }));
+
+    const user = await request(app).get('/users/7');
+    const created = await request(app).post('/users').send({ name: 'Grace' });
+    const health = await request(app).get('/health');
+
+    expect(user.body.user.id).toBe(7);
+    expect(created.status).toBe(201);
+    expect(created.body.created.name).toBe('Grace');
+    expect(health.body).toEqual({ status: 'ok' });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Instance Run Tests
+ * Tests for modulink.run / bind: instance middleware injection, trigger
+ * contexts, nesting, cancellation and lifecycle tracking
+ */
+
+import { createModuLink, chain, CancellationError } from '../index.js';
+
+describe('Instance Run and Bind', () => {
+  const addRequestId = (ctx) => ({ ...ctx, requestId: 'req-1' });
+  const greet = (ctx) => ({ ...ctx, greeting: `Hello ${ctx.name}` });
+
+  test('should inject the instance middleware stack', async () => {
+    const modulink = createModuLink();
+    modulink.use(addRequestId);
+    const greetChain = chain(greet);
+
+    const direct = await greetChain({ name: 'Ada' });
+    const run = await modulink.run(greetChain, { name: 'Ada' });
+
+    expect(direct.requestId).toBeUndefined();
+    expect(run).toMatchObject({ greeting: 'Hello Ada', requestId: 'req-1', trigger: 'unknown' });
+    expect(run._instanceMiddleware).toBeUndefined();
+  });
+
+  test('should build trigger-appropriate contexts', async () => {
+    const modulink = createModuLink();
+    const seen = [];
+    const inspect = chain((ctx) => {
+      seen.push(ctx);
+      return ctx;
+    });
+
+    await modulink.run(inspect, { path: '/users' }, { trigger: 'http' });
+    await modulink.run(inspect, { topic: 'orders.created' }, { trigger: 'message' });
+    await modulink.run(inspect, { trigger: 'webhook', source: 'stripe' }, { trigger: 'http' });
+    await modulink.run(inspect, {}, { trigger: 'queue' });
+
+    expect(seen[0]).toMatchObject({ trigger: 'http', method: 'GET', path: '/users', headers: {} });
+    expect(seen[1]).toMatchObject({ trigger: 'message', topic: 'orders.created', payload: null });
+    expect(seen[2]).toMatchObject({ trigger: 'webhook', source: 'stripe' });
+    expect(seen[2].method).toBeUndefined();
+    expect(seen[3].trigger).toBe('queue');
+    expect(typeof seen[3].timestamp).toBe('string');
+  });
+
+  test('should run instance middleware once for nested chains', async () => {
+    const modulink = createModuLink();
+    let calls = 0;
+    modulink.use((ctx) => {
+      calls++;
+      return ctx;
+    });
+    const inner = chain(greet);
+
+    const result = await modulink.run(chain(addRequestId, inner), { name: 'Grace' });
+
+    expect(result.greeting).toBe('Hello Grace');
+    expect(calls).toBe(1);
+  });
+
+  test('should bind chains to the instance', async () => {
+    const modulink = createModuLink();
+    modulink.use(addRequestId);
+    const greetChain = chain(greet);
+    const failing = modulink.bind(() => { throw new Error('not a chain result'); }, { trigger: 'cli' });
+
+    const signup = modulink.bind(greetChain, { trigger: 'http' });
+    const result = await signup({ name: 'Linus' });
+    const failed = await failing({});
+
+    expect(result).toMatchObject({ trigger: 'http', greeting: 'Hello Linus', requestId: 'req-1' });
+    expect(signup._describe()).toEqual(greetChain._describe());
+    expect(failed.error.message).toBe('not a chain result');
+    expect(failed.error.trigger).toBe('cli');
+    expect(() => modulink.bind(null)).toThrow('modulink.bind() requires a chain');
+  });
+
+  test('should forward cancellation and be tracked by stop()', async () => {
+    const modulink = createModuLink();
+    const controller = new AbortController();
+    const slow = chain(() => new Promise(() => {}));
+
+    const cancelled = modulink.run(slow, { signal: controller.signal });
+    controller.abort(new Error('caller gave up'));
+    expect((await cancelled).error).toBeInstanceOf(CancellationError);
+
+    const stuck = modulink.run(slow);
+    const report = await modulink.stop({ timeoutMs: 20 });
+
+    expect((await stuck).error).toBeInstanceOf(CancellationError);
+    expect(report).toMatchObject({ inFlight: 1, aborted: 1 });
+    expect((await modulink.run(chain(greet))).error.code).toBe('UNAVAILABLE');
+  });
+});
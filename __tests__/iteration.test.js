@@ -0,0 +1,138 @@
+/**
+ * Iteration Combinator Tests
+ * Tests for forEach() with bounded concurrency and whileLoop()
+ */
+
+import { chain, forEach, whileLoop } from '../index.js';
+
+describe('Iteration Combinators', () => {
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  const doubleItem = (ctx) => ({ ...ctx, item: ctx.item * 2 });
+
+  describe('forEach', () => {
+    test('should collect per-item results in input order', async () => {
+      const processAll = forEach(ctx => ctx.numbers, doubleItem);
+
+      const result = await processAll({ numbers: [1, 2, 3] });
+
+      expect(result.results).toEqual([2, 4, 6]);
+      expect(result.itemErrors).toEqual([]);
+      expect(result.numbers).toEqual([1, 2, 3]);
+    });
+
+    test('should accept a context key as selector and custom keys', async () => {
+      const upload = (ctx) => ({ ...ctx, uploaded: `${ctx.file}#${ctx.position}` });
+      const processAll = forEach('files', upload, {
+        itemKey: 'file',
+        indexKey: 'position',
+        collectInto: 'uploads',
+        collect: (itemCtx) => itemCtx.uploaded
+      });
+
+      const result = await processAll({ files: ['a.txt', 'b.txt'] });
+
+      expect(result.uploads).toEqual(['a.txt#0', 'b.txt#1']);
+    });
+
+    test('should never exceed the concurrency limit', async () => {
+      let active = 0;
+      let peak = 0;
+      const tracked = async (ctx) => {
+        active++;
+        peak = Math.max(peak, active);
+        await sleep(5);
+        active--;
+        return ctx;
+      };
+
+      const result = await forEach('items', tracked, { concurrency: 2 })({ items: [1, 2, 3, 4, 5] });
+
+      expect(peak).toBe(2);
+      expect(result.results).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('should aggregate item errors and keep going by default', async () => {
+      const rejectOdd = (ctx) => ctx.item % 2
+        ? { ...ctx, error: new Error(`odd: ${ctx.item}`) }
+        : ctx;
+
+      const result = await forEach('items', rejectOdd)({ items: [1, 2, 3, 4] });
+
+      expect(result.error).toBeUndefined();
+      expect(result.results).toEqual([undefined, 2, undefined, 4]);
+      expect(result.itemErrors.map(e => e.index)).toEqual([0, 2]);
+      expect(result.itemErrors[1].error.message).toBe('odd: 3');
+    });
+
+    test('should stop starting items after a failure with stopOnError', async () => {
+      const seen = [];
+      const failOnTwo = (ctx) => {
+        seen.push(ctx.item);
+        if (ctx.item === 2) {
+          throw new Error('bad item');
+        }
+        return ctx;
+      };
+
+      const result = await forEach('items', failOnTwo, { stopOnError: true })({ items: [1, 2, 3, 4] });
+
+      expect(seen).toEqual([1, 2]);
+      expect(result.error.message).toBe('bad item');
+      expect(result.itemErrors).toHaveLength(1);
+    });
+
+    test('should return an error context when the selector is not an array', async () => {
+      const result = await forEach('missing', doubleItem)({});
+
+      expect(result.error.message).toBe('forEach selector must return an array');
+    });
+
+    test('should work as a link inside a chain', async () => {
+      const pipeline = chain(
+        (ctx) => ({ ...ctx, numbers: [5, 6] }),
+        forEach('numbers', doubleItem, { concurrency: 2 })
+      );
+
+      const result = await pipeline({});
+
+      expect(result.results).toEqual([10, 12]);
+    });
+  });
+
+  describe('whileLoop', () => {
+    const fetchPage = (ctx) => ({
+      ...ctx,
+      page: ctx.page + 1,
+      rows: [...ctx.rows, `row${ctx.page}`]
+    });
+
+    test('should repeat while the condition holds', async () => {
+      const loop = whileLoop(ctx => ctx.page < 3, fetchPage);
+
+      const result = await loop({ page: 0, rows: [] });
+
+      expect(result.page).toBe(3);
+      expect(result.rows).toEqual(['row0', 'row1', 'row2']);
+    });
+
+    test('should fail when maxIterations is exceeded', async () => {
+      const loop = whileLoop(() => true, fetchPage, { maxIterations: 5 });
+
+      const result = await loop({ page: 0, rows: [] });
+
+      expect(result.page).toBe(5);
+      expect(result.error.message).toBe('whileLoop exceeded maxIterations (5)');
+    });
+
+    test('should stop when an iteration errors', async () => {
+      const failAtTwo = (ctx) => ctx.page === 2
+        ? { ...ctx, error: new Error('page failed') }
+        : fetchPage(ctx);
+
+      const result = await whileLoop(() => true, failAtTwo)({ page: 0, rows: [] });
+
+      expect(result.page).toBe(2);
+      expect(result.error.message).toBe('page failed');
+    });
+  });
+});
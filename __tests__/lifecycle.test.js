@@ -0,0 +1,195 @@
+/**
+ * Instance Lifecycle Tests
+ * Tests for modulink.start / stop: hooks, in-flight draining, timeouts and
+ * rejecting triggers while stopping
+ */
+
+import http from 'http';
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createModuLink, chain, CancellationError } from '../index.js';
+
+describe('Instance Lifecycle', () => {
+  const NEVER = '0 0 1 1 *';
+
+  const deferred = () => {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+  };
+
+  test('should run hooks, listen on start and close on stop', async () => {
+    const events = [];
+    const modulink = createModuLink();
+    modulink.http.get('/health', chain((ctx) => ({ ...ctx, ok: true })));
+    modulink
+      .onStart(() => { events.push('connect db'); })
+      .onStart(async () => { events.push('warm cache'); })
+      .onStop(() => { events.push('disconnect db'); })
+      .onStop(() => { events.push('flush cache'); });
+
+    expect(modulink.state).toBe('idle');
+    await modulink.start({ port: 0, signals: [] });
+    const [server] = modulink.http.servers;
+    expect(modulink.state).toBe('running');
+    expect(server.listening).toBe(true);
+
+    const report = await modulink.stop();
+
+    expect(events).toEqual(['connect db', 'warm cache', 'flush cache', 'disconnect db']);
+    expect(report).toMatchObject({ drained: true, inFlight: 0, aborted: 0, errors: [] });
+    expect(modulink.state).toBe('stopped');
+    expect(server.listening).toBe(false);
+  });
+
+  test('should wait for in-flight HTTP requests before closing', async () => {
+    const gate = deferred();
+    const started = deferred();
+    const modulink = createModuLink();
+    modulink.http.get('/export', chain(async (ctx) => {
+      started.resolve();
+      await gate.promise;
+      return { ...ctx, exported: 10 };
+    }));
+    await modulink.start({ port: 0, signals: [] });
+    const [server] = modulink.http.servers;
+    const { port } = server.address();
+
+    const response = new Promise((resolve, reject) => {
+      http.get({ port, path: '/export', agent: false }, (res) => {
+        let body = '';
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+      }).on('error', reject);
+    });
+    await started.promise;
+
+    const stopping = modulink.stop({ timeoutMs: 1000 });
+    expect(modulink.state).toBe('stopping');
+    gate.resolve();
+
+    await expect(response).resolves.toEqual({ status: 200, body: { exported: 10 } });
+    await expect(stopping).resolves.toMatchObject({ drained: true, inFlight: 1, aborted: 0 });
+    expect(server.listening).toBe(false);
+  });
+
+  test('should abort executions that outlive the timeout', async () => {
+    const modulink = createModuLink();
+    const stuck = () => new Promise(() => {});
+    modulink.cron(NEVER, chain(stuck), { name: 'stuck' });
+
+    const run = modulink.runNow('stuck');
+    await Promise.resolve();
+    const report = await modulink.stop({ timeoutMs: 20 });
+    const entry = await run;
+
+    expect(report).toMatchObject({ drained: false, inFlight: 1, aborted: 1 });
+    expect(entry.outcome).toBe('error');
+    expect(entry.error).toBeInstanceOf(CancellationError);
+    expect(modulink.listJobs()[0].paused).toBe(true);
+  });
+
+  test('should reject triggers once stopping', async () => {
+    const modulink = createModuLink();
+    const ping = chain((ctx) => ({ ...ctx, pong: true }));
+    modulink.http.get('/ping', ping);
+    modulink.cron(NEVER, ping, { name: 'ping' });
+    modulink.command('ping', ping);
+    const server = http.createServer(modulink.http.handle);
+
+    await modulink.stop();
+    const response = await request(server).get('/ping');
+    const entry = await modulink.runNow('ping');
+    const stderr = { text: '', write(chunk) { stderr.text += chunk; } };
+    const cli = await modulink.runCli(['ping'], {
+      from: 'user', stdout: { write() {} }, stderr, exit: false
+    });
+
+    expect(response.status).toBe(503);
+    expect(response.headers.connection).toBe('close');
+    expect(response.body.error.code).toBe('UNAVAILABLE');
+    expect(entry.outcome).toBe('skipped');
+    expect(cli.exitCode).toBe(1);
+    expect(stderr.text).toContain('[UNAVAILABLE]');
+  });
+
+  test('should stop on configured signals and re-raise them', async () => {
+    const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+    const exitCode = process.exitCode;
+    try {
+      const modulink = createModuLink();
+      modulink.onStop(() => { throw new Error('queue unreachable'); });
+      await modulink.start({ signals: ['SIGUSR2'] });
+
+      process.emit('SIGUSR2');
+      const report = await modulink.stop();
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(modulink.state).toBe('stopped');
+      expect(report.drained).toBe(true);
+      expect(process.listenerCount('SIGUSR2')).toBe(0);
+      expect(process.exitCode).toBe(1);
+      expect(kill).toHaveBeenCalledWith(process.pid, 'SIGUSR2');
+    } finally {
+      kill.mockRestore();
+      process.exitCode = exitCode;
+    }
+  });
+
+  test('should let aborted executions settle before disposing', async () => {
+    const events = [];
+    const modulink = createModuLink();
+    modulink.onStop(() => { events.push('dispose'); });
+    const slowToAbort = modulink._lifecycle.enter();
+    slowToAbort.signal.addEventListener('abort', () => {
+      setTimeout(() => {
+        events.push('settled');
+        slowToAbort.exit();
+      }, 10);
+    });
+    modulink._lifecycle.enter();
+
+    const report = await modulink.stop({ timeoutMs: 30 });
+
+    expect(events).toEqual(['settled', 'dispose']);
+    expect(report).toMatchObject({ drained: false, inFlight: 2, aborted: 2, abandoned: 1 });
+  });
+
+  test('should stop for good when start fails', async () => {
+    const disposed = [];
+    const stopped = [];
+    const modulink = createModuLink();
+    modulink.provide('db', () => ({ connected: true }), { dispose: () => disposed.push('db') });
+    modulink.onStop(() => stopped.push('onStop'));
+    modulink.http.get('/health', chain((ctx) => ({ ...ctx, ok: true })));
+    modulink._lifecycle.addTrigger({
+      start: () => { throw new Error('broker unreachable'); }
+    });
+
+    await expect(modulink.start({ port: 0, signals: ['SIGUSR2'] })).rejects.toThrow('broker unreachable');
+    const report = await modulink.stop();
+
+    expect(modulink.state).toBe('stopped');
+    expect(modulink.http.servers).toHaveLength(1);
+    expect(modulink.http.servers[0].listening).toBe(false);
+    expect(process.listenerCount('SIGUSR2')).toBe(0);
+    expect(disposed).toEqual(['db']);
+    expect(stopped).toEqual(['onStop']);
+    expect(report.errors).toEqual([]);
+    await expect(modulink.start({ port: 0, signals: [] })).rejects.toThrow('cannot be restarted');
+    expect(disposed).toEqual(['db']);
+  });
+
+  test('should guard against invalid transitions and collect hook errors', async () => {
+    const modulink = createModuLink();
+    modulink.onStop(() => { throw new Error('cache unreachable'); });
+    await modulink.start({ signals: [] });
+
+    await expect(modulink.start({ signals: [] })).rejects.toThrow('already started');
+    const first = modulink.stop();
+    expect(modulink.stop()).toBe(first);
+    const report = await first;
+    expect(report.errors.map(error => error.message)).toEqual(['cache unreachable']);
+    await expect(modulink.start()).rejects.toThrow('cannot be restarted');
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Message Bus Tests
+ * Tests for modulink.subscribe / publish: wildcard topics, ack/nack
+ * redelivery, dead-lettering and pluggable transports
+ */
+
+import { createModuLink, chain, matchTopic, ValidationError } from '../index.js';
+
+describe('Message Bus', () => {
+  let modulink;
+
+  beforeEach(() => {
+    modulink = createModuLink();
+  });
+
+  afterEach(async () => {
+    await modulink.bus.close();
+  });
+
+  test('should match wildcard topics', () => {
+    expect(matchTopic('orders.*', 'orders.created')).toBe(true);
+    expect(matchTopic('orders.*', 'orders.eu.created')).toBe(false);
+    expect(matchTopic('orders.#', 'orders.eu.created')).toBe(true);
+    expect(matchTopic('orders.#', 'orders')).toBe(true);
+    expect(matchTopic('*.created', 'users.created')).toBe(true);
+    expect(matchTopic('orders.created', 'orders.updated')).toBe(false);
+  });
+
+  test('should build contexts with createMessageContext', async () => {
+    const seen = [];
+    modulink.use((ctx) => ({ ...ctx, tenant: 'acme' }));
+    modulink.subscribe('orders.*', chain((ctx) => {
+      seen.push(ctx);
+      return ctx;
+    }), { name: 'audit' });
+
+    const id = await modulink.publish('orders.created', { orderId: 7 }, { correlationId: 'c-1' });
+    await modulink.publish('users.created', { userId: 1 });
+    await modulink.bus.drain();
+
+    expect(seen).toHaveLength(1);
+    expect(seen[0]).toMatchObject({
+      trigger: 'message',
+      topic: 'orders.created',
+      payload: { orderId: 7 },
+      metadata: { correlationId: 'c-1' },
+      messageId: id,
+      attempt: 1,
+      subscription: 'audit',
+      tenant: 'acme'
+    });
+  });
+
+  test('should redeliver until the chain succeeds', async () => {
+    const attempts = [];
+    const flaky = (ctx) => {
+      attempts.push(ctx.attempt);
+      return ctx.attempt < 2 ? { ...ctx, error: new Error('database busy') } : ctx;
+    };
+    modulink.subscribe('orders.created', chain(flaky), { name: 'inventory' });
+
+    await modulink.publish('orders.created', { orderId: 1 });
+    await modulink.bus.drain();
+
+    expect(attempts).toEqual([1, 2]);
+    expect(modulink.bus.subscriptions[0]).toMatchObject({ name: 'inventory', delivered: 2, acked: 1, nacked: 1 });
+  });
+
+  test('should move messages to the dead-letter topic after maxAttempts', async () => {
+    const deadLetters = [];
+    const rejectOrder = () => { throw new ValidationError('unknown product'); };
+    modulink
+      .subscribe('orders.created', chain(rejectOrder), { name: 'fulfilment', maxAttempts: 2 })
+      .subscribe('dead-letter.#', chain((ctx) => {
+        deadLetters.push(ctx);
+        return ctx;
+      }));
+
+    const id = await modulink.publish('orders.created', { orderId: 3 }, { source: 'shop' });
+    await modulink.bus.drain();
+
+    expect(deadLetters).toHaveLength(1);
+    expect(deadLetters[0]).toMatchObject({
+      topic: 'dead-letter.orders.created',
+      payload: { orderId: 3 },
+      metadata: {
+        source: 'shop',
+        deadLetter: {
+          messageId: id,
+          topic: 'orders.created',
+          subscription: 'fulfilment',
+          attempts: 2,
+          error: { code: 'VALIDATION_FAILED', message: 'unknown product' }
+        }
+      }
+    });
+    expect(modulink.bus.subscriptions[0]).toMatchObject({ delivered: 2, nacked: 1, deadLettered: 1 });
+  });
+
+  test('should not dead-letter dead letters again', async () => {
+    const failing = chain(() => { throw new Error('broken consumer'); });
+    modulink.subscribe('#', failing, { maxAttempts: 1 });
+
+    await modulink.publish('orders.created', {});
+    await modulink.bus.drain();
+
+    expect(modulink.bus.subscriptions[0]).toMatchObject({ delivered: 2, deadLettered: 2 });
+  });
+
+  test('should delegate to a configured transport', async () => {
+    const published = [];
+    const handlers = [];
+    modulink.bus.configure({
+      transport: {
+        async publish(message) { published.push(message); },
+        subscribe(pattern, handler) {
+          handlers.push({ pattern, handler });
+          return () => {};
+        }
+      }
+    });
+    modulink.subscribe('jobs.*', chain((ctx) => ({ ...ctx, error: ctx.payload.fail ? 'failed' : null })));
+
+    await modulink.publish('jobs.resize', { fail: true });
+    const delivery = { ...published[0], attempt: 1 };
+
+    expect(handlers[0].pattern).toBe('jobs.*');
+    expect(published[0]).toMatchObject({ topic: 'jobs.resize', payload: { fail: true }, metadata: {} });
+    await expect(handlers[0].handler(delivery)).resolves.toBe(false);
+    await expect(handlers[0].handler({ ...delivery, payload: {} })).resolves.toBe(true);
+  });
+
+  test('should reject invalid subscriptions and topics', async () => {
+    modulink.subscribe('orders.*', chain((ctx) => ctx));
+
+    expect(() => modulink.subscribe('orders.*', chain((ctx) => ctx))).toThrow('Subscription "orders.*" already exists');
+    expect(() => modulink.subscribe('orders..x', chain((ctx) => ctx))).toThrow('Invalid topic');
+    expect(() => modulink.subscribe('users.*', chain((ctx) => ctx), { maxAttempts: 0 })).toThrow('maxAttempts');
+    await expect(modulink.publish('')).rejects.toThrow('Invalid topic');
+    expect(() => modulink.unsubscribe('missing')).toThrow('Unknown subscription "missing"');
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Parallel Merge Tests
+ * Tests for parallel() and parallelMiddleware() merge strategies, conflict
+ * detection, error modes with ParallelError and cancellation of branches
+ */
+
+import { chain, branch, parallel, parallelMiddleware, ParallelError, MergeConflictError, CancellationError } from '../index.js';
+
+describe('Parallel Merge Strategies', () => {
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  const base = { userId: 1, user: { id: 1 } };
+
+  const addName = async (ctx) => ({ ...ctx, user: { ...ctx.user, name: 'Ada' }, source: 'profile' });
+  const addEmail = async (ctx) => ({ ...ctx, user: { ...ctx.user, email: 'ada@example.com' }, source: 'crm' });
+
+  test('should merge only the fields each branch changed', async () => {
+    const keepsInput = async (ctx) => ({ ...ctx, orders: [] });
+    const shallow = await parallel([addName, keepsInput])(base);
+    const deep = await parallel([addName, addEmail], { merge: 'deep' })(base);
+
+    expect(shallow).toEqual({ userId: 1, user: { id: 1, name: 'Ada' }, source: 'profile', orders: [] });
+    expect(deep.user).toEqual({ id: 1, name: 'Ada', email: 'ada@example.com' });
+  });
+
+  test('should place named branch results under their names', async () => {
+    const dashboard = parallel({ profile: addName, crm: addEmail }, { merge: 'namespaced' });
+
+    const result = await dashboard(base);
+
+    expect(result.profile).toEqual({ user: { id: 1, name: 'Ada' }, source: 'profile' });
+    expect(result.crm.source).toBe('crm');
+    expect(result.user).toEqual({ id: 1 });
+    expect(() => parallel([addName], { merge: 'namespaced' })).toThrow('requires named branches');
+  });
+
+  test('should detect conflicting writes', async () => {
+    const warnings = [];
+    const lastWins = await parallel([addName, addEmail])(base);
+    const failed = await parallel([addName, addEmail], { merge: 'deep', onConflict: 'error' })(base);
+    const warned = await parallel([addName, addEmail], {
+      onConflict: 'warn',
+      onWarn: (message) => warnings.push(message)
+    })(base);
+
+    expect(lastWins.source).toBe('crm');
+    expect(failed.error).toBeInstanceOf(MergeConflictError);
+    expect(failed.error).toMatchObject({ code: 'MERGE_CONFLICT', conflicts: [{ key: 'source', branches: [0, 1] }] });
+    expect(warned.source).toBe('crm');
+    expect(warned._meta.parallel.conflicts.map(conflict => conflict.key)).toEqual(['user', 'source']);
+    expect(warnings).toEqual(['Parallel branches wrote conflicting values to: user, source']);
+  });
+
+  test('should combine internal metadata instead of treating it as a conflict', async () => {
+    const tagA = async (ctx) => ({ ...ctx, a: true });
+    const tagB = async (ctx) => ({ ...ctx, b: true });
+    const tagC = async (ctx) => ({ ...ctx, c: true });
+    const input = { x: 1, _meta: { requestId: 'r1', branches: [{ type: 'branch', taken: 'then' }] } };
+
+    const strict = await parallel([branch(() => true, tagA), branch(() => false, tagB, tagC)], { onConflict: 'error' })(input);
+    const deep = await parallel([branch(() => true, tagA), branch(() => false, tagB, tagC)], { merge: 'deep' })(input);
+
+    expect(strict.error).toBeUndefined();
+    expect(strict).toMatchObject({ x: 1, a: true, c: true });
+    expect(strict._meta.requestId).toBe('r1');
+    expect(strict._meta.branches.map(decision => decision.taken)).toEqual(['then', 'then', 'else']);
+    expect(deep._meta).toEqual(strict._meta);
+    expect(input._meta.branches).toHaveLength(1);
+  });
+
+  test('should collect every branch error into a ParallelError', async () => {
+    const failingGeo = async () => { throw new Error('geo lookup failed'); };
+    const failingRisk = async (ctx) => ({ ...ctx, error: new Error('risk score unavailable') });
+
+    const result = await parallel({ geo: failingGeo, risk: failingRisk, profile: addName }, { errorMode: 'collectAll' })(base);
+
+    expect(result.error).toBeInstanceOf(ParallelError);
+    expect(result.error.code).toBe('PARALLEL_FAILED');
+    expect(result.error.failures.map(failure => [failure.branch, failure.error.message])).toEqual([
+      ['geo', 'geo lookup failed'],
+      ['risk', 'risk score unavailable']
+    ]);
+    expect(result.user.name).toBe('Ada');
+  });
+
+  test('should fail fast and cancel the other branches', async () => {
+    let cancelled = null;
+    const slow = chain(async (ctx) => {
+      await wait(50);
+      return { ...ctx, slowDone: true };
+    }, { chainTimeout: 1000 });
+    const watchSignal = async (ctx) => {
+      ctx.signal.addEventListener('abort', () => { cancelled = ctx.signal.reason; });
+      return slow(ctx);
+    };
+    const failing = async (ctx) => ({ ...ctx, error: new Error('inventory unavailable') });
+
+    const result = await parallel([watchSignal, failing])(base);
+
+    expect(result.error.message).toBe('inventory unavailable');
+    expect(result.slowDone).toBeUndefined();
+    expect(cancelled).toBeInstanceOf(CancellationError);
+  });
+
+  test('should support custom merges in parallelMiddleware', async () => {
+    const sumScores = (ctx, outcomes) => ({
+      ...ctx,
+      score: outcomes.reduce((total, { changes }) => total + changes.score, 0),
+      branches: outcomes.map(outcome => outcome.branch)
+    });
+    const middleware = parallelMiddleware([
+      (ctx) => ({ ...ctx, score: 2 }),
+      async (ctx) => ({ ...ctx, score: 3 })
+    ], { merge: sumScores });
+
+    const result = await middleware({ requestId: 'r1' });
+
+    expect(result).toEqual({ requestId: 'r1', score: 5, branches: [0, 1] });
+    expect(() => parallelMiddleware([], { onConflict: 'ignore' })).toThrow('onConflict must be one of');
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Plugin Tests
+ * Tests for modulink.register: encapsulation of middleware and services,
+ * route prefixes, dependencies, async plugins and lifecycle hooks
+ */
+
+import request from 'supertest';
+import { createModuLink, chain, definePlugin } from '../index.js';
+
+describe('Plugins', () => {
+  const tag = (name) => (ctx) => ({ ...ctx, tags: [...(ctx.tags || []), name] });
+  const echo = chain((ctx) => ({ ...ctx, seen: ctx.tags || [] }));
+
+  test('should encapsulate plugin middleware and prefix routes', async () => {
+    const modulink = createModuLink();
+    modulink.use(tag('root'));
+    modulink.http.get('/public', echo);
+
+    await modulink.register((admin) => {
+      admin.use(tag('admin'));
+      admin.http.get('/', echo).get('/users', echo);
+    }, { prefix: '/admin' });
+
+    const publicResponse = await request(modulink.http.handle).get('/public');
+    const adminResponse = await request(modulink.http.handle).get('/admin/users');
+    const indexResponse = await request(modulink.http.handle).get('/admin');
+
+    expect(publicResponse.body).toEqual({ tags: ['root'], seen: ['root'] });
+    expect(adminResponse.body).toEqual({ tags: ['root', 'admin'], seen: ['root', 'admin'] });
+    expect(indexResponse.status).toBe(200);
+    expect(modulink.http.routes.map(route => route.path)).toEqual(['/public', '/admin', '/admin/users']);
+  });
+
+  test('should share middleware of plugins that opt out of encapsulation', async () => {
+    const modulink = createModuLink();
+    const tracing = definePlugin({
+      name: 'tracing',
+      encapsulate: false,
+      register(scope, { label }) {
+        scope.use(tag(label));
+      }
+    });
+
+    await modulink.register(tracing, { label: 'traced' });
+    await modulink.register((api) => {
+      api.use(tag('api'));
+      api.cron('0 0 1 1 *', echo, { name: 'report', paused: true });
+    });
+    const job = await modulink.runNow('report');
+    const direct = await modulink.run(echo);
+
+    expect(job.outcome).toBe('success');
+    expect(direct.seen).toEqual(['traced']);
+    expect((await modulink.register(() => {}))).toBe(modulink);
+  });
+
+  test('should scope services to the plugin and its children', async () => {
+    const modulink = createModuLink();
+    const events = [];
+    modulink.provide('db', () => ({ query: (sql) => `result of ${sql}` }));
+    const seen = {};
+
+    await modulink.register(async (billing) => {
+      billing.provide('invoices', async (resolve) => {
+        const db = await resolve('db');
+        return { list: () => db.query('SELECT invoices') };
+      });
+      billing.provide('tx', () => {
+        events.push('begin');
+        return {};
+      }, { scope: 'perExecution', dispose: () => { events.push('end'); } });
+
+      await billing.register((reports) => {
+        reports.subscribe('reports.monthly', chain((ctx) => {
+          seen.reports = Object.keys(ctx.deps).sort();
+          return ctx;
+        }));
+      });
+      seen.result = await billing.run(chain((ctx) => ({ ...ctx, invoices: ctx.deps.invoices.list() })));
+    });
+
+    await modulink.publish('reports.monthly', {});
+    await modulink.bus.drain();
+    const outside = await modulink.run(chain((ctx) => ({ ...ctx, names: Object.keys(ctx.deps) })));
+
+    expect(seen.result.invoices).toBe('result of SELECT invoices');
+    expect(seen.reports).toEqual(['db', 'invoices', 'tx']);
+    expect(outside.names).toEqual(['db']);
+    expect(events).toEqual(['begin', 'end', 'begin', 'end']);
+  });
+
+  test('should check plugin dependencies and names', async () => {
+    const modulink = createModuLink();
+    const db = definePlugin({ name: 'db', encapsulate: false, register() {} });
+    const auth = definePlugin({ name: 'auth', dependencies: ['db'], register() {} });
+
+    await expect(modulink.register(auth)).rejects.toThrow(
+      'Plugin "auth" depends on "db", which must be registered first'
+    );
+    await modulink.register(db);
+    await expect(modulink.register(db)).rejects.toThrow('Plugin "db" is already registered');
+    await modulink.register(auth);
+    expect(() => definePlugin({ name: 'broken' })).toThrow('must be a function or an object with a register() function');
+  });
+
+  test('should wait for async plugins before starting and dispose plugin services on stop', async () => {
+    const modulink = createModuLink();
+    const events = [];
+    modulink.register(async (cache) => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      cache.provide('redis', () => {
+        events.push('connect redis');
+        return {};
+      }, { dispose: () => { events.push('close redis'); } });
+      cache.onStart(() => { events.push('onStart'); });
+      cache.onStop(() => { events.push('onStop'); });
+    });
+
+    await modulink.start({ signals: [] });
+    await modulink.stop();
+
+    expect(events).toEqual(['onStart', 'connect redis', 'onStop', 'close redis']);
+  });
+
+  test('should reject ready() and start() when a plugin fails', async () => {
+    const modulink = createModuLink();
+    const registration = modulink.register(async () => {
+      throw new Error('invalid plugin configuration');
+    });
+
+    await expect(registration).rejects.toThrow('invalid plugin configuration');
+    await expect(modulink.ready()).rejects.toThrow('invalid plugin configuration');
+    await expect(modulink.start({ signals: [] })).rejects.toThrow('invalid plugin configuration');
+    expect(modulink.state).toBe('idle');
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Rate Limit Tests
+ * Tests for rateLimit(): token-bucket and sliding-window algorithms, keys,
+ * pluggable stores, RateLimitError and HTTP 429 mapping
+ */
+
+import request from 'supertest';
+import { createModuLink, chain, rateLimit, createMemoryRateLimitStore, RateLimitError } from '../index.js';
+
+describe('Rate Limiting', () => {
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  const byApiKey = (ctx) => ctx.headers?.['x-api-key'];
+
+  test('should allow bursts up to the limit with a token bucket', async () => {
+    const limiter = rateLimit({ key: byApiKey, limit: 3, windowMs: 60000 });
+    const ctx = { headers: { 'x-api-key': 'k1' } };
+
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      results.push(await limiter(ctx));
+    }
+
+    expect(results.slice(0, 3).map(result => result._meta.rateLimit.remaining)).toEqual([2, 1, 0]);
+    expect(results[3].error).toBeInstanceOf(RateLimitError);
+    expect(results[3].error).toMatchObject({ code: 'RATE_LIMITED', limit: 3, windowMs: 60000, retryable: true });
+    expect(results[3].error.retryAfterMs).toBeGreaterThan(19000);
+    expect(results[3].error.retryAfterMs).toBeLessThanOrEqual(20000);
+  });
+
+  test('should refill tokens over the window', async () => {
+    const limiter = rateLimit({ key: () => 'worker', limit: 2, windowMs: 40 });
+
+    await limiter({});
+    await limiter({});
+    const limited = await limiter({});
+    await wait(limited.error.retryAfterMs + 5);
+    const refilled = await limiter({});
+
+    expect(limited.error.retryAfterMs).toBeLessThanOrEqual(20);
+    expect(refilled.error).toBeUndefined();
+  });
+
+  test('should count calls in a sliding window', async () => {
+    const limiter = rateLimit({ key: byApiKey, limit: 2, windowMs: 200, algorithm: 'sliding-window' });
+    const ctx = { headers: { 'x-api-key': 'k1' } };
+
+    await limiter(ctx);
+    await wait(100);
+    await limiter(ctx);
+    const limited = await limiter(ctx);
+    await wait(limited.error.retryAfterMs + 5);
+    const afterFirstExpired = await limiter(ctx);
+    const limitedAgain = await limiter(ctx);
+
+    expect(limited.error.retryAfterMs).toBeLessThanOrEqual(100);
+    expect(afterFirstExpired._meta.rateLimit).toMatchObject({ allowed: true, remaining: 0 });
+    expect(limitedAgain.error).toBeInstanceOf(RateLimitError);
+  });
+
+  test('should limit each key separately and skip missing keys', async () => {
+    const limiter = rateLimit({ key: byApiKey, limit: 1, windowMs: 60000 });
+
+    const first = await limiter({ headers: { 'x-api-key': 'a' } });
+    const other = await limiter({ headers: { 'x-api-key': 'b' } });
+    const again = await limiter({ headers: { 'x-api-key': 'a' } });
+    const anonymous = await limiter({ headers: {} });
+
+    expect(first.error).toBeUndefined();
+    expect(other.error).toBeUndefined();
+    expect(again.error.code).toBe('RATE_LIMITED');
+    expect(anonymous._meta).toBeUndefined();
+    expect(() => rateLimit({ algorithm: 'leaky-bucket' })).toThrow('Rate limit algorithm must be one of');
+  });
+
+  test('should keep state in a pluggable store', async () => {
+    const store = createMemoryRateLimitStore();
+    const updates = [];
+    const recordingStore = {
+      async update(key, updater, ttlMs) {
+        updates.push({ key, ttlMs });
+        return store.update(key, updater, ttlMs);
+      }
+    };
+    const options = { key: () => 'shared', limit: 1, windowMs: 1000, store: recordingStore };
+
+    await rateLimit(options)({});
+    const fromSecondLimiter = await rateLimit(options)({});
+
+    expect(fromSecondLimiter.error).toBeInstanceOf(RateLimitError);
+    expect(updates).toEqual([
+      { key: 'rateLimit:token-bucket:shared', ttlMs: 1000 },
+      { key: 'rateLimit:token-bucket:shared', ttlMs: 1000 }
+    ]);
+    expect(store.size).toBe(1);
+  });
+
+  test('should answer 429 with Retry-After as instance middleware', async () => {
+    const modulink = createModuLink();
+    let searches = 0;
+    modulink.use(rateLimit({ key: byApiKey, limit: 1, windowMs: 60000 }));
+    modulink.http.get('/search', chain((ctx) => {
+      searches++;
+      return { ...ctx, results: [] };
+    }));
+
+    const ok = await request(modulink.http.handle).get('/search').set('X-Api-Key', 'k1');
+    const limited = await request(modulink.http.handle).get('/search').set('X-Api-Key', 'k1');
+
+    expect(ok.status).toBe(200);
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBe('60');
+    expect(limited.body.error.code).toBe('RATE_LIMITED');
+    expect(searches).toBe(1);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Execution Recording and Replay Tests
+ * Tests for the recorder middleware, portable recordings and replay()
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  chain,
+  recorder,
+  withRecording,
+  replay,
+  getRecording,
+  saveRecording,
+  loadRecording,
+  ReplayDivergenceError
+} from '../index.js';
+
+describe('Execution Recording and Replay', () => {
+  const validateCart = (ctx) => ctx.items.length
+    ? { ...ctx, validated: true }
+    : { ...ctx, error: new Error('Cart is empty') };
+  const priceCart = (ctx) => ({ ...ctx, total: ctx.items.reduce((sum, item) => sum + item.price, 0) });
+  const dropItems = (ctx) => {
+    const { items, ...rest } = ctx;
+    return { ...rest, itemCount: items.length };
+  };
+
+  const buildCheckout = () => chain(validateCart, priceCart, dropItems);
+
+  test('should capture input, per-link diffs, timings and errors', async () => {
+    const result = await withRecording(buildCheckout())({ items: [{ price: 5 }, { price: 7 }] });
+    const recording = getRecording(result);
+
+    expect(recording.version).toBe(1);
+    expect(recording.input).toEqual({ items: [{ price: 5 }, { price: 7 }] });
+    expect(recording.completedAt).toBeDefined();
+    expect(recording.steps.map(step => step.name)).toEqual(['validateCart', 'priceCart', 'dropItems']);
+    expect(recording.steps[1].diff).toEqual({ set: { total: 12 }, removed: [] });
+    expect(recording.steps[2].diff).toEqual({ set: { itemCount: 2 }, removed: ['items'] });
+    expect(typeof recording.steps[0].durationMs).toBe('number');
+    expect(recording.steps.every(step => step.error === null)).toBe(true);
+  });
+
+  test('should record the failing step and hand recordings to onComplete', async () => {
+    const completed = [];
+    const rec = recorder({ onComplete: (recording) => completed.push(recording) });
+    const checkout = buildCheckout().use.onInput(rec.onInput).use.onOutput(rec.onOutput);
+
+    await checkout({ items: [] });
+
+    expect(completed).toHaveLength(1);
+    expect(completed[0].steps).toHaveLength(1);
+    expect(completed[0].steps[0].error).toEqual({ name: 'Error', message: 'Cart is empty' });
+    expect(completed[0].recorderId).toBeUndefined();
+  });
+
+  test('should round-trip recordings through JSON files', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'modulink-recording-'));
+    try {
+      const file = path.join(directory, 'checkout.json');
+      const result = await withRecording(buildCheckout())({ items: [{ price: 1 }] });
+
+      await saveRecording(file, getRecording(result));
+      const loaded = await loadRecording(file);
+
+      expect(loaded).toEqual(getRecording(result));
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('should replay a matching chain without divergence', async () => {
+    const result = await withRecording(buildCheckout())({ items: [{ price: 2 }, { price: 3 }] });
+
+    const report = await replay(buildCheckout(), getRecording(result));
+
+    expect(report.ok).toBe(true);
+    expect(report.divergence).toBeNull();
+    expect(report.result.total).toBe(5);
+  });
+
+  test('should leave the replayed chain unchanged', async () => {
+    const audit = (ctx) => ({ ...ctx, audited: true });
+    const checkout = buildCheckout().use(audit);
+    const result = await withRecording(buildCheckout())({ items: [{ price: 2 }] });
+
+    const report = await replay(checkout, getRecording(result), { ignore: ['audited'] });
+    const production = await checkout({ items: [{ price: 4 }] });
+
+    expect(report.ok).toBe(true);
+    expect(report.result.audited).toBe(true);
+    expect(checkout._debugInfo().middlewareCounts).toEqual({ input: 0, output: 0, global: 1 });
+    expect(production._meta.recording).toBeUndefined();
+    expect(production.total).toBe(4);
+  });
+
+  test('should stop at the first divergent step', async () => {
+    const result = await withRecording(buildCheckout())({ items: [{ price: 2 }, { price: 3 }] });
+    const discountedPrice = function priceCart(ctx) {
+      return { ...ctx, total: 4 };
+    };
+    const changed = chain(validateCart, discountedPrice, dropItems);
+
+    const report = await replay(changed, getRecording(result));
+
+    expect(report.ok).toBe(false);
+    expect(report.divergence.step).toBe(1);
+    expect(report.divergence.expected.diff.set.total).toBe(5);
+    expect(report.divergence.actual.diff.set.total).toBe(4);
+    expect(report.result.error).toBeInstanceOf(ReplayDivergenceError);
+    expect(report.result.itemCount).toBeUndefined();
+  });
+
+  test('should ignore configured non-deterministic keys', async () => {
+    const stamp = (ctx) => ({ ...ctx, stampedAt: Math.random() });
+    const stamped = () => chain(priceCart, stamp);
+    const result = await withRecording(stamped())({ items: [{ price: 1 }] });
+
+    const strict = await replay(stamped(), getRecording(result));
+    const relaxed = await replay(stamped(), getRecording(result), { ignore: ['stampedAt'] });
+
+    expect(strict.ok).toBe(false);
+    expect(relaxed.ok).toBe(true);
+  });
+
+  test('should report missing steps when the replay ends early', async () => {
+    const result = await withRecording(buildCheckout())({ items: [{ price: 1 }] });
+
+    const report = await replay(chain(validateCart, priceCart), getRecording(result));
+
+    expect(report.ok).toBe(false);
+    expect(report.divergence).toMatchObject({ step: 2, actual: null });
+    expect(report.divergence.expected.name).toBe('dropItems');
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * HTTP Response Mapping Tests
+ * Tests for the ctx.response convention, error status table, content
+ * negotiation and streaming
+ */
+
+import { Readable } from 'stream';
+import express from 'express';
+import request from 'supertest';
+import {
+  createModuLink,
+  chain,
+  createHttpContext,
+  ModuLinkError,
+  TimeoutError,
+  sendResponse,
+  toHttpResponse,
+  httpStatusForError,
+  negotiateContentType,
+  ErrorCodes,
+  ErrorHttpStatus,
+  RateLimitError
+} from '../index.js';
+
+describe('HTTP Response Mapping', () => {
+  test('should honour ctx.response status, headers and body', async () => {
+    const createUser = (ctx) => ({
+      ...ctx,
+      response: { status: 201, headers: { Location: '/users/1' }, body: { id: 1, ...ctx.body } }
+    });
+    const modulink = createModuLink();
+    modulink.http.post('/users', chain(createUser));
+
+    const response = await request(modulink.http.handle).post('/users').send({ name: 'Ada' });
+
+    expect(response.status).toBe(201);
+    expect(response.headers.location).toBe('/users/1');
+    expect(response.body).toEqual({ id: 1, name: 'Ada' });
+  });
+
+  test('should map error codes to HTTP statuses with overrides', () => {
+    const error = (code) => new ModuLinkError('failed', { code });
+
+    expect(httpStatusForError(error('VALIDATION_FAILED'))).toBe(400);
+    expect(httpStatusForError(error('NOT_FOUND'))).toBe(404);
+    expect(httpStatusForError(new TimeoutError('slow'))).toBe(504);
+    expect(httpStatusForError(error('SOMETHING_ELSE'))).toBe(500);
+    expect(httpStatusForError(error('OUT_OF_STOCK'), { OUT_OF_STOCK: 409 })).toBe(409);
+    expect(httpStatusForError(Object.assign(new Error('gone'), { status: 410 }))).toBe(410);
+  });
+
+  test('should build error responses from ctx.error', () => {
+    const ctx = { error: new ModuLinkError('No such user', { code: 'NOT_FOUND' }) };
+
+    expect(toHttpResponse(ctx)).toEqual({
+      status: 404,
+      headers: {},
+      body: { error: { code: 'NOT_FOUND', message: 'No such user' } }
+    });
+    expect(toHttpResponse(ctx, { errorBody: (error) => ({ problem: error.code }) }).body)
+      .toEqual({ problem: 'NOT_FOUND' });
+  });
+
+  test('should not expose messages of unexpected server errors', async () => {
+    const query = () => { throw new Error('connect ECONNREFUSED 10.0.0.5:5432 (/srv/app/db.js)'); };
+    const charge = () => { throw new ModuLinkError('Payment provider is down', { code: 'UNAVAILABLE' }); };
+    const lookup = () => { throw Object.assign(new Error('relation "users" does not exist'), { code: '42P01' }); };
+    const modulink = createModuLink();
+    modulink.http.get('/users', chain(query));
+    modulink.http.post('/charges', chain(charge));
+    modulink.http.get('/accounts', chain(lookup));
+
+    const crashed = await request(modulink.http.handle).get('/users');
+    const unavailable = await request(modulink.http.handle).post('/charges');
+    const withCode = await request(modulink.http.handle).get('/accounts');
+    const custom = toHttpResponse({ error: new Error('disk full at /var/lib') }, { errorBody: (error) => error.message });
+
+    expect(crashed.status).toBe(500);
+    expect(crashed.body).toEqual({ error: { code: 'UNEXPECTED_ERROR', message: 'Internal server error' } });
+    expect(unavailable.status).toBe(503);
+    expect(unavailable.body.error.message).toBe('Payment provider is down');
+    expect(withCode.body).toEqual({ error: { code: '42P01', message: 'Internal server error' } });
+    expect(custom.body).toBe('disk full at /var/lib');
+  });
+
+  test('should negotiate the content type from the Accept header', async () => {
+    const greet = (ctx) => ({ ...ctx, response: { body: 'hello' } });
+    const csv = (rows) => rows.map(row => row.join(',')).join('\n');
+    const report = (ctx) => ({ ...ctx, response: { body: [['a', 1], ['b', 2]] } });
+    const modulink = createModuLink();
+    modulink.http.configure({ serializers: { 'text/csv': csv } });
+    modulink.http.get('/greeting', chain(greet));
+    modulink.http.get('/report', chain(report));
+
+    const text = await request(modulink.http.handle).get('/greeting');
+    const json = await request(modulink.http.handle).get('/report').set('Accept', 'application/json');
+    const asCsv = await request(modulink.http.handle).get('/report').set('Accept', 'text/csv');
+    const rejected = await request(modulink.http.handle).get('/report').set('Accept', 'image/png');
+
+    expect(text.headers['content-type']).toMatch(/^text\/plain/);
+    expect(text.text).toBe('hello');
+    expect(json.body).toEqual([['a', 1], ['b', 2]]);
+    expect(asCsv.text).toBe('a,1\nb,2');
+    expect(rejected.status).toBe(406);
+    expect(negotiateContentType('text/*;q=0.5, application/json', ['text/plain', 'application/json']))
+      .toBe('application/json');
+  });
+
+  test('should keep the status and headers of errors the client cannot accept', async () => {
+    const limited = (ctx) => ({
+      ...ctx,
+      error: new RateLimitError('slow down', { retryAfterMs: 1500 })
+    });
+    const modulink = createModuLink();
+    modulink.http.get('/search', chain(limited));
+    modulink.http.get('/report', chain((ctx) => ({ ...ctx, rows: [] })));
+
+    const error = await request(modulink.http.handle).get('/search').set('Accept', 'image/png');
+    const rejected = await request(modulink.http.handle).get('/report').set('Accept', 'image/png');
+
+    expect(error.status).toBe(429);
+    expect(error.headers['retry-after']).toBe('2');
+    expect(error.headers['content-type']).toMatch(/^application\/json/);
+    expect(error.body.error.code).toBe('RATE_LIMITED');
+    expect(rejected.status).toBe(406);
+    expect(rejected.body.error.code).toBe(ErrorCodes.NOT_ACCEPTABLE);
+    expect(ErrorHttpStatus.NOT_ACCEPTABLE).toBe(406);
+  });
+
+  test('should stream readable and async iterable bodies', async () => {
+    async function* rows() {
+      yield { id: 1 };
+      yield { id: 2 };
+    }
+    const download = (ctx) => ({
+      ...ctx,
+      response: { headers: { 'Content-Type': 'text/plain' }, body: Readable.from(['chunk-1 ', 'chunk-2']) }
+    });
+    const exportRows = (ctx) => ({ ...ctx, response: { body: rows() } });
+    const modulink = createModuLink();
+    modulink.http.get('/download', chain(download));
+    modulink.http.get('/rows', chain(exportRows));
+
+    const streamed = await request(modulink.http.handle).get('/download');
+    const ndjson = await request(modulink.http.handle).get('/rows').buffer(true).parse((res, done) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => done(null, data));
+    });
+
+    expect(streamed.text).toBe('chunk-1 chunk-2');
+    expect(ndjson.headers['content-type']).toBe('application/x-ndjson');
+    expect(ndjson.body).toBe('{"id":1}\n{"id":2}\n');
+  });
+
+  test('should send results from hand-written Express handlers', async () => {
+    const signup = chain((ctx) => ({ ...ctx, newUser: { email: ctx.body.email }, emailSent: true }));
+    const app = express();
+    app.use(express.json());
+    app.post('/api/signup', async (req, res) => {
+      const result = await signup(createHttpContext({ body: req.body }));
+      await sendResponse(res, result, { respond: ['newUser', 'emailSent'] });
+    });
+
+    const response = await request(app).post('/api/signup').send({ email: 'a@b.c' });
+
+    expect(response.body).toEqual({ newUser: { email: 'a@b.c' }, emailSent: true });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Retry Policy Tests
+ * Tests for retry() with policies: backoff strategies, error filtering,
+ * elapsed-time limits, onRetry hooks, cancellation and ctx._meta.retry
+ */
+
+import { chain, retry, retryPolicy, ValidationError, CancellationError } from '../index.js';
+
+describe('Retry Policies', () => {
+  const failing = (error, succeedOn = Infinity) => {
+    let calls = 0;
+    const target = chain((ctx) => {
+      calls++;
+      if (calls < succeedOn) {
+        throw typeof error === 'function' ? error() : error;
+      }
+      return { ...ctx, calls };
+    });
+    target.calls = () => calls;
+    return target;
+  };
+
+  test('should back off exponentially up to maxDelayMs and call onRetry', async () => {
+    const retries = [];
+    const target = failing(new Error('upstream unavailable'));
+    const guarded = retry(target, {
+      maxRetries: 3,
+      delayMs: 5,
+      maxDelayMs: 12,
+      onRetry: (error, attempt, delayMs) => retries.push({ message: error.message, attempt, delayMs })
+    });
+
+    const result = await guarded({ requestId: 'r1' });
+
+    expect(result.error.message).toBe('upstream unavailable');
+    expect(result._meta.retry).toMatchObject({
+      attempts: 4,
+      successful: false,
+      maxRetries: 3,
+      delays: [5, 10, 12],
+      gaveUp: 'maxRetries'
+    });
+    expect(retries.map(entry => entry.attempt)).toEqual([1, 2, 3]);
+    expect(retries[0]).toEqual({ message: 'upstream unavailable', attempt: 1, delayMs: 5 });
+  });
+
+  test('should support linear, decorrelated-jitter and custom backoff', async () => {
+    const error = new Error('flaky');
+    const linear = await retry(failing(error), { maxRetries: 2, backoff: 'linear', delayMs: 2 })({});
+    const custom = await retry(failing(error), {
+      maxRetries: 3,
+      backoff: (attempt, previous) => previous + attempt,
+      delayMs: 1
+    })({});
+    const decorrelated = await retry(failing(error), {
+      maxRetries: 4,
+      backoff: 'decorrelated-jitter',
+      delayMs: 2,
+      maxDelayMs: 20
+    })({});
+
+    expect(linear._meta.retry.delays).toEqual([2, 4]);
+    expect(custom._meta.retry.delays).toEqual([2, 4, 7]);
+    let previous = 2;
+    for (const delay of decorrelated._meta.retry.delays) {
+      expect(delay).toBeGreaterThanOrEqual(2);
+      expect(delay).toBeLessThanOrEqual(Math.min(20, previous * 3));
+      previous = delay;
+    }
+  });
+
+  test('should not retry errors that will never succeed', async () => {
+    const invalid = failing(new ValidationError('email is required'));
+    const notFound = failing(Object.assign(new Error('no such user'), { code: 'NOT_FOUND' }));
+    const flagged = failing(Object.assign(new Error('conflict, try again'), { code: 'CONFLICT', retryable: true }), 2);
+    const policy = { maxRetries: 3, delayMs: 1 };
+
+    const invalidResult = await retry(invalid, policy)({});
+    const notFoundResult = await retry(notFound, policy)({});
+    const flaggedResult = await retry(flagged, policy)({});
+
+    expect(invalid.calls()).toBe(1);
+    expect(invalidResult._meta.retry).toMatchObject({ attempts: 1, gaveUp: 'notRetryable' });
+    expect(notFound.calls()).toBe(1);
+    expect(flaggedResult._meta.retry).toMatchObject({ attempts: 2, successful: true, gaveUp: null });
+  });
+
+  test('should retry only what shouldRetry accepts', async () => {
+    const codes = ['TIMEOUT', 'UNAVAILABLE', 'UPSTREAM_500'];
+    const target = failing(() => Object.assign(new Error('failed'), { code: codes.shift() }));
+    const seen = [];
+
+    const result = await retry(target, {
+      maxRetries: 5,
+      delayMs: 1,
+      shouldRetry: (error, attempt) => {
+        seen.push([error.code, attempt]);
+        return ['TIMEOUT', 'UNAVAILABLE'].includes(error.code);
+      }
+    })({});
+
+    expect(seen).toEqual([['TIMEOUT', 1], ['UNAVAILABLE', 2], ['UPSTREAM_500', 3]]);
+    expect(result._meta.retry).toMatchObject({ attempts: 3, gaveUp: 'notRetryable' });
+  });
+
+  test('should stop when the next attempt would exceed maxElapsedMs', async () => {
+    const target = failing(new Error('slow upstream'));
+
+    const result = await retry(target, { maxRetries: 10, backoff: 'fixed', delayMs: 20, maxElapsedMs: 35 })({});
+
+    expect(target.calls()).toBe(2);
+    expect(result._meta.retry).toMatchObject({ attempts: 2, delays: [20], gaveUp: 'maxElapsed' });
+    expect(result._meta.retry.elapsedMs).toBeLessThan(35);
+  });
+
+  test('should stop waiting when the execution is cancelled', async () => {
+    const controller = new AbortController();
+    const target = failing(new Error('upstream unavailable'));
+    const guarded = retry(target, { maxRetries: 3, delayMs: 1000 });
+
+    const pending = guarded({ signal: controller.signal });
+    setTimeout(() => controller.abort(), 5);
+    const result = await pending;
+
+    expect(result.error).toBeInstanceOf(CancellationError);
+    expect(result._meta.retry).toMatchObject({ attempts: 1, gaveUp: 'cancelled' });
+    expect(target.calls()).toBe(1);
+  });
+
+  test('should keep the numeric signature and validate policies', async () => {
+    const target = failing(new Error('flaky'), 2);
+
+    const result = await retry(target, 2, 1)({ initial: true });
+
+    expect(result).toMatchObject({ initial: true, calls: 2 });
+    expect(result.retryInfo).toBeUndefined();
+    expect(result._meta.retry).toMatchObject({ attempts: 2, successful: true, delays: [1] });
+    expect(() => retryPolicy({ backoff: 'random' })).toThrow('Retry backoff must be a function or one of');
+    expect(Object.isFrozen(retryPolicy())).toBe(true);
+  });
+});
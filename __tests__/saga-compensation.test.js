@@ -0,0 +1,78 @@
+/**
+ * Saga Compensation Tests
+ * Tests for step() compensating links and reverse-order rollback in chains
+ */
+
+import { jest } from '@jest/globals';
+import { chain, step } from '../index.js';
+
+describe('Saga Compensation', () => {
+  const reserve = (ctx) => ({ ...ctx, reserved: true, log: [...(ctx.log || []), 'reserve'] });
+  const release = (ctx) => ({ ...ctx, reserved: false, log: [...ctx.log, 'release'] });
+  const charge = async (ctx) => ({ ...ctx, charged: true, log: [...ctx.log, 'charge'] });
+  const refund = async (ctx) => ({ ...ctx, charged: false, log: [...ctx.log, 'refund'] });
+  const recordOrder = () => {
+    throw new Error('Database unavailable');
+  };
+
+  test('should behave like the wrapped link when nothing fails', async () => {
+    const orderChain = chain(step(reserve, release), step(charge, refund));
+
+    const result = await orderChain({});
+
+    expect(result.log).toEqual(['reserve', 'charge']);
+    expect(result._meta.compensation).toBeUndefined();
+  });
+
+  test('should compensate completed steps in reverse order', async () => {
+    const orderChain = chain(step(reserve, release), step(charge, refund), recordOrder);
+
+    const result = await orderChain({});
+
+    expect(result.error.message).toBe('Database unavailable');
+    expect(result.log).toEqual(['reserve', 'charge', 'refund', 'release']);
+    expect(result.reserved).toBe(false);
+    expect(result.charged).toBe(false);
+    expect(result._meta.compensation).toEqual({
+      failedLink: { name: 'recordOrder', index: 2 },
+      compensated: [
+        { name: 'charge', index: 1 },
+        { name: 'reserve', index: 0 }
+      ],
+      failed: []
+    });
+  });
+
+  test('should not compensate the failing step itself', async () => {
+    const undoCharge = jest.fn((ctx) => ctx);
+    const failingCharge = (ctx) => ({ ...ctx, error: new Error('Card declined') });
+    const orderChain = chain(step(reserve, release), step(failingCharge, undoCharge));
+
+    const result = await orderChain({});
+
+    expect(undoCharge).not.toHaveBeenCalled();
+    expect(result.error.message).toBe('Card declined');
+    expect(result._meta.compensation.compensated).toEqual([{ name: 'reserve', index: 0 }]);
+  });
+
+  test('should report failed compensations and keep going', async () => {
+    const brokenRefund = () => {
+      throw new Error('Refund API down');
+    };
+    const orderChain = chain(step(reserve, release), step(charge, brokenRefund), recordOrder);
+
+    const result = await orderChain({});
+
+    expect(result.error.message).toBe('Database unavailable');
+    expect(result.reserved).toBe(false);
+    expect(result._meta.compensation.failed).toHaveLength(1);
+    expect(result._meta.compensation.failed[0].name).toBe('charge');
+    expect(result._meta.compensation.failed[0].error.message).toBe('Refund API down');
+    expect(result._meta.compensation.compensated).toEqual([{ name: 'reserve', index: 0 }]);
+  });
+
+  test('should reject non-function arguments', () => {
+    expect(() => step(reserve)).toThrow('Step compensation must be a function');
+    expect(() => step(null, release)).toThrow('Step action must be a function');
+  });
+});
@@ -296,8 +296,8 @@ describe('ModuLink System', () => {
       expect(result.initial).toBe(true);
       expect(result.success).toBe(true);
       expect(result.attempts).toBe(3);
-      expect(result.retryInfo.attempts).toBe(3);
-      expect(result.retryInfo.successful).toBe(true);
+      expect(result._meta.retry.attempts).toBe(3);
+      expect(result._meta.retry.successful).toBe(true);
     });
 
     test('should fail after max retries', async () => {
@@ -311,8 +311,8 @@ describe('ModuLink System', () => {
       expect(result.initial).toBe(true);
       expect(result.error).toBeDefined();
       expect(result.error.message).toBe('Always fails');
-      expect(result.retryInfo.attempts).toBe(3);
-      expect(result.retryInfo.successful).toBe(false);
+      expect(result._meta.retry.attempts).toBe(3);
+      expect(result._meta.retry.successful).toBe(false);
     });
   });
 
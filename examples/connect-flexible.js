@@ -7,110 +7,49 @@ import cron from 'node-cron';
 import { program } from 'commander';
 
 /**
- * Connect an HTTP route using the new flexible connect patterns
+ * Connect an HTTP route through the ModuLink HTTP trigger.
+ * Works with an Express app or, without one, via modulink.http.listen(port).
  */
 export function connectHttpRoute(modulink, method, path, chain) {
-  // Use flexible connect with two parameters for explicit app access
-  modulink.connect((app, modu) => {
-    if (!app) {
-      console.warn(`Cannot register HTTP route ${method} ${path} - no app framework`);
-      return;
-    }
-    
-    app[method.toLowerCase()](path, async (req, res) => {
-      try {
-        const ctx = modu.createContext({ 
-          req, 
-          res, 
-          payload: req.body,
-          type: 'http',
-          method: method.toUpperCase(),
-          path,
-          query: req.query,
-          headers: req.headers
-        });
-        
-        const result = await chain(ctx);
-        
-        if (result.error) {
-          res.status(500).json({ error: result.error.message });
-        } else {
-          // Send back success response with relevant data
-          res.json({
-            success: true,
-            data: {
-              user: result.newUser,
-              emailSent: result.emailSent,
-              timings: result.timings
-            }
-          });
-        }
-      } catch (err) {
-        res.status(400).json({ success: false, message: err.message });
+  modulink.http.route(method, path, chain, {
+    respond: (result) => ({
+      success: true,
+      data: {
+        user: result.newUser,
+        emailSent: result.emailSent,
+        timings: result.timings
       }
-    });
+    })
   });
 }
 
 /**
- * Connect a cron job using flexible connect (one parameter, no app needed)
+ * Connect a cron job through the ModuLink cron trigger (no app needed)
  */
 export function connectCronJob(modulink, schedule, chain, name = 'unnamed-job') {
-  // Use flexible connect with one parameter since no app needed
-  modulink.connect((modu) => {
-    cron.schedule(schedule, async () => {
-      const ctx = modu.createContext({ 
-        type: 'cron',
-        schedule,
-        name,
-        timestamp: new Date().toISOString()
-      });
-      
-      try {
-        const result = await chain(ctx);
-        console.log(`[CronJob:${name}] Completed:`, result.success ? 'SUCCESS' : 'ERROR');
-        if (result.deletedCount) {
-          console.log(`[CronJob:${name}] Deleted ${result.deletedCount} old records`);
-        }
-      } catch (error) {
-        console.error(`[CronJob:${name}] Error:`, error.message);
+  modulink.cron(schedule, chain, {
+    name,
+    onRun: (run, result) => {
+      console.log(`[CronJob:${name}] Completed:`, run.outcome === 'success' ? 'SUCCESS' : 'ERROR');
+      if (result && result.deletedCount) {
+        console.log(`[CronJob:${name}] Deleted ${result.deletedCount} old records`);
       }
-    });
-    
-    console.log(`[CronJob:${name}] Scheduled: ${schedule}`);
+    }
   });
+
+  console.log(`[CronJob:${name}] Scheduled: ${schedule}`);
 }
 
 /**
- * Connect a CLI command using flexible connect (one parameter, no app needed)
+ * Connect a CLI command through the ModuLink CLI trigger (no app needed)
  */
 export function connectCliCommand(modulink, commandName, chain) {
-  // Use flexible connect with one parameter since no app needed
-  modulink.connect((modu) => {
-    program
-      .command(commandName)
-      .description(`Invoke the ${chain.name || commandName} chain`)
-      .option('-f, --filename <filename>', 'File to process')
-      .option('-d, --debug', 'Enable debug output')
-      .action(async (opts) => {
-        const ctx = modu.createContext({ 
-          type: 'cli',
-          command: commandName,
-          cliArgs: opts,
-          invokedAt: new Date().toISOString()
-        });
-        
-        try {
-          const result = await chain(ctx);
-          console.log(`[CLI:${commandName}] Success:`, result.message || 'Command completed');
-          if (result.savedCount) {
-            console.log(`[CLI:${commandName}] Saved ${result.savedCount} records`);
-          }
-        } catch (error) {
-          console.error(`[CLI:${commandName}] Error:`, error.message);
-          process.exit(1);
-        }
-      });
+  modulink.command(commandName, chain, {
+    description: `Invoke the ${chain.name || commandName} chain`,
+    options: [
+      { flags: '-f, --filename <filename>', description: 'File to process' },
+      { flags: '-d, --debug', description: 'Enable debug output' }
+    ]
   });
 }
 
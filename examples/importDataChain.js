@@ -2,7 +2,7 @@
 // ------------------
 // Chain for importing data (CLI example)
 
-import { chain } from '../index.js';
+import { chain, createFileJournalStore } from '../index.js';
 import {
   readDataFileLink,
   processDataLink,
@@ -15,4 +15,20 @@ export const importDataChain = chain(
   processDataLink,
   saveDataLink
 )
-  .use(timingMiddleware('data-import-operation'));
\ No newline at end of file
+  .use(timingMiddleware('data-import-operation'));
+
+// Durable variant: checkpoints after every link into .modulink/journal so an
+// import interrupted by a crash resumes where it stopped. At startup:
+//
+//   for (const record of await listIncompleteExecutions(importJournal, { name: 'import-data' })) {
+//     await durableImportDataChain.resume(record.executionId);
+//   }
+export const importJournal = createFileJournalStore();
+
+export const durableImportDataChain = chain(
+  readDataFileLink,
+  processDataLink,
+  saveDataLink,
+  { durable: { name: 'import-data', store: importJournal } }
+)
+  .use(timingMiddleware('data-import-operation'));
@@ -53,7 +53,7 @@ export async function deleteOldUsersLink(ctx) {
 
 // CLI example links
 export async function readDataFileLink(ctx) {
-  const { filename } = ctx.cliArgs || {};
+  const { filename } = ctx.options || ctx.cliArgs || {};
   if (!filename) {
     throw new Error('Missing filename argument');
   }
@@ -7,13 +7,16 @@
 
 import { 
   chain, 
+  step,
   logging, 
   performanceTracker, 
   timing, 
   errorHandler,
   when,
   parallel,
-  retry
+  retry,
+  circuitBreaker,
+  rateLimit
 } from '../index.js';
 import { createHttpContext } from '../modulink/types.js';
 
@@ -64,20 +67,13 @@ function checkPermissions(requiredRole = 'user') {
   };
 }
 
-function rateLimitCheck(ctx) {
-  // Simulate rate limiting
-  const userId = ctx.user?.id || 'anonymous';
-  const limit = ctx.user?.role === 'admin' ? 1000 : 100;
-  
-  // Mock rate limit counter
-  const currentCount = Math.floor(Math.random() * 120);
-  
-  if (currentCount > limit) {
-    return { ...ctx, error: new Error('Rate limit exceeded') };
-  }
-  
-  return { ...ctx, rateLimitStatus: { current: currentCount, limit } };
-}
+// 100 calls per minute per user; over the limit the chain ends with a
+// RateLimitError (HTTP 429 with Retry-After when served by modulink.http)
+const rateLimitCheck = rateLimit({
+  key: (ctx) => ctx.user?.id || 'anonymous',
+  limit: 100,
+  windowMs: 60000
+});
 
 // Example: User authentication service
 async function userAuthExample() {
@@ -126,7 +122,7 @@ async function userAuthExample() {
     console.log('  ❌ Authentication failed:', result.error.message);
   } else {
     console.log(`  ✅ User authenticated: ${result.user.id} (${result.user.role})`);
-    console.log(`  📊 Rate limit: ${result.rateLimitStatus.current}/${result.rateLimitStatus.limit}`);
+    console.log(`  📊 Rate limit: ${result._meta.rateLimit.remaining}/${result._meta.rateLimit.limit} remaining`);
   }
   
   console.log('');
@@ -221,6 +217,17 @@ async function processPayment(ctx) {
   };
 }
 
+// Compensation for processPayment: runs when a later link fails
+async function refundPayment(ctx) {
+  if (!ctx.payment) {
+    return ctx;
+  }
+  return { 
+    ...ctx, 
+    payment: { ...ctx.payment, status: 'refunded', refundedAt: new Date().toISOString() }
+  };
+}
+
 function createOrderRecord(ctx) {
   return {
     ...ctx,
@@ -263,12 +270,13 @@ async function orderProcessingExample() {
     createOrderRecord
   ).use(errorHandler());
   
-  // Monitored order chain (with observability)
+  // Monitored order chain (with observability); the payment is refunded
+  // automatically if recording the order fails
   const monitoredChain = chain(
     validateOrderRequest,
     checkInventory,
     calculatePricing,
-    processPayment,
+    step(processPayment, refundPayment),
     createOrderRecord
   )
     .use(performanceTracker({ trackTimings: true, trackMemory: true }))
@@ -281,6 +289,9 @@ async function orderProcessingExample() {
   
   if (result.error) {
     console.log('  ❌ Order processing failed:', result.error.message);
+    if (result._meta?.compensation) {
+      console.log(`  ↩️  Compensated: ${result._meta.compensation.compensated.map(c => c.name).join(', ')}`);
+    }
   } else {
     console.log(`  ✅ Order created: ${result.order.orderId}`);
     console.log(`  💰 Total amount: $${result.order.pricing.total.toFixed(2)}`);
@@ -565,6 +576,14 @@ async function proxyToUpstream(ctx) {
   }
 }
 
+// One breaker for the upstream, shared by every gateway request: once the
+// upstream keeps failing, requests fail fast instead of retrying it
+const upstreamBreaker = circuitBreaker(retry(chain(proxyToUpstream), 2, 500), {
+  name: 'upstream',
+  failureThreshold: 5,
+  resetTimeoutMs: 30000
+});
+
 function transformResponse(ctx) {
   if (ctx.error) {
     return ctx;
@@ -607,7 +626,7 @@ async function apiGatewayExample() {
     validateApiVersion,
     determineUpstreamService,
     transformRequest,
-    retry(chain(proxyToUpstream), 2, 500), // Retry upstream calls
+    upstreamBreaker, // Retry upstream calls while the circuit is closed
     transformResponse
   )
     .use.onInput(logging({ level: 'info', detectFunctionNames: true }))
@@ -625,6 +644,7 @@ async function apiGatewayExample() {
     console.log(`  ⚡ Total processing time: ${result.timings?.['gateway-processing']?.duration}ms`);
     console.log(`  🔧 Chain ID: ${result._metadata?.chainId}`);
   }
+  console.log(`  🔌 Upstream circuit: ${upstreamBreaker.stats().state}`);
   
   console.log('');
   return result;
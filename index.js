@@ -10,7 +10,70 @@
  */
 
 // Primary exports - Hybrid Architecture
-export { createModuLink, chain } from './modulink/modulink.js';
+export { createModuLink, chain, step } from './modulink/modulink.js';
+
+// Error types
+export {
+  ModuLinkError,
+  TimeoutError,
+  CancellationError,
+  ValidationError,
+  ReplayDivergenceError,
+  CircuitOpenError,
+  BulkheadFullError,
+  RateLimitError,
+  ParallelError,
+  MergeConflictError,
+  QuorumError,
+  ErrorCodes,
+  toModuLinkError,
+  serializeError,
+  deserializeError,
+  registerErrorClass,
+  isTimeoutError
+} from './modulink/errors.js';
+
+// HTTP response mapping
+export {
+  sendResponse,
+  toHttpResponse,
+  resultFields,
+  httpStatusForError,
+  negotiateContentType,
+  ErrorHttpStatus
+} from './modulink/response.js';
+
+// Message bus transports
+export { createMemoryTransport, matchTopic } from './modulink/bus.js';
+
+// Rate limiting
+export { rateLimit, createMemoryRateLimitStore } from './modulink/ratelimit.js';
+
+// Caching
+export { createMemoryCacheStore } from './modulink/cache.js';
+
+// Plugins
+export { definePlugin } from './modulink/plugins.js';
+
+// Chain introspection and diagram export
+export { describeChain, toMermaid, toDot } from './modulink/graph.js';
+
+// Durable execution
+export {
+  createFileJournalStore,
+  createMemoryJournalStore,
+  listIncompleteExecutions
+} from './modulink/durable.js';
+
+// Execution recording and replay
+export {
+  recorder,
+  withRecording,
+  replay,
+  getRecording,
+  saveRecording,
+  loadRecording
+} from './modulink/recording.js';
 
 // Type creators
 export {
@@ -26,15 +89,27 @@ export {
 // Utility functions
 export {
   when,
+  branch,
+  switchOn,
+  firstMatch,
+  forEach,
+  whileLoop,
   errorHandler,
   validate,
   retry,
+  retryPolicy,
+  circuitBreaker,
+  bulkhead,
+  createBulkhead,
   transform,
   addData,
   pick,
   omit,
   parallel,
   race,
+  any,
+  allSettled,
+  quorum,
   debounce,
   throttle,
   cache,
@@ -0,0 +1,441 @@
+/**
+ * ModuLink Message Bus Trigger for JavaScript
+ *
+ * Publish/subscribe messaging between chains of the same instance:
+ * - `modulink.subscribe('orders.*', chain, { maxAttempts, deadLetterTopic })`
+ * - `modulink.publish('orders.created', payload, metadata)`
+ * - Wildcard topics: `*` matches one dot-separated segment, `#` any number
+ * - At-least-once delivery: a chain ending with `ctx.error` nacks the message
+ *   and it is redelivered; after `maxAttempts` it moves to a dead-letter topic
+ *
+ * Contexts are built with createMessageContext() and carry the instance
+ * middleware. Delivery is handled by a pluggable transport (in-memory by
+ * default). A transport is any object implementing:
+ *   publish(message) => Promise<void>
+ *   subscribe(pattern, handler) => unsubscribe()
+ *   drain() => Promise<void>            (optional)
+ *   close() => Promise<void>            (optional)
+ * where `handler(delivery)` resolves to true (ack) or false (nack) and the
+ * transport redelivers nacked messages with an incremented `attempt`.
+ */
+
+import { createMessageContext, getCurrentTimestamp } from './types.js';
+import { serializeError } from './errors.js';
+
+/**
+ * @typedef {Object} Message
+ * A published message as handed to the transport.
+ *
+ * @property {string} id - Unique message identifier
+ * @property {string} topic - Concrete topic (no wildcards)
+ * @property {*} payload - Message payload
+ * @property {Object} metadata - Message metadata (headers, correlation ids, ...)
+ * @property {string} publishedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Message} Delivery
+ * A message delivered to one subscription.
+ *
+ * @property {number} attempt - Delivery attempt, starting at 1
+ */
+
+const DEFAULT_DEAD_LETTER_PREFIX = 'dead-letter';
+
+/**
+ * Check whether a topic matches a subscription pattern.
+ *
+ * Topics are dot-separated; `*` matches exactly one segment and `#` matches
+ * zero or more segments.
+ *
+ * @param {string} pattern - Subscription pattern, e.g. 'orders.*' or 'audit.#'
+ * @param {string} topic - Concrete topic
+ * @returns {boolean} True if the topic matches
+ *
+ * @example
+ * matchTopic('orders.*', 'orders.created');      // true
+ * matchTopic('orders.*', 'orders.eu.created');   // false
+ * matchTopic('orders.#', 'orders.eu.created');   // true
+ */
+export function matchTopic(pattern, topic) {
+  const patternSegments = pattern.split('.');
+  const topicSegments = topic.split('.');
+
+  const matches = (p, t) => {
+    if (p === patternSegments.length) {
+      return t === topicSegments.length;
+    }
+    if (patternSegments[p] === '#') {
+      return matches(p + 1, t) || (t < topicSegments.length && matches(p, t + 1));
+    }
+    if (t === topicSegments.length) {
+      return false;
+    }
+    return (patternSegments[p] === '*' || patternSegments[p] === topicSegments[t]) &&
+      matches(p + 1, t + 1);
+  };
+  return matches(0, 0);
+}
+
+/**
+ * Create an in-memory transport.
+ *
+ * Messages are delivered asynchronously to every matching subscription;
+ * nacked deliveries are redelivered until acked. Messages are lost when the
+ * process exits, so use a broker-backed transport for durability.
+ *
+ * @param {Object} [options={}] - Transport options
+ * @param {number} [options.redeliveryDelay=0] - Delay in ms before a nacked message is redelivered
+ * @returns {Object} Transport with publish(), subscribe(), drain() and close()
+ */
+export function createMemoryTransport(options = {}) {
+  const { redeliveryDelay = 0 } = options;
+  const subscriptions = new Set();
+  const inFlight = new Set();
+  let closed = false;
+
+  function deliver(subscription, message, attempt) {
+    const delivery = (async () => {
+      // Never run handlers synchronously inside publish()
+      await (attempt > 1 && redeliveryDelay > 0
+        ? new Promise(resolve => setTimeout(resolve, redeliveryDelay))
+        : null);
+      if (closed || !subscriptions.has(subscription)) {
+        return;
+      }
+      let acked;
+      try {
+        acked = await subscription.handler({ ...message, attempt });
+      } catch (error) {
+        acked = false;
+      }
+      if (!acked) {
+        deliver(subscription, message, attempt + 1);
+      }
+    })();
+    inFlight.add(delivery);
+    delivery.finally(() => inFlight.delete(delivery));
+  }
+
+  return {
+    async publish(message) {
+      if (closed) {
+        throw new Error('Message transport is closed');
+      }
+      for (const subscription of subscriptions) {
+        if (matchTopic(subscription.pattern, message.topic)) {
+          deliver(subscription, message, 1);
+        }
+      }
+    },
+
+    subscribe(pattern, handler) {
+      const subscription = { pattern, handler };
+      subscriptions.add(subscription);
+      return () => subscriptions.delete(subscription);
+    },
+
+    /**
+     * Resolve once every delivery, including redeliveries, has settled.
+     */
+    async drain() {
+      while (inFlight.size > 0) {
+        await Promise.allSettled([...inFlight]);
+      }
+    },
+
+    async close() {
+      closed = true;
+      subscriptions.clear();
+    }
+  };
+}
+
+/**
+ * Generate a unique message identifier.
+ *
+ * @returns {string} Message identifier
+ */
+function createMessageId() {
+  return `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function validateTopic(topic) {
+  if (typeof topic !== 'string' || topic === '' || topic.split('.').some(segment => segment === '')) {
+    throw new Error(`Invalid topic "${topic}"`);
+  }
+}
+
+/**
+ * Create the message bus trigger for a ModuLink instance.
+ *
+ * Used internally by createModuLink(); exposed as `modulink.bus` and through
+ * `modulink.subscribe()`, `modulink.unsubscribe()` and `modulink.publish()`.
+ *
+ * @param {Object} instance - ModuLink instance
+ * @returns {Object} Bus with configure(), subscribe(), unsubscribe(), publish(), pause(), resume(), drain(), close() and subscriptions
+ */
+export function createMessageBus(instance) {
+  const subscriptions = new Map();
+  let transport = null;
+  let paused = false;
+  let defaults = {
+    maxAttempts: 3,
+    deadLetterTopic: (topic) => `${DEFAULT_DEAD_LETTER_PREFIX}.${topic}`
+  };
+
+  const getTransport = () => {
+    if (!transport) {
+      transport = createMemoryTransport();
+    }
+    return transport;
+  };
+
+  async function publish(topic, payload = null, metadata = {}) {
+    validateTopic(topic);
+    const message = {
+      id: createMessageId(),
+      topic,
+      payload,
+      metadata,
+      publishedAt: getCurrentTimestamp()
+    };
+    await getTransport().publish(message);
+    return message.id;
+  }
+
+  /**
+   * Move a message that exhausted its attempts to the dead-letter topic.
+   * Messages that already are dead letters are dropped to avoid loops.
+   */
+  async function deadLetter(subscription, delivery, error) {
+    subscription.stats.deadLettered++;
+    const topic = typeof subscription.deadLetterTopic === 'function'
+      ? subscription.deadLetterTopic(delivery.topic)
+      : subscription.deadLetterTopic;
+    if (!topic || delivery.metadata?.deadLetter) {
+      return;
+    }
+    await publish(topic, delivery.payload, {
+      ...delivery.metadata,
+      deadLetter: {
+        messageId: delivery.id,
+        topic: delivery.topic,
+        subscription: subscription.name,
+        attempts: delivery.attempt,
+        error: serializeError(error),
+        failedAt: getCurrentTimestamp()
+      }
+    });
+  }
+
+  /**
+   * Run a subscription's chain for one delivery; resolves to true (ack) or
+   * false (nack).
+   */
+  async function handle(subscription, delivery) {
+    const execution = instance._lifecycle.enter();
+    if (!execution) {
+      // Stopping: leave the message to the transport (brokers requeue it)
+      return false;
+    }
+    subscription.stats.delivered++;
+    const ctx = createMessageContext({
+      topic: delivery.topic,
+      payload: delivery.payload,
+      metadata: delivery.metadata,
+      messageId: delivery.id,
+      attempt: delivery.attempt,
+      subscription: subscription.name,
+      signal: execution.signal
+    });
+
+    let result;
+    try {
+      result = await instance._execute(subscription.chain, ctx);
+    } finally {
+      execution.exit();
+    }
+
+    if (!result || !result.error) {
+      subscription.stats.acked++;
+      return true;
+    }
+    if (delivery.attempt < subscription.maxAttempts) {
+      subscription.stats.nacked++;
+      return false;
+    }
+    try {
+      await deadLetter(subscription, delivery, result.error);
+    } catch (error) {
+      // A closed transport must not trigger endless redelivery
+    }
+    return true;
+  }
+
+  function attach(subscription) {
+    subscription.unsubscribe = getTransport().subscribe(
+      subscription.pattern,
+      (delivery) => handle(subscription, delivery)
+    );
+  }
+
+  function detach(subscription) {
+    subscription.unsubscribe?.();
+    subscription.unsubscribe = null;
+  }
+
+  return {
+    /**
+     * Set the transport and subscription defaults.
+     *
+     * @param {Object} [options={}] - Bus options
+     * @param {Object} [options.transport] - Transport replacing the in-memory one
+     * @param {number} [options.maxAttempts] - Default delivery attempts before dead-lettering
+     * @param {(string|function(string): string|false)} [options.deadLetterTopic] - Default dead-letter topic
+     */
+    configure({ transport: replacement, ...options } = {}) {
+      if (replacement) {
+        if (transport && transport !== replacement && subscriptions.size > 0) {
+          throw new Error('Cannot replace the message transport after subscribing');
+        }
+        transport = replacement;
+      }
+      defaults = { ...defaults, ...options };
+    },
+
+    /**
+     * The active transport.
+     */
+    get transport() {
+      return getTransport();
+    },
+
+    /**
+     * Subscriptions with their delivery statistics.
+     */
+    get subscriptions() {
+      return [...subscriptions.values()].map(({ name, pattern, maxAttempts, stats }) => ({
+        name,
+        pattern,
+        maxAttempts,
+        ...stats
+      }));
+    },
+
+    /**
+     * Run a chain for every message published on a matching topic.
+     *
+     * @param {string} pattern - Topic pattern (`*` and `#` wildcards)
+     * @param {Function} target - Chain to run
+     * @param {Object} [options={}] - Subscription options
+     * @param {string} [options.name] - Unique subscription name (defaults to the pattern)
+     * @param {number} [options.maxAttempts=3] - Delivery attempts before dead-lettering
+     * @param {(string|function(string): string|false)} [options.deadLetterTopic] - Topic for messages
+     *        that exhausted their attempts (default `dead-letter.<topic>`; false drops them)
+     */
+    subscribe(pattern, target, options = {}) {
+      const {
+        name = pattern,
+        maxAttempts = defaults.maxAttempts,
+        deadLetterTopic = defaults.deadLetterTopic
+      } = options;
+
+      if (typeof target !== 'function') {
+        throw new Error(`Subscription "${name}" requires a chain`);
+      }
+      validateTopic(pattern);
+      if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+        throw new Error(`Subscription "${name}" maxAttempts must be a positive integer`);
+      }
+      if (subscriptions.has(name)) {
+        throw new Error(`Subscription "${name}" already exists`);
+      }
+
+      const subscription = {
+        name,
+        pattern,
+        chain: target,
+        maxAttempts,
+        deadLetterTopic,
+        unsubscribe: null,
+        stats: { delivered: 0, acked: 0, nacked: 0, deadLettered: 0 }
+      };
+      if (!paused) {
+        attach(subscription);
+      }
+      subscriptions.set(name, subscription);
+    },
+
+    /**
+     * Remove a subscription. Pending redeliveries are dropped.
+     *
+     * @param {string} name - Subscription name
+     */
+    unsubscribe(name) {
+      const subscription = subscriptions.get(name);
+      if (!subscription) {
+        throw new Error(`Unknown subscription "${name}"`);
+      }
+      detach(subscription);
+      subscriptions.delete(name);
+    },
+
+    /**
+     * Stop receiving messages; subscriptions stay registered. Used by
+     * `modulink.stop()` before draining in-flight executions.
+     */
+    pause() {
+      paused = true;
+      for (const subscription of subscriptions.values()) {
+        detach(subscription);
+      }
+    },
+
+    /**
+     * Receive messages again after pause().
+     */
+    resume() {
+      if (!paused) {
+        return;
+      }
+      paused = false;
+      for (const subscription of subscriptions.values()) {
+        attach(subscription);
+      }
+    },
+
+    /**
+     * Publish a message.
+     *
+     * @param {string} topic - Concrete topic, e.g. 'orders.created'
+     * @param {*} [payload=null] - Message payload
+     * @param {Object} [metadata={}] - Message metadata
+     * @returns {Promise<string>} Message id
+     */
+    publish,
+
+    /**
+     * Wait until published messages have been processed (when the transport
+     * supports it).
+     *
+     * @returns {Promise<void>}
+     */
+    async drain() {
+      await getTransport().drain?.();
+    },
+
+    /**
+     * Remove all subscriptions and close the transport.
+     *
+     * @returns {Promise<void>}
+     */
+    async close() {
+      for (const subscription of subscriptions.values()) {
+        detach(subscription);
+      }
+      subscriptions.clear();
+      await transport?.close?.();
+    }
+  };
+}
@@ -0,0 +1,321 @@
+/**
+ * ModuLink Caching for JavaScript
+ *
+ * Result caching for chains:
+ * - `cache(chain, keyFn, { ttlMs, store, cacheErrors, staleWhileRevalidateMs })`
+ *   serves repeated executions for the same key from a store
+ * - Concurrent misses for one key share a single execution of the chain
+ * - Stale entries can be served while the chain refreshes them in the
+ *   background
+ * - The cached chain exposes `invalidate(key)`, `clear()` and `stats()`
+ *
+ * Only the fields a chain adds or changes are cached; a hit merges them into
+ * the caller's own context. Entries live in a pluggable store (a bounded
+ * in-memory LRU by default). A store is any object implementing:
+ *   get(key) => Promise<CacheEntry|undefined>
+ *   set(key, entry) => Promise<void>
+ *   delete(key) => Promise<void>
+ *   clear() => Promise<void>
+ * Stores may drop entries at any time; entries past `entry.staleUntil` are
+ * never used and can be discarded.
+ */
+
+import { createErrorContext } from './types.js';
+import { annotate } from './graph.js';
+
+/**
+ * @typedef {Object} CacheEntry
+ * A cached chain result.
+ *
+ * @property {Object} value - Fields the chain added or changed
+ * @property {number} storedAt - When the entry was stored (ms since epoch)
+ * @property {number} expiresAt - Until when the entry is fresh
+ * @property {number} staleUntil - Until when the entry may be served stale
+ */
+
+/**
+ * @typedef {Object} CacheStats
+ * Counters of a cached chain, for monitoring.
+ *
+ * @property {number} hits - Executions served from a fresh entry
+ * @property {number} staleHits - Executions served from a stale entry
+ * @property {number} misses - Executions that ran the chain
+ * @property {number} coalesced - Executions that waited for a concurrent miss
+ * @property {number} revalidations - Background refreshes of stale entries
+ * @property {number} revalidationErrors - Background refreshes that failed (the stale
+ *                                         entry stays until it expires)
+ * @property {number} hitRate - Share of executions not running the chain (0-1)
+ */
+
+/**
+ * Approximate size of a cached value in bytes. Values that cannot be
+ * serialized (e.g. circular structures) count as 1 KiB.
+ */
+function estimateSize(value) {
+  try {
+    return Buffer.byteLength(JSON.stringify(value) ?? '');
+  } catch {
+    return 1024;
+  }
+}
+
+/**
+ * Create an in-memory cache store for a single process. When a bound is
+ * exceeded the least recently used entries are evicted.
+ *
+ * @param {Object} [options={}] - Store options
+ * @param {number} [options.maxEntries=1000] - Maximum number of entries
+ * @param {number} [options.maxBytes=Infinity] - Maximum total size of the cached values
+ * @param {function(*): number} [options.sizeOf] - Size of a cached value in bytes
+ *                                                 (defaults to its JSON length)
+ * @returns {Object} Cache store
+ */
+export function createMemoryCacheStore(options = {}) {
+  const { maxEntries = 1000, maxBytes = Infinity, sizeOf = estimateSize } = options;
+  if (!(maxEntries > 0) || !(maxBytes > 0)) {
+    throw new Error('Cache store requires a positive maxEntries and maxBytes');
+  }
+  const entries = new Map();
+  let bytes = 0;
+  let evictions = 0;
+
+  function remove(key) {
+    const stored = entries.get(key);
+    if (stored) {
+      entries.delete(key);
+      bytes -= stored.size;
+    }
+  }
+
+  return {
+    async get(key) {
+      const stored = entries.get(key);
+      if (!stored) {
+        return undefined;
+      }
+      if (stored.entry.staleUntil <= Date.now()) {
+        remove(key);
+        return undefined;
+      }
+      // Map keeps insertion order: move the entry to the most recent end
+      entries.delete(key);
+      entries.set(key, stored);
+      return stored.entry;
+    },
+
+    async set(key, entry) {
+      remove(key);
+      const size = sizeOf(entry.value);
+      if (size > maxBytes) {
+        return;
+      }
+      entries.set(key, { entry, size });
+      bytes += size;
+      for (const oldest of entries.keys()) {
+        if (entries.size <= maxEntries && bytes <= maxBytes) {
+          break;
+        }
+        remove(oldest);
+        evictions++;
+      }
+    },
+
+    async delete(key) {
+      remove(key);
+    },
+
+    async clear() {
+      entries.clear();
+      bytes = 0;
+    },
+
+    /**
+     * Current size and eviction count of the store.
+     *
+     * @returns {{entries: number, bytes: number, maxEntries: number, maxBytes: number, evictions: number}}
+     */
+    stats() {
+      return { entries: entries.size, bytes, maxEntries, maxBytes, evictions };
+    }
+  };
+}
+
+/**
+ * Fields of `result` that differ from the input context. The caller's
+ * signal is never cached.
+ */
+function addedFields(ctx, result) {
+  const value = {};
+  for (const [key, field] of Object.entries(result)) {
+    if (key !== 'signal' && ctx[key] !== field) {
+      value[key] = field;
+    }
+  }
+  return value;
+}
+
+/**
+ * Cache results based on a key function.
+ *
+ * A hit returns the caller's context merged with the cached fields and
+ * `cached: true`. Error contexts are not cached unless `cacheErrors` is set.
+ * A key function returning null or undefined bypasses the cache.
+ *
+ * @param {Chain} chain - Chain to cache
+ * @param {function(Ctx): (string|null|Promise<string|null>)} keyFn - Function to generate cache key
+ * @param {Object|number} [options={}] - Cache options, or the TTL in milliseconds
+ * @param {number} [options.ttlMs=60000] - How long results stay fresh
+ * @param {Object} [options.store] - Cache store (a `createMemoryCacheStore()` by default)
+ * @param {boolean} [options.cacheErrors=false] - Whether to cache contexts with `ctx.error`
+ * @param {number} [options.staleWhileRevalidateMs=0] - How long after `ttlMs` an entry is
+ *                                                      still served while it is refreshed
+ * @returns {Chain} Cached chain with `invalidate(key)`, `clear()` and `stats()`
+ *
+ * @example
+ * const cachedProfile = cache(loadProfile, ctx => `user:${ctx.params.id}`, {
+ *   ttlMs: 30000,
+ *   staleWhileRevalidateMs: 300000,
+ *   store: createMemoryCacheStore({ maxEntries: 5000, maxBytes: 50 * 1024 * 1024 })
+ * });
+ * await cachedProfile.invalidate('user:42');
+ */
+export function cache(chain, keyFn, options = {}) {
+  const {
+    ttlMs = 60000,
+    store = createMemoryCacheStore(),
+    cacheErrors = false,
+    staleWhileRevalidateMs = 0
+  } = typeof options === 'number' ? { ttlMs: options } : options;
+  const inFlight = new Map();
+  const counters = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, revalidations: 0, revalidationErrors: 0 };
+
+  function load(key, ctx) {
+    // invalidate() and clear() mark running loads so their result is not stored
+    const loading = { invalidated: false, promise: null };
+    loading.promise = (async () => {
+      let result;
+      let value;
+      try {
+        result = await chain(ctx);
+        value = addedFields(ctx, result);
+      } catch (error) {
+        result = createErrorContext(error, ctx);
+        value = addedFields(ctx, result);
+      }
+      if ((!result.error || cacheErrors) && !loading.invalidated) {
+        const storedAt = Date.now();
+        try {
+          await store.set(key, {
+            value,
+            storedAt,
+            expiresAt: storedAt + ttlMs,
+            staleUntil: storedAt + ttlMs + staleWhileRevalidateMs
+          });
+        } catch {
+          // A failing store degrades to running the chain every time
+        }
+      }
+      return { result, value };
+    })();
+    inFlight.set(key, loading);
+    loading.promise
+      .finally(() => {
+        if (inFlight.get(key) === loading) {
+          inFlight.delete(key);
+        }
+      })
+      .catch(() => {});
+    return loading.promise;
+  }
+
+  async function lookup(key) {
+    try {
+      return await store.get(key);
+    } catch {
+      // A failing store degrades to running the chain every time
+      return undefined;
+    }
+  }
+
+  const cached = async function(ctx) {
+    const key = await keyFn(ctx);
+    if (key === null || key === undefined) {
+      try {
+        return await chain(ctx);
+      } catch (error) {
+        return createErrorContext(error, ctx);
+      }
+    }
+
+    const entry = await lookup(key);
+    const now = Date.now();
+    if (entry && now < entry.expiresAt) {
+      counters.hits++;
+      return { ...ctx, ...entry.value, cached: true };
+    }
+    if (entry && now < entry.staleUntil) {
+      counters.staleHits++;
+      if (!inFlight.has(key)) {
+        counters.revalidations++;
+        // The refresh outlives this execution, so it must not follow its signal
+        const { signal, ...background } = ctx;
+        load(key, background).then(
+          ({ result }) => {
+            if (result.error) {
+              counters.revalidationErrors++;
+            }
+          },
+          () => { counters.revalidationErrors++; }
+        );
+      }
+      return { ...ctx, ...entry.value, cached: true };
+    }
+
+    if (inFlight.has(key)) {
+      counters.coalesced++;
+      const { value } = await inFlight.get(key).promise;
+      return { ...ctx, ...value };
+    }
+    counters.misses++;
+    const { result } = await load(key, ctx);
+    return result;
+  };
+
+  /**
+   * Remove one entry, so the next execution for `key` runs the chain. A load
+   * of `key` that is still running does not store its result.
+   */
+  cached.invalidate = (key) => {
+    const loading = inFlight.get(key);
+    if (loading) {
+      loading.invalidated = true;
+      inFlight.delete(key);
+    }
+    return store.delete(key);
+  };
+
+  /**
+   * Remove every entry of the store. Loads that are still running do not
+   * store their results.
+   */
+  cached.clear = () => {
+    for (const loading of inFlight.values()) {
+      loading.invalidated = true;
+    }
+    inFlight.clear();
+    return store.clear();
+  };
+
+  /**
+   * Hit, miss and revalidation counters (see CacheStats).
+   *
+   * @returns {CacheStats}
+   */
+  cached.stats = () => {
+    const total = counters.hits + counters.staleHits + counters.misses + counters.coalesced;
+    const served = total - counters.misses;
+    return { ...counters, hitRate: total > 0 ? served / total : 0 };
+  };
+
+  return annotate(cached, 'cache', [{ label: 'miss', target: chain }]);
+}
@@ -0,0 +1,248 @@
+/**
+ * ModuLink CLI Trigger for JavaScript
+ *
+ * Turns chains into commander commands without glue code:
+ * - `modulink.command('import <file>', chain, { options: [...] })`
+ * - Contexts built with createCliContext() (positional args, named params
+ *   and parsed options) carrying the instance middleware
+ * - Result summary on stdout, errors on stderr with a non-zero exit code
+ * - `--json` output mode on every command for scripting
+ *
+ * `modulink.runCli(argv)` parses the arguments and runs the matching chain.
+ */
+
+import { Command, CommanderError } from 'commander';
+import { createCliContext, createErrorContext } from './types.js';
+import { ErrorCodes, toModuLinkError } from './errors.js';
+import { resultFields } from './response.js';
+import { shutdownError } from './lifecycle.js';
+
+/**
+ * Default exit code for each error code. Unknown codes exit with 1.
+ */
+const EXIT_CODES = {
+  [ErrorCodes.VALIDATION_FAILED]: 2
+};
+
+/**
+ * Extract argument names from a command spec such as 'import <file> [rest...]'.
+ *
+ * @param {string} spec - Command spec
+ * @returns {string[]} Argument names in order
+ */
+function argumentNames(spec) {
+  return [...spec.matchAll(/[<[]([^>\]]+?)(?:\.\.\.)?[>\]]/g)].map(match => match[1]);
+}
+
+/**
+ * Resolve the process exit code for a failed run.
+ *
+ * @param {ModuLinkError} error - Error from `ctx.error`
+ * @param {Object<string, number>} exitCodes - Per-code overrides
+ * @returns {number} Exit code (never 0)
+ */
+function exitCodeForError(error, exitCodes) {
+  const explicit = error.exitCode ?? error.cause?.exitCode;
+  if (Number.isInteger(explicit) && explicit > 0) {
+    return explicit;
+  }
+  return exitCodes[error.code] || EXIT_CODES[error.code] || 1;
+}
+
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Create the CLI trigger for a ModuLink instance.
+ *
+ * Used internally by createModuLink(); exposed as `modulink.command()` and
+ * `modulink.runCli()`.
+ *
+ * @param {Object} instance - ModuLink instance
+ * @returns {Object} CLI trigger with command(), run() and commands
+ */
+export function createCliTrigger(instance) {
+  const commands = [];
+
+  /**
+   * Run the chain behind a parsed command and report its result.
+   */
+  async function execute(definition, argValues, opts, io) {
+    const { json = false, ...options } = opts;
+    const names = argumentNames(definition.spec);
+    const args = argValues.flatMap(value => value === undefined ? [] : [].concat(value));
+    const params = Object.fromEntries(names.map((name, i) => [name, argValues[i]]));
+
+    const execution = instance._lifecycle.enter();
+    const initial = createCliContext({
+      command: definition.name,
+      args,
+      options,
+      params,
+      signal: execution?.signal
+    });
+
+    const startTime = Date.now();
+    let result;
+    if (!execution) {
+      result = createErrorContext(shutdownError(), initial);
+    } else {
+      try {
+        result = await instance._execute(definition.chain, initial);
+      } finally {
+        execution.exit();
+      }
+    }
+    const durationMs = Date.now() - startTime;
+
+    if (result.error) {
+      const error = toModuLinkError(result.error);
+      const exitCode = exitCodeForError(error, { ...io.exitCodes, ...definition.exitCodes });
+      if (json) {
+        io.stdout.write(`${JSON.stringify({
+          ok: false,
+          command: definition.name,
+          durationMs,
+          error: { code: error.code, message: error.message, link: error.link }
+        })}\n`);
+      } else {
+        io.stderr.write(`✖ ${definition.name} failed: [${error.code}] ${error.message}\n`);
+      }
+      return { exitCode, result };
+    }
+
+    const fields = resultFields(result, { initial, respond: definition.respond });
+    if (json) {
+      io.stdout.write(`${JSON.stringify({ ok: true, command: definition.name, durationMs, result: fields })}\n`);
+    } else if (definition.summary) {
+      io.stdout.write(`${definition.summary(result)}\n`);
+    } else {
+      const lines = [`✔ ${definition.name} completed in ${durationMs}ms`];
+      if (fields && typeof fields === 'object') {
+        for (const [key, value] of Object.entries(fields)) {
+          lines.push(`  ${key}: ${formatValue(value)}`);
+        }
+      } else if (fields !== undefined) {
+        lines.push(`  ${formatValue(fields)}`);
+      }
+      io.stdout.write(`${lines.join('\n')}\n`);
+    }
+    return { exitCode: 0, result };
+  }
+
+  /**
+   * Build a fresh commander program for one run (commander keeps parsed
+   * option values on its commands).
+   */
+  function buildProgram(io, outcome) {
+    const program = new Command();
+    if (io.name) {
+      program.name(io.name);
+    }
+    if (io.version) {
+      program.version(io.version);
+    }
+    program
+      .exitOverride()
+      .configureOutput({
+        writeOut: (text) => io.stdout.write(text),
+        writeErr: (text) => io.stderr.write(text)
+      });
+
+    for (const definition of commands) {
+      const cmd = program
+        .command(definition.spec)
+        .description(definition.description || `Run the ${definition.name} chain`);
+      for (const option of definition.options) {
+        const { flags, description = '', defaultValue } = typeof option === 'string' ? { flags: option } : option;
+        cmd.option(flags, description, defaultValue);
+      }
+      cmd.option('--json', 'Print the result as JSON');
+      cmd.action(async (...actionArgs) => {
+        const command = actionArgs[actionArgs.length - 1];
+        Object.assign(outcome, await execute(definition, command.processedArgs, command.opts(), io));
+      });
+    }
+    return program;
+  }
+
+  return {
+    /**
+     * Registered commands as `{ name, spec }` pairs.
+     */
+    get commands() {
+      return commands.map(({ name, spec }) => ({ name, spec }));
+    },
+
+    /**
+     * Register a chain as a command.
+     *
+     * @param {string} spec - Commander spec, e.g. 'import <file> [target]'
+     * @param {Function} target - Chain to run
+     * @param {Object} [config={}] - Command configuration
+     * @param {string} [config.description] - Help text
+     * @param {Array<(string|{flags: string, description: string, defaultValue: *})>} [config.options=[]] - Commander options
+     * @param {(string[]|Function)} [config.respond] - Result fields to report, or `(ctx) => value`;
+     *                                                defaults to the fields the chain added
+     * @param {function(Ctx): string} [config.summary] - Custom human-readable summary
+     * @param {Object<string, number>} [config.exitCodes] - Error code to exit code overrides
+     */
+    command(spec, target, config = {}) {
+      if (typeof target !== 'function') {
+        throw new Error(`CLI command "${spec}" requires a chain`);
+      }
+      const name = spec.trim().split(/\s+/)[0];
+      if (commands.some(existing => existing.name === name)) {
+        throw new Error(`CLI command "${name}" is already registered`);
+      }
+      commands.push({ name, spec, chain: target, options: [], ...config });
+    },
+
+    /**
+     * Parse arguments and run the matching command.
+     *
+     * Sets `process.exitCode` from the outcome unless `exit: false` is given.
+     * The trigger does not listen for signals itself: after `modulink.start()`
+     * SIGINT stops the instance, which drains and then aborts the running
+     * command like any other execution.
+     *
+     * @param {string[]} [argv=process.argv] - Arguments
+     * @param {Object} [options={}] - Run options
+     * @param {string} [options.from='node'] - Commander argv convention ('node' or 'user')
+     * @param {{write: Function}} [options.stdout=process.stdout] - Output stream
+     * @param {{write: Function}} [options.stderr=process.stderr] - Error stream
+     * @param {Object<string, number>} [options.exitCodes] - Error code to exit code overrides
+     * @param {boolean} [options.exit=true] - Set `process.exitCode`
+     * @param {string} [options.name] - Program name for help output
+     * @param {string} [options.version] - Adds `--version`
+     * @returns {Promise<{exitCode: number, result: (Ctx|null)}>} Outcome of the run
+     */
+    async run(argv = process.argv, options = {}) {
+      const io = {
+        from: 'node',
+        stdout: process.stdout,
+        stderr: process.stderr,
+        exitCodes: {},
+        exit: true,
+        ...options
+      };
+      const outcome = { exitCode: 0, result: null };
+
+      try {
+        await buildProgram(io, outcome).parseAsync(argv, { from: io.from });
+      } catch (error) {
+        if (!(error instanceof CommanderError)) {
+          throw error;
+        }
+        // Help and version output exit with 0; usage errors keep commander's code
+        outcome.exitCode = error.exitCode;
+      }
+
+      if (io.exit) {
+        process.exitCode = outcome.exitCode;
+      }
+      return outcome;
+    }
+  };
+}
@@ -0,0 +1,237 @@
+/**
+ * ModuLink Dependency Injection for JavaScript
+ *
+ * Services (databases, mailers, HTTP clients, ...) are registered on the
+ * instance instead of imported by links:
+ * - `modulink.provide('db', factory, { scope, dispose })`
+ * - Every execution started by the instance receives a frozen `ctx.deps`
+ * - Scopes: 'singleton' (created once, disposed on stop()) or
+ *   'perExecution' (created for and disposed after each execution)
+ * - `modulink.override('mailer', fakeMailer)` replaces a service in tests
+ *
+ * Factories receive a `resolve(name)` function for services they depend on;
+ * singletons cannot depend on per-execution services. Plugin scopes use a
+ * child container that falls back to its parent's services.
+ */
+
+const SCOPES = ['singleton', 'perExecution'];
+
+const EMPTY_DEPS = Object.freeze({});
+
+/**
+ * Dispose created services in reverse creation order.
+ *
+ * @param {Array<{name: string, service: *, dispose: Function}>} created - Created services
+ * @returns {Promise<Error[]>} Errors thrown by dispose functions
+ */
+async function disposeAll(created) {
+  const errors = [];
+  for (const { name, service, dispose } of [...created].reverse()) {
+    if (!dispose) {
+      continue;
+    }
+    try {
+      await dispose(service);
+    } catch (error) {
+      const failure = error instanceof Error ? error : new Error(String(error));
+      errors.push(Object.assign(failure, { service: name }));
+    }
+  }
+  return errors;
+}
+
+/**
+ * Create the service container for a ModuLink instance.
+ *
+ * Used internally by createModuLink(); exposed as `modulink.provide()`,
+ * `modulink.override()` and `modulink.resolve()`.
+ *
+ * @param {Object} [parent=null] - Container whose services are visible to this one
+ * @returns {Object} Container with provide(), override(), resolve(), has(), createScope() and dispose()
+ */
+export function createContainer(parent = null) {
+  const providers = new Map();
+  const overrides = new Map();
+  const singletons = new Map();
+  const createdSingletons = [];
+
+  /**
+   * Resolve a service. `scope` is null while building a singleton, otherwise
+   * the per-execution cache, list of created services and the parent's deps
+   * for this execution.
+   */
+  function resolve(name, scope, path) {
+    if (overrides.has(name)) {
+      return Promise.resolve(overrides.get(name));
+    }
+    const provider = providers.get(name);
+    if (!provider) {
+      if (scope && name in scope.inherited) {
+        return Promise.resolve(scope.inherited[name]);
+      }
+      if (parent?.has(name)) {
+        return parent.resolve(name);
+      }
+      return Promise.reject(new Error(`Unknown service "${name}"`));
+    }
+    if (path.includes(name)) {
+      return Promise.reject(new Error(`Circular service dependency: ${[...path, name].join(' -> ')}`));
+    }
+    const nextPath = [...path, name];
+
+    if (provider.scope === 'singleton') {
+      if (!singletons.has(name)) {
+        const creation = (async () => {
+          const service = await provider.factory((dependency) => resolve(dependency, null, nextPath));
+          createdSingletons.push({ name, service, dispose: provider.dispose });
+          return service;
+        })();
+        // A failed factory is retried on the next resolution
+        creation.catch(() => singletons.delete(name));
+        singletons.set(name, creation);
+      }
+      return singletons.get(name);
+    }
+
+    if (!scope) {
+      if (path.length === 0) {
+        return Promise.reject(new Error(`Per-execution service "${name}" can only be resolved during an execution`));
+      }
+      const dependent = path[path.length - 1];
+      return Promise.reject(new Error(
+        `Singleton service "${dependent}" cannot depend on per-execution service "${name}"`
+      ));
+    }
+    if (!scope.cache.has(name)) {
+      scope.cache.set(name, (async () => {
+        const service = await provider.factory((dependency) => resolve(dependency, scope, nextPath));
+        scope.created.push({ name, service, dispose: provider.dispose });
+        return service;
+      })());
+    }
+    return scope.cache.get(name);
+  }
+
+  return {
+    /**
+     * Register a service.
+     *
+     * @param {string} name - Service name (key in `ctx.deps`)
+     * @param {function(function(string): Promise<*>): *} factory - Creates the service; may be async
+     * @param {Object} [options={}] - Service options
+     * @param {string} [options.scope='singleton'] - 'singleton' or 'perExecution'
+     * @param {function(*): (void|Promise<void>)} [options.dispose] - Releases the service
+     */
+    provide(name, factory, options = {}) {
+      const { scope = 'singleton', dispose = null } = options;
+      if (typeof factory !== 'function') {
+        throw new Error(`Service "${name}" requires a factory function`);
+      }
+      if (!SCOPES.includes(scope)) {
+        throw new Error(`Service "${name}" scope must be one of: ${SCOPES.join(', ')}`);
+      }
+      if (providers.has(name) || parent?.has(name)) {
+        throw new Error(`Service "${name}" is already provided`);
+      }
+      providers.set(name, { factory, scope, dispose });
+    },
+
+    /**
+     * Replace a service with a fixed value (e.g. a test double). Overridden
+     * services are never disposed by the container.
+     *
+     * @param {string} name - Service name
+     * @param {*} value - Replacement
+     * @returns {function(): void} Restores the provided service
+     */
+    override(name, value) {
+      const previous = overrides.has(name) ? { value: overrides.get(name) } : null;
+      overrides.set(name, value);
+      return () => {
+        if (previous) {
+          overrides.set(name, previous.value);
+        } else {
+          overrides.delete(name);
+        }
+      };
+    },
+
+    /**
+     * Resolve a singleton service (or override) outside an execution.
+     *
+     * @param {string} name - Service name
+     * @returns {Promise<*>} The service
+     */
+    resolve(name) {
+      return resolve(name, null, []);
+    },
+
+    /**
+     * Check whether a service is provided by this container or its parent.
+     *
+     * @param {string} name - Service name
+     * @returns {boolean} True if the service can be resolved
+     */
+    has(name) {
+      return providers.has(name) || overrides.has(name) || Boolean(parent?.has(name));
+    },
+
+    /**
+     * Create singleton services ahead of the first execution (used by start()).
+     *
+     * @returns {Promise<void>}
+     */
+    async init() {
+      for (const [name, provider] of providers) {
+        if (provider.scope === 'singleton') {
+          await resolve(name, null, []);
+        }
+      }
+    },
+
+    /**
+     * Resolve every service of this container for one execution.
+     *
+     * @param {Object} [inherited={}] - The parent's deps for this execution
+     * @returns {Promise<{deps: Object, dispose: function(): Promise<void>}>}
+     *          Frozen deps and a function disposing the per-execution services
+     */
+    async createScope(inherited = EMPTY_DEPS) {
+      if (providers.size === 0 && overrides.size === 0) {
+        return { deps: EMPTY_DEPS, dispose: async () => {} };
+      }
+      const scope = { cache: new Map(), created: [], inherited };
+      const deps = {};
+      try {
+        for (const name of new Set([...providers.keys(), ...overrides.keys()])) {
+          deps[name] = await resolve(name, scope, []);
+        }
+      } catch (error) {
+        await disposeAll(scope.created);
+        throw error;
+      }
+      return {
+        deps: Object.freeze(deps),
+        dispose: async () => {
+          // Errors of per-execution disposal cannot reach the caller anymore
+          await disposeAll(scope.created);
+        }
+      };
+    },
+
+    /**
+     * Dispose singleton services in reverse creation order (used by stop()).
+     *
+     * @returns {Promise<void>}
+     * @throws {AggregateError} If any dispose function failed
+     */
+    async dispose() {
+      const created = createdSingletons.splice(0);
+      singletons.clear();
+      const errors = await disposeAll(created);
+      if (errors.length > 0) {
+        throw new AggregateError(errors, `Failed to dispose services: ${errors.map(e => e.service).join(', ')}`);
+      }
+    }
+  };
+}
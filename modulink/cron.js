@@ -0,0 +1,277 @@
+/**
+ * ModuLink Cron Trigger for JavaScript
+ *
+ * First-class scheduled execution of chains on top of node-cron:
+ * - `modulink.cron(expression, chain, { name, overlap, timezone })`
+ * - Overlap protection: skip, queue or allow runs while one is in progress
+ * - In-memory run history (start, end, outcome, error) per job
+ * - Job control: listJobs(), pauseJob(), resumeJob(), runNow()
+ *
+ * Contexts are built with createCronContext() and carry the instance
+ * middleware.
+ */
+
+import cron from 'node-cron';
+import { createCronContext, getCurrentTimestamp } from './types.js';
+
+const OVERLAP_POLICIES = ['skip', 'queue', 'allow'];
+
+/**
+ * @typedef {Object} CronRun
+ * One entry of a job's run history.
+ *
+ * @property {number} runId - Sequential run number within the job
+ * @property {string} source - 'schedule' or 'manual'
+ * @property {string} outcome - 'success', 'error' or 'skipped'
+ * @property {string} startedAt - ISO timestamp
+ * @property {string|null} endedAt - ISO timestamp
+ * @property {number|null} durationMs - Run duration
+ * @property {ModuLinkError|null} error - Error of a failed run
+ */
+
+/**
+ * Create the cron scheduler for a ModuLink instance.
+ *
+ * Used internally by createModuLink(); its methods are exposed as
+ * `modulink.cron()`, `modulink.listJobs()`, `modulink.pauseJob()`,
+ * `modulink.resumeJob()` and `modulink.runNow()`.
+ *
+ * @param {Object} instance - ModuLink instance
+ * @returns {Object} Scheduler with schedule(), listJobs(), pauseJob(), resumeJob(), runNow() and stopAll()
+ */
+export function createCronScheduler(instance) {
+  const jobs = new Map();
+
+  function getJob(name) {
+    const job = jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown cron job "${name}"`);
+    }
+    return job;
+  }
+
+  function record(job, entry) {
+    job.history.push(entry);
+    if (job.history.length > job.historyLimit) {
+      job.history.shift();
+    }
+    return entry;
+  }
+
+  function skip(job, source) {
+    const now = getCurrentTimestamp();
+    return record(job, {
+      runId: ++job.runCount,
+      source,
+      outcome: 'skipped',
+      startedAt: now,
+      endedAt: now,
+      durationMs: 0,
+      error: null
+    });
+  }
+
+  /**
+   * Execute one run of a job's chain and record it in the history. Runs
+   * starting while the instance is stopping are skipped.
+   */
+  async function execute(job, source) {
+    const execution = instance._lifecycle.enter();
+    if (!execution) {
+      return skip(job, source);
+    }
+    const entry = {
+      runId: ++job.runCount,
+      source,
+      outcome: null,
+      startedAt: getCurrentTimestamp(),
+      endedAt: null,
+      durationMs: null,
+      error: null
+    };
+    const startTime = Date.now();
+    job.running++;
+
+    const ctx = createCronContext({
+      expression: job.expression,
+      jobName: job.name,
+      scheduledAt: entry.startedAt,
+      runId: entry.runId,
+      source,
+      signal: execution.signal
+    });
+
+    let result;
+    try {
+      result = await instance._execute(job.chain, ctx);
+    } finally {
+      job.running--;
+      execution.exit();
+    }
+
+    entry.endedAt = getCurrentTimestamp();
+    entry.durationMs = Date.now() - startTime;
+    entry.outcome = result && result.error ? 'error' : 'success';
+    entry.error = result && result.error ? result.error : null;
+    record(job, entry);
+
+    if (job.onRun) {
+      try {
+        await job.onRun(entry, result);
+      } catch (error) {
+        // Reporting must never break the schedule
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Start a run, applying the job's overlap policy.
+   */
+  function trigger(job, source) {
+    if (job.running > 0 || job.queued > 0) {
+      if (job.overlap === 'skip') {
+        return Promise.resolve(skip(job, source));
+      }
+      if (job.overlap === 'queue') {
+        job.queued++;
+        const run = job.tail.then(() => {
+          job.queued--;
+          return execute(job, source);
+        });
+        job.tail = run.catch(() => {});
+        return run;
+      }
+    }
+
+    const run = execute(job, source);
+    job.tail = run.catch(() => {});
+    return run;
+  }
+
+  function describe(job) {
+    return {
+      name: job.name,
+      expression: job.expression,
+      timezone: job.timezone,
+      overlap: job.overlap,
+      paused: job.paused,
+      running: job.running,
+      queued: job.queued,
+      lastRun: job.history[job.history.length - 1] || null,
+      history: [...job.history]
+    };
+  }
+
+  return {
+    /**
+     * Schedule a chain on a cron expression.
+     *
+     * @param {string} expression - Cron expression (5 or 6 fields, seconds first)
+     * @param {Function} target - Chain to run
+     * @param {Object} [options={}] - Job options
+     * @param {string} [options.name] - Unique job name (defaults to the expression)
+     * @param {string} [options.overlap='skip'] - 'skip', 'queue' or 'allow' runs while one is in progress
+     * @param {string} [options.timezone] - IANA timezone for the expression
+     * @param {boolean} [options.paused=false] - Register without starting the schedule
+     * @param {number} [options.historyLimit=50] - Number of runs kept in the history
+     * @param {function(CronRun, Ctx): void} [options.onRun] - Called after every run with its history entry
+     */
+    schedule(expression, target, options = {}) {
+      const {
+        name = expression,
+        overlap = 'skip',
+        timezone,
+        paused = false,
+        historyLimit = 50,
+        onRun = null
+      } = options;
+
+      if (typeof target !== 'function') {
+        throw new Error(`Cron job "${name}" requires a chain`);
+      }
+      if (!cron.validate(expression)) {
+        throw new Error(`Invalid cron expression "${expression}" for job "${name}"`);
+      }
+      if (!OVERLAP_POLICIES.includes(overlap)) {
+        throw new Error(`Cron job "${name}" overlap must be one of: ${OVERLAP_POLICIES.join(', ')}`);
+      }
+      if (jobs.has(name)) {
+        throw new Error(`Cron job "${name}" is already scheduled`);
+      }
+
+      const job = {
+        name,
+        expression,
+        timezone: timezone || null,
+        overlap,
+        chain: target,
+        paused,
+        historyLimit,
+        onRun,
+        running: 0,
+        queued: 0,
+        runCount: 0,
+        history: [],
+        tail: Promise.resolve()
+      };
+      job.task = cron.schedule(expression, () => trigger(job, 'schedule'), {
+        scheduled: !paused,
+        timezone,
+        name: `modulink:${name}`
+      });
+      jobs.set(name, job);
+    },
+
+    /**
+     * List scheduled jobs with their state and run history.
+     *
+     * @returns {Array<Object>} Job descriptions
+     */
+    listJobs() {
+      return [...jobs.values()].map(describe);
+    },
+
+    /**
+     * Stop scheduling a job; runs in progress finish normally.
+     *
+     * @param {string} name - Job name
+     */
+    pauseJob(name) {
+      const job = getJob(name);
+      job.task.stop();
+      job.paused = true;
+    },
+
+    /**
+     * Resume a paused job's schedule.
+     *
+     * @param {string} name - Job name
+     */
+    resumeJob(name) {
+      const job = getJob(name);
+      job.task.start();
+      job.paused = false;
+    },
+
+    /**
+     * Run a job immediately (paused jobs included), honouring its overlap policy.
+     *
+     * @param {string} name - Job name
+     * @returns {Promise<CronRun>} The run's history entry
+     */
+    async runNow(name) {
+      return await trigger(getJob(name), 'manual');
+    },
+
+    /**
+     * Stop every job's schedule.
+     */
+    stopAll() {
+      for (const job of jobs.values()) {
+        job.task.stop();
+        job.paused = true;
+      }
+    }
+  };
+}
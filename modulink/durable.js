@@ -0,0 +1,262 @@
+/**
+ * ModuLink Durable Execution for JavaScript
+ *
+ * Opt-in checkpointing of chain executions so long-running chains can resume
+ * after a process crash instead of starting over:
+ * - Journal stores: Pluggable persistence (file-backed JSON by default)
+ * - Journals: Per-execution checkpoint writer used by chain()
+ * - Startup helpers: Listing executions that never finished
+ *
+ * A journal store is any object implementing:
+ *   save(record) => Promise<void>
+ *   load(executionId) => Promise<ExecutionRecord|null>
+ *   list({ status, name }) => Promise<ExecutionRecord[]>
+ *   remove(executionId) => Promise<void>
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { getCurrentTimestamp } from './types.js';
+import { serializeError } from './errors.js';
+
+/**
+ * @typedef {Object} ExecutionRecord
+ * Journal entry describing one durable chain execution.
+ *
+ * @property {string} executionId - Unique execution identifier
+ * @property {string|null} name - Name of the durable chain
+ * @property {string} status - 'running', 'failed' or 'completed'
+ * @property {number} completedIndex - Index of the last completed link (-1 before the first)
+ * @property {Object} context - Serialized context after the last completed link
+ * @property {Object|null} error - Serialized error of a failed execution
+ * @property {string} startedAt - ISO timestamp of the first run
+ * @property {string} updatedAt - ISO timestamp of the last checkpoint
+ */
+
+/**
+ * Context keys that only make sense inside a running process.
+ */
+const TRANSIENT_KEYS = new Set(['signal', 'request', 'deps', '_instanceMiddleware', '_currentLink', '_linkInfo']);
+
+/**
+ * Convert a context into a JSON-safe snapshot for the journal.
+ *
+ * Functions, abort signals and process-local keys are dropped; errors are
+ * stored with serializeError() and can be restored with deserializeError().
+ *
+ * @param {Object} ctx - Context to serialize
+ * @returns {Object} JSON-safe copy of the context
+ */
+export function serializeContext(ctx) {
+  return JSON.parse(JSON.stringify(ctx, function(key, value) {
+    if (this === ctx && TRANSIENT_KEYS.has(key)) {
+      return undefined;
+    }
+    if (typeof value === 'function') {
+      return undefined;
+    }
+    if (value instanceof Error) {
+      return serializeError(value);
+    }
+    return value;
+  }));
+}
+
+/**
+ * Create a journal store that keeps one JSON file per execution.
+ *
+ * Files are written to a temporary name and renamed so a crash mid-write
+ * never leaves a truncated checkpoint behind.
+ *
+ * @param {Object} [options={}] - Store options
+ * @param {string} [options.directory='.modulink/journal'] - Directory for journal files (relative to cwd)
+ * @returns {Object} Journal store
+ *
+ * @example
+ * const store = createFileJournalStore({ directory: '/var/lib/importer/journal' });
+ * const importChain = chain(download, parse, load, { durable: { name: 'import', store } });
+ */
+export function createFileJournalStore(options = {}) {
+  const directory = path.resolve(options.directory || path.join('.modulink', 'journal'));
+  const fileFor = (executionId) => path.join(directory, `${encodeURIComponent(executionId)}.json`);
+
+  const store = {
+    directory,
+
+    async save(record) {
+      await fs.mkdir(directory, { recursive: true });
+      const file = fileFor(record.executionId);
+      const tempFile = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tempFile, JSON.stringify(record, null, 2));
+      await fs.rename(tempFile, file);
+    },
+
+    async load(executionId) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(executionId), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async list(filter = {}) {
+      let files;
+      try {
+        files = await fs.readdir(directory);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      }
+
+      const records = [];
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        const record = await store.load(decodeURIComponent(file.slice(0, -'.json'.length)));
+        if (record && matchesFilter(record, filter)) {
+          records.push(record);
+        }
+      }
+      return records;
+    },
+
+    async remove(executionId) {
+      await fs.rm(fileFor(executionId), { force: true });
+    }
+  };
+
+  return store;
+}
+
+/**
+ * Create an in-memory journal store (useful for tests and short-lived workers).
+ *
+ * @returns {Object} Journal store
+ */
+export function createMemoryJournalStore() {
+  const records = new Map();
+  const copy = (record) => JSON.parse(JSON.stringify(record));
+
+  return {
+    async save(record) {
+      records.set(record.executionId, copy(record));
+    },
+    async load(executionId) {
+      return records.has(executionId) ? copy(records.get(executionId)) : null;
+    },
+    async list(filter = {}) {
+      return [...records.values()].filter(record => matchesFilter(record, filter)).map(copy);
+    },
+    async remove(executionId) {
+      records.delete(executionId);
+    }
+  };
+}
+
+function matchesFilter(record, { status, name } = {}) {
+  return (status === undefined || record.status === status) &&
+    (name === undefined || record.name === name);
+}
+
+/**
+ * Generate a unique execution identifier.
+ *
+ * @returns {string} Execution identifier
+ */
+export function createExecutionId() {
+  return `exec_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Create the checkpoint writer for a single durable execution.
+ *
+ * Used internally by chain(); the journal records the context after every
+ * completed link so resume() can continue after the last one.
+ *
+ * @param {Object} store - Journal store
+ * @param {Object} options - Journal options
+ * @param {string} options.executionId - Execution identifier
+ * @param {string|null} [options.name=null] - Durable chain name
+ * @param {boolean} [options.retainCompleted=false] - Keep records of completed executions
+ * @returns {Object} Journal with start(), checkpoint() and finish()
+ */
+export function createJournal(store, { executionId, name = null, retainCompleted = false }) {
+  let record = null;
+
+  return {
+    executionId,
+
+    async start(ctx, completedIndex = -1) {
+      const existing = completedIndex >= 0 ? await store.load(executionId) : null;
+      const now = getCurrentTimestamp();
+      record = {
+        executionId,
+        name,
+        status: 'running',
+        completedIndex,
+        context: serializeContext(ctx),
+        error: null,
+        startedAt: existing?.startedAt || now,
+        updatedAt: now
+      };
+      await store.save(record);
+    },
+
+    async checkpoint(index, ctx) {
+      record = {
+        ...record,
+        completedIndex: index,
+        context: serializeContext(ctx),
+        updatedAt: getCurrentTimestamp()
+      };
+      await store.save(record);
+    },
+
+    async finish(result) {
+      if (result && result.error) {
+        // Keep the last good checkpoint so a resume retries the failed link
+        record = {
+          ...record,
+          status: 'failed',
+          error: serializeContext({ error: result.error }).error,
+          updatedAt: getCurrentTimestamp()
+        };
+        await store.save(record);
+      } else if (retainCompleted) {
+        record = {
+          ...record,
+          status: 'completed',
+          context: serializeContext(result || {}),
+          updatedAt: getCurrentTimestamp()
+        };
+        await store.save(record);
+      } else {
+        await store.remove(executionId);
+      }
+    }
+  };
+}
+
+/**
+ * List executions that started but never finished, e.g. because the process
+ * crashed. Call this at startup and pass each id to the chain's resume().
+ *
+ * Failed executions are not included; they can be found with
+ * `store.list({ status: 'failed' })` and resumed explicitly.
+ *
+ * @param {Object} store - Journal store
+ * @param {Object} [filter={}] - Optional filter
+ * @param {string} [filter.name] - Only executions of this durable chain
+ * @returns {Promise<ExecutionRecord[]>} Interrupted executions
+ *
+ * @example
+ * for (const record of await listIncompleteExecutions(store, { name: 'import' })) {
+ *   await importChain.resume(record.executionId);
+ * }
+ */
+export async function listIncompleteExecutions(store, filter = {}) {
+  return await store.list({ ...filter, status: 'running' });
+}
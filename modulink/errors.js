@@ -0,0 +1,465 @@
+/**
+ * ModuLink Error Types for JavaScript
+ *
+ * One error model for every failure that ends up in `ctx.error`:
+ * - ModuLinkError: Base class with code, cause chain, failing link, trigger
+ *   type and retryable flag
+ * - Typed subclasses for framework failures (timeouts, cancellation,
+ *   validation, replay divergence, open circuits, full bulkheads, rate limits,
+ *   failed parallel branches, merge conflicts, missed quorums)
+ * - Lossless JSON serialization so errors can cross process and queue
+ *   boundaries (toJSON / deserializeError)
+ *
+ * Errors thrown or returned by links are wrapped by toModuLinkError(). The
+ * wrapper keeps the original `name`, `message`, `stack` and string `code`, and
+ * exposes the original error as `cause`.
+ */
+
+/**
+ * Well-known error codes used by ModuLink itself.
+ */
+export const ErrorCodes = Object.freeze({
+  UNEXPECTED: 'UNEXPECTED_ERROR',
+  TIMEOUT: 'TIMEOUT',
+  CANCELLED: 'CANCELLED',
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+  NOT_ACCEPTABLE: 'NOT_ACCEPTABLE',
+  CONFLICT: 'CONFLICT',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  UNAVAILABLE: 'UNAVAILABLE',
+  CIRCUIT_OPEN: 'CIRCUIT_OPEN',
+  BULKHEAD_FULL: 'BULKHEAD_FULL',
+  RATE_LIMITED: 'RATE_LIMITED',
+  MAX_ITERATIONS_EXCEEDED: 'MAX_ITERATIONS_EXCEEDED',
+  PARALLEL_FAILED: 'PARALLEL_FAILED',
+  MERGE_CONFLICT: 'MERGE_CONFLICT',
+  QUORUM_NOT_REACHED: 'QUORUM_NOT_REACHED',
+  REPLAY_DIVERGENCE: 'REPLAY_DIVERGENCE'
+});
+
+/**
+ * Error classes that deserializeError() can restore, keyed by class name.
+ */
+const errorClasses = new Map();
+
+/**
+ * Base class for all errors placed in `ctx.error` by ModuLink.
+ *
+ * @property {string} code - Machine-readable error code (see ErrorCodes)
+ * @property {*} [cause] - The underlying error, if any
+ * @property {{name: string, index: number}|null} link - Link that was executing when the error occurred
+ * @property {string|null} trigger - Trigger type of the context ('http', 'cron', 'cli', 'message')
+ * @property {boolean} retryable - Whether retrying the operation may succeed
+ * @property {string} timestamp - ISO timestamp of when the error was created
+ *
+ * @example
+ * throw new ModuLinkError('Payment provider unavailable', {
+ *   code: 'PAYMENT_UNAVAILABLE',
+ *   retryable: true,
+ *   cause: upstreamError
+ * });
+ */
+export class ModuLinkError extends Error {
+  constructor(message, options = {}) {
+    const {
+      code = ErrorCodes.UNEXPECTED,
+      cause,
+      link = null,
+      trigger = null,
+      retryable = false
+    } = options;
+
+    super(message);
+    this.name = 'ModuLinkError';
+    if (cause !== undefined) {
+      // Non-enumerable like the native `cause` option
+      Object.defineProperty(this, 'cause', { value: cause, writable: true, configurable: true });
+    }
+    this.code = code;
+    this.link = link;
+    this.trigger = trigger;
+    this.retryable = retryable;
+    this.timestamp = new Date().toISOString();
+  }
+
+  /**
+   * Serialize to a JSON-safe object, including the cause chain and all
+   * subclass fields.
+   *
+   * @returns {Object} Serialized error
+   */
+  toJSON() {
+    return {
+      ...serializeOwnFields(this),
+      type: this.constructor.name,
+      name: this.name,
+      message: this.message,
+      stack: this.stack,
+      cause: serializeError(this.cause)
+    };
+  }
+
+  /**
+   * Restore an error serialized with toJSON().
+   *
+   * @param {Object} json - Serialized error
+   * @returns {ModuLinkError} Restored error of the original class
+   */
+  static fromJSON(json) {
+    return deserializeError(json);
+  }
+}
+errorClasses.set('ModuLinkError', ModuLinkError);
+
+/**
+ * Error raised when a link or a whole chain exceeds its configured deadline.
+ *
+ * @property {string} code - Always 'TIMEOUT'
+ * @property {string} scope - 'link' for per-link timeouts, 'chain' for whole-chain deadlines
+ * @property {number} timeoutMs - The deadline that was exceeded
+ * @property {string|null} linkName - Name of the link that timed out (link scope only)
+ *
+ * @example
+ * const slowChain = chain(fetchUser, { linkTimeout: 1000 });
+ * const result = await slowChain({ userId: 1 });
+ * if (result.error instanceof TimeoutError) {
+ *   console.log(result.error.scope); // 'link'
+ * }
+ */
+export class TimeoutError extends ModuLinkError {
+  constructor(message, { scope = 'link', timeoutMs = 0, linkName = null, ...options } = {}) {
+    super(message, { code: ErrorCodes.TIMEOUT, retryable: true, ...options });
+    this.name = 'TimeoutError';
+    this.scope = scope;
+    this.timeoutMs = timeoutMs;
+    this.linkName = linkName;
+  }
+}
+errorClasses.set('TimeoutError', TimeoutError);
+
+/**
+ * Error raised when an execution is cancelled through its AbortSignal.
+ * The abort reason is available as `cause`.
+ */
+export class CancellationError extends ModuLinkError {
+  constructor(message = 'Chain execution was cancelled', options = {}) {
+    super(message, { code: ErrorCodes.CANCELLED, ...options });
+    this.name = 'CancellationError';
+  }
+}
+errorClasses.set('CancellationError', CancellationError);
+
+/**
+ * Error raised when input fails validation. Never retryable.
+ */
+export class ValidationError extends ModuLinkError {
+  constructor(message = 'Validation failed', options = {}) {
+    super(message, { code: ErrorCodes.VALIDATION_FAILED, ...options, retryable: false });
+    this.name = 'ValidationError';
+  }
+}
+errorClasses.set('ValidationError', ValidationError);
+
+/**
+ * Error raised by replay() when a re-run chain step does not match the recording.
+ *
+ * @property {string} code - Always 'REPLAY_DIVERGENCE'
+ * @property {Object} divergence - First divergence: `{ step, expected, actual }`
+ */
+export class ReplayDivergenceError extends ModuLinkError {
+  constructor(message, divergence = null, options = {}) {
+    super(message, { code: ErrorCodes.REPLAY_DIVERGENCE, ...options });
+    this.name = 'ReplayDivergenceError';
+    this.divergence = divergence;
+  }
+}
+errorClasses.set('ReplayDivergenceError', ReplayDivergenceError);
+
+/**
+ * Error placed in `ctx.error` when a circuit breaker rejects a call without
+ * running the chain.
+ *
+ * @property {string} code - Always 'CIRCUIT_OPEN'
+ * @property {string} circuit - Name of the circuit breaker
+ * @property {number} retryAfterMs - Time until the circuit lets a trial call through
+ */
+export class CircuitOpenError extends ModuLinkError {
+  constructor(message, { circuit = null, retryAfterMs = 0, ...options } = {}) {
+    super(message, { code: ErrorCodes.CIRCUIT_OPEN, retryable: true, ...options });
+    this.name = 'CircuitOpenError';
+    this.circuit = circuit;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+errorClasses.set('CircuitOpenError', CircuitOpenError);
+
+/**
+ * Error placed in `ctx.error` when a bulkhead rejects an execution because
+ * its queue is full or the wait for a slot took too long.
+ *
+ * @property {string} code - Always 'BULKHEAD_FULL'
+ * @property {string} bulkhead - Name of the bulkhead
+ * @property {string} reason - 'queueFull' or 'queueTimeout'
+ */
+export class BulkheadFullError extends ModuLinkError {
+  constructor(message, { bulkhead = null, reason = 'queueFull', ...options } = {}) {
+    super(message, { code: ErrorCodes.BULKHEAD_FULL, retryable: true, ...options });
+    this.name = 'BulkheadFullError';
+    this.bulkhead = bulkhead;
+    this.reason = reason;
+  }
+}
+errorClasses.set('BulkheadFullError', BulkheadFullError);
+
+/**
+ * Error placed in `ctx.error` when a caller exceeds a rate limit.
+ *
+ * @property {string} code - Always 'RATE_LIMITED'
+ * @property {number} retryAfterMs - Time until the caller may try again
+ * @property {number} limit - Calls allowed per window
+ * @property {number} windowMs - Window length in milliseconds
+ */
+export class RateLimitError extends ModuLinkError {
+  constructor(message, { retryAfterMs = 0, limit = null, windowMs = null, ...options } = {}) {
+    super(message, { code: ErrorCodes.RATE_LIMITED, retryable: true, ...options });
+    this.name = 'RateLimitError';
+    this.retryAfterMs = retryAfterMs;
+    this.limit = limit;
+    this.windowMs = windowMs;
+  }
+}
+errorClasses.set('RateLimitError', RateLimitError);
+
+/**
+ * Error placed in `ctx.error` when parallel branches fail and their errors
+ * are collected rather than ending at the first one.
+ *
+ * @property {string} code - Always 'PARALLEL_FAILED'
+ * @property {Array<{branch: (string|number), error: Error}>} failures - Error of each failed branch
+ */
+export class ParallelError extends ModuLinkError {
+  constructor(message, { failures = [], ...options } = {}) {
+    super(message, { code: ErrorCodes.PARALLEL_FAILED, ...options });
+    this.name = 'ParallelError';
+    this.failures = failures;
+  }
+}
+errorClasses.set('ParallelError', ParallelError);
+
+/**
+ * Error placed in `ctx.error` when parallel branches write different values
+ * to the same context field and conflicts are configured as errors.
+ *
+ * @property {string} code - Always 'MERGE_CONFLICT'
+ * @property {Array<{key: string, branches: Array<(string|number)>}>} conflicts - Conflicting fields
+ *                                                                              and the branches writing them
+ */
+export class MergeConflictError extends ModuLinkError {
+  constructor(message, { conflicts = [], ...options } = {}) {
+    super(message, { code: ErrorCodes.MERGE_CONFLICT, ...options });
+    this.name = 'MergeConflictError';
+    this.conflicts = conflicts;
+  }
+}
+errorClasses.set('MergeConflictError', MergeConflictError);
+
+/**
+ * Error placed in `ctx.error` by quorum() when not enough branches succeed
+ * with agreeing results.
+ *
+ * @property {string} code - Always 'QUORUM_NOT_REACHED'
+ * @property {number} required - Number of agreeing branches required
+ * @property {number} agreeing - Size of the largest group of agreeing branches
+ * @property {Array<{branch: (string|number), error: Error}>} failures - Error of each failed branch
+ */
+export class QuorumError extends ModuLinkError {
+  constructor(message, { required = 0, agreeing = 0, failures = [], ...options } = {}) {
+    super(message, { code: ErrorCodes.QUORUM_NOT_REACHED, retryable: true, ...options });
+    this.name = 'QuorumError';
+    this.required = required;
+    this.agreeing = agreeing;
+    this.failures = failures;
+  }
+}
+errorClasses.set('QuorumError', QuorumError);
+
+/**
+ * Register a custom ModuLinkError subclass so deserializeError() restores it.
+ *
+ * @param {Function} ErrorClass - Subclass of ModuLinkError
+ * @returns {Function} The same class
+ */
+export function registerErrorClass(ErrorClass) {
+  errorClasses.set(ErrorClass.name, ErrorClass);
+  return ErrorClass;
+}
+
+function serializeOwnFields(error) {
+  const fields = {};
+  for (const key of Object.keys(error)) {
+    const value = error[key];
+    if (typeof value !== 'function') {
+      fields[key] = value instanceof Error ? serializeError(value) : value;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Serialize any error value into a JSON-safe object.
+ *
+ * ModuLinkErrors use their own toJSON(); other Errors keep their name,
+ * message, stack, own fields and cause chain.
+ *
+ * @param {*} error - Error to serialize
+ * @returns {*} JSON-safe representation (non-errors are returned unchanged)
+ */
+export function serializeError(error) {
+  if (error instanceof ModuLinkError) {
+    return error.toJSON();
+  }
+  if (error instanceof Error) {
+    return {
+      ...serializeOwnFields(error),
+      type: 'Error',
+      name: error.name,
+      message: error.message,
+      stack: error.stack,
+      cause: serializeError(error.cause)
+    };
+  }
+  return error;
+}
+
+/**
+ * Restore an error serialized with serializeError() or toJSON().
+ *
+ * @param {Object} json - Serialized error
+ * @returns {Error} Restored error (ModuLinkError subclasses keep their class)
+ */
+export function deserializeError(json) {
+  if (!json || typeof json !== 'object') {
+    return json;
+  }
+
+  const { type, name, message, stack, cause, ...fields } = json;
+  const ErrorClass = errorClasses.get(type);
+  const error = ErrorClass ? Object.create(ErrorClass.prototype) : new Error(message);
+
+  Object.defineProperty(error, 'message', { value: message, writable: true, configurable: true });
+  Object.defineProperty(error, 'stack', { value: stack, writable: true, configurable: true });
+  if (cause !== undefined && cause !== null) {
+    Object.defineProperty(error, 'cause', { value: deserializeError(cause), writable: true, configurable: true });
+  }
+  error.name = name;
+  Object.assign(error, fields);
+  return error;
+}
+
+/**
+ * Marks ModuLinkErrors created by toModuLinkError() around a foreign error.
+ * A symbol so it survives copies but never reaches serialized errors.
+ */
+const WRAPPED = Symbol('modulink.wrapped');
+
+/**
+ * Normalize any thrown or returned value into a ModuLinkError.
+ *
+ * ModuLinkErrors are returned as-is, or as a copy when missing link/trigger
+ * details are filled in; the given error is never mutated. Other errors are
+ * wrapped, keeping their name, message, stack, string `code` and boolean
+ * `retryable`, with the original as `cause` (so `instanceof TypeError` checks
+ * become `error.cause instanceof TypeError`); serialized errors are restored
+ * first.
+ *
+ * @param {*} error - Value to normalize
+ * @param {Object} [context={}] - Details about where the error occurred
+ * @param {{name: string, index: number}} [context.link] - Failing link
+ * @param {string} [context.trigger] - Trigger type
+ * @returns {ModuLinkError} Normalized error
+ */
+export function toModuLinkError(error, { link = null, trigger = null } = {}) {
+  if (error && typeof error === 'object' && !(error instanceof Error) && typeof error.type === 'string') {
+    error = deserializeError(error);
+  }
+
+  if (error instanceof ModuLinkError) {
+    const addLink = !error.link && link;
+    const addTrigger = !error.trigger && trigger;
+    if (!addLink && !addTrigger) {
+      return error;
+    }
+    // The same instance may be shared by branches and executions, so the
+    // details of this failure go on a copy of the same class
+    const copy = Object.create(Object.getPrototypeOf(error), Object.getOwnPropertyDescriptors(error));
+    if (addLink) {
+      copy.link = link;
+    }
+    if (addTrigger) {
+      copy.trigger = trigger;
+    }
+    return copy;
+  }
+
+  const original = error instanceof Error
+    ? error
+    : new Error(error && typeof error === 'object' && error.message ? error.message : String(error));
+
+  const wrapped = new ModuLinkError(original.message, {
+    code: typeof original.code === 'string' ? original.code : ErrorCodes.UNEXPECTED,
+    cause: original,
+    link,
+    trigger,
+    retryable: typeof original.retryable === 'boolean' ? original.retryable : false
+  });
+  wrapped.name = original.name;
+  if (original.stack) {
+    wrapped.stack = original.stack;
+  }
+  Object.defineProperty(wrapped, WRAPPED, { value: true });
+  return wrapped;
+}
+
+/**
+ * Check whether a ModuLinkError wraps a foreign error (anything that was not
+ * thrown or returned as a ModuLinkError), whose message may expose internals.
+ *
+ * @param {*} error - Value to check
+ * @returns {boolean} True for errors wrapped by toModuLinkError()
+ */
+export function isWrappedError(error) {
+  return Boolean(error && error[WRAPPED]);
+}
+
+/**
+ * Normalize an abort reason into a typed error. Timeouts and other
+ * ModuLinkErrors are kept; anything else becomes a CancellationError.
+ *
+ * @param {*} reason - AbortSignal reason
+ * @returns {ModuLinkError} Typed error
+ */
+export function toCancellationError(reason) {
+  if (reason instanceof ModuLinkError) {
+    return reason;
+  }
+  const message = reason instanceof Error && reason.name !== 'AbortError'
+    ? reason.message
+    : 'Chain execution was cancelled';
+  return new CancellationError(message, { cause: reason });
+}
+
+/**
+ * Check whether an error (or error-like value) is a timeout error.
+ *
+ * Also recognises serialized timeout errors that only carry a `code` field.
+ *
+ * @param {*} error - Value to check
+ * @returns {boolean} True if the error represents a timeout
+ */
+export function isTimeoutError(error) {
+  return error instanceof TimeoutError || Boolean(error && error.code === ErrorCodes.TIMEOUT);
+}
@@ -0,0 +1,280 @@
+/**
+ * ModuLink Chain Graph Introspection for JavaScript
+ *
+ * Structured descriptions of chains and exporters that render them:
+ * - describeChain: Links in order, middleware positions and nested chains
+ * - toMermaid: Mermaid flowchart source
+ * - toDot: Graphviz DOT source
+ *
+ * Chains describe themselves through `chain._describe()`. Wrapper utilities
+ * (when, parallel, retry, ...) carry their inner chains as `fn._graph`
+ * metadata, attached with annotate(), so nested pipelines can be walked.
+ */
+
+/**
+ * @typedef {Object} ChainDescription
+ * Structured description of a chain or link.
+ *
+ * @property {string} type - 'chain', 'link', 'step' or the wrapper type ('when', 'parallel', ...)
+ * @property {string} [name] - Link name (links and steps)
+ * @property {string} [compensate] - Compensation name (steps)
+ * @property {Array<ChainDescription>} [links] - Links in execution order (chains)
+ * @property {Object} [middleware] - Middleware descriptions by position (chains)
+ * @property {Array<ChainDescription>} middleware.input - onInput middleware
+ * @property {Array<ChainDescription>} middleware.output - onOutput middleware
+ * @property {Array<ChainDescription>} middleware.global - Global middleware
+ * @property {Object} [timeouts] - Configured deadlines (chains)
+ * @property {string} [label] - Wrapper detail such as the condition name
+ * @property {boolean} [passThrough] - Whether the wrapper can skip all its inner chains
+ * @property {Array<{label: string, node: ChainDescription}>} [children] - Inner chains (wrappers)
+ */
+
+/**
+ * Attach graph metadata to a wrapper function so its inner chains appear in
+ * chain descriptions.
+ *
+ * @param {Function} fn - Wrapper function returned by a utility
+ * @param {string} type - Wrapper type, e.g. 'when' or 'parallel'
+ * @param {Array<{label: string, target: Function}>} [children=[]] - Inner chains with edge labels
+ * @param {Object} [details={}] - Extra description fields
+ * @param {string} [details.label] - Short detail shown next to the type
+ * @param {boolean} [details.passThrough=false] - Whether the wrapper can skip its inner chains
+ * @returns {Function} The same function, annotated
+ */
+export function annotate(fn, type, children = [], details = {}) {
+  fn._graph = {
+    type,
+    children: children.filter(child => typeof child.target === 'function'),
+    label: details.label || null,
+    passThrough: Boolean(details.passThrough)
+  };
+  return fn;
+}
+
+/**
+ * Describe any function used in a chain: a chain, an annotated wrapper, a
+ * compensating step or a plain link.
+ *
+ * @param {Function} fn - Function to describe
+ * @returns {ChainDescription} Structured description
+ */
+export function describeNode(fn) {
+  if (typeof fn !== 'function') {
+    return { type: 'unknown', name: String(fn) };
+  }
+  if (typeof fn._describe === 'function') {
+    return fn._describe();
+  }
+  if (fn._graph) {
+    const { type, label, passThrough, children } = fn._graph;
+    return {
+      type,
+      label,
+      passThrough,
+      children: children.map(child => ({ label: child.label, node: describeNode(child.target) }))
+    };
+  }
+  if (typeof fn.compensate === 'function') {
+    return { type: 'step', name: fn.name || 'anonymous', compensate: fn.compensate.name || 'anonymous' };
+  }
+  return { type: 'link', name: fn.name || 'anonymous' };
+}
+
+/**
+ * Describe a chain, including nested chains inside wrapper utilities.
+ *
+ * @param {Function} target - Chain (or link) to describe
+ * @returns {ChainDescription} Structured description
+ *
+ * @example
+ * const signup = chain(validateUser, when(isNewsletter, subscribe), saveUser)
+ *   .use.onInput(validator);
+ * describeChain(signup);
+ * // { type: 'chain', links: [{ type: 'link', name: 'validateUser' }, { type: 'when', ... }, ...],
+ * //   middleware: { input: [{ type: 'link', name: 'validator' }], output: [], global: [] }, ... }
+ */
+export function describeChain(target) {
+  return describeNode(target);
+}
+
+const DECISION_TYPES = new Set(['when', 'branch', 'switchOn', 'firstMatch', 'validate']);
+
+/**
+ * Flattens a description into clusters, nodes and edges shared by the exporters.
+ *
+ * @param {ChainDescription} description - Description to flatten
+ * @returns {{root: Object, edges: Array}} Cluster tree and edge list
+ */
+function buildGraph(description) {
+  const root = { kind: 'cluster', id: null, label: null, items: [] };
+  const edges = [];
+  let counter = 0;
+
+  const addNode = (parent, label, shape) => {
+    const id = `n${counter++}`;
+    parent.items.push({ kind: 'node', id, label, shape });
+    return id;
+  };
+
+  const nodeLabel = (node) => node.name || (node.label ? `${node.type}: ${node.label}` : node.type);
+
+  const visit = (node, parent) => {
+    if (node.type === 'chain') {
+      const cluster = { kind: 'cluster', id: `c${counter++}`, label: node.name || 'chain', items: [] };
+      parent.items.push(cluster);
+
+      for (const position of ['input', 'output', 'global']) {
+        const middleware = node.middleware?.[position] || [];
+        if (middleware.length > 0) {
+          const names = middleware.map(nodeLabel).join(', ');
+          addNode(cluster, `${position === 'global' ? 'use' : `on${position[0].toUpperCase()}${position.slice(1)}`}: ${names}`, 'note');
+        }
+      }
+
+      if (!node.links || node.links.length === 0) {
+        const id = addNode(cluster, '(empty chain)', 'link');
+        return { entry: id, exits: [id] };
+      }
+
+      let entry = null;
+      let exits = [];
+      for (const link of node.links) {
+        const result = visit(link, cluster);
+        if (entry === null) {
+          entry = result.entry;
+        } else {
+          exits.forEach(from => edges.push({ from, to: result.entry, label: null }));
+        }
+        exits = result.exits;
+      }
+      return { entry, exits };
+    }
+
+    if (node.children) {
+      const id = addNode(parent, nodeLabel(node), DECISION_TYPES.has(node.type) ? 'decision' : 'wrapper');
+      const exits = node.passThrough || node.children.length === 0 ? [id] : [];
+      for (const child of node.children) {
+        const result = visit(child.node, parent);
+        edges.push({ from: id, to: result.entry, label: child.label });
+        exits.push(...result.exits);
+      }
+      return { entry: id, exits };
+    }
+
+    const label = node.type === 'step' ? `${node.name} ↩ ${node.compensate}` : nodeLabel(node);
+    const id = addNode(parent, label, 'link');
+    return { entry: id, exits: [id] };
+  };
+
+  visit(description, root);
+  return { root, edges };
+}
+
+const resolveDescription = (target) =>
+  typeof target === 'function' ? describeChain(target) : target;
+
+const escapeMermaid = (text) => String(text).replace(/"/g, '#quot;');
+
+const MERMAID_SHAPES = {
+  link: (id, label) => `${id}["${label}"]`,
+  decision: (id, label) => `${id}{"${label}"}`,
+  wrapper: (id, label) => `${id}[["${label}"]]`,
+  note: (id, label) => `${id}>"${label}"]`
+};
+
+/**
+ * Render a chain as a Mermaid flowchart.
+ *
+ * Chains become subgraphs, conditional wrappers become decision nodes and
+ * middleware is listed inside the subgraph of the chain it is attached to.
+ *
+ * @param {Function|ChainDescription} target - Chain or description to render
+ * @param {Object} [options={}] - Rendering options
+ * @param {string} [options.direction='TB'] - Flow direction ('TB', 'LR', ...)
+ * @returns {string} Mermaid source
+ *
+ * @example
+ * fs.writeFileSync('docs/signup.mmd', toMermaid(signupChain, { direction: 'LR' }));
+ */
+export function toMermaid(target, options = {}) {
+  const { direction = 'TB' } = options;
+  const { root, edges } = buildGraph(resolveDescription(target));
+  const lines = [`flowchart ${direction}`];
+
+  const print = (cluster, indent) => {
+    for (const item of cluster.items) {
+      if (item.kind === 'cluster') {
+        lines.push(`${indent}subgraph ${item.id} ["${escapeMermaid(item.label)}"]`);
+        print(item, `${indent}  `);
+        lines.push(`${indent}end`);
+      } else {
+        lines.push(`${indent}${MERMAID_SHAPES[item.shape](item.id, escapeMermaid(item.label))}`);
+      }
+    }
+  };
+
+  print(root, '  ');
+  for (const edge of edges) {
+    const label = edge.label !== null && edge.label !== undefined
+      ? `|"${escapeMermaid(edge.label)}"|`
+      : '';
+    lines.push(`  ${edge.from} -->${label} ${edge.to}`);
+  }
+
+  return lines.join('\n');
+}
+
+const escapeDot = (text) => String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+const DOT_SHAPES = {
+  link: 'box',
+  decision: 'diamond',
+  wrapper: 'component',
+  note: 'note'
+};
+
+/**
+ * Render a chain as a Graphviz DOT digraph.
+ *
+ * Chains become clusters, conditional wrappers become diamonds and middleware
+ * is listed as a note inside the cluster of the chain it is attached to.
+ *
+ * @param {Function|ChainDescription} target - Chain or description to render
+ * @param {Object} [options={}] - Rendering options
+ * @param {string} [options.direction='TB'] - Graphviz rankdir ('TB', 'LR', ...)
+ * @param {string} [options.name='modulink'] - Graph name
+ * @returns {string} DOT source
+ *
+ * @example
+ * fs.writeFileSync('docs/signup.dot', toDot(signupChain));
+ * // dot -Tsvg docs/signup.dot > docs/signup.svg
+ */
+export function toDot(target, options = {}) {
+  const { direction = 'TB', name = 'modulink' } = options;
+  const { root, edges } = buildGraph(resolveDescription(target));
+  const lines = [`digraph "${escapeDot(name)}" {`, `  rankdir=${direction};`];
+
+  const print = (cluster, indent) => {
+    for (const item of cluster.items) {
+      if (item.kind === 'cluster') {
+        lines.push(`${indent}subgraph cluster_${item.id} {`);
+        lines.push(`${indent}  label="${escapeDot(item.label)}";`);
+        print(item, `${indent}  `);
+        lines.push(`${indent}}`);
+      } else {
+        lines.push(`${indent}${item.id} [label="${escapeDot(item.label)}", shape=${DOT_SHAPES[item.shape]}];`);
+      }
+    }
+  };
+
+  print(root, '  ');
+  for (const edge of edges) {
+    const label = edge.label !== null && edge.label !== undefined
+      ? ` [label="${escapeDot(edge.label)}"]`
+      : '';
+    lines.push(`  ${edge.from} -> ${edge.to}${label};`);
+  }
+  lines.push('}');
+
+  return lines.join('\n');
+}
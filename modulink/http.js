@@ -0,0 +1,421 @@
+/**
+ * ModuLink HTTP Trigger for JavaScript
+ *
+ * First-class HTTP trigger for ModuLink instances:
+ * - Routing: `modulink.http.get('/users/:id', chain)` with path parameters
+ * - Request parsing: query strings and JSON, form and text bodies
+ * - Contexts built with createHttpContext(), carrying instance middleware and
+ *   an AbortSignal that fires when the client disconnects
+ * - Response mapping from the result context (see response.js)
+ *
+ * The same router runs on bare `node:http` (`modulink.http.listen(port)` or
+ * `http.createServer(modulink.http.handle)`) and on Express (routes are
+ * mounted on `modulink.app` automatically).
+ */
+
+import http from 'http';
+import { createHttpContext, createErrorContext } from './types.js';
+import { ValidationError, ModuLinkError, ErrorCodes } from './errors.js';
+import { sendResponse } from './response.js';
+import { shutdownError } from './lifecycle.js';
+
+export const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+const DEFAULT_BODY_LIMIT = 1024 * 1024;
+
+/**
+ * Compile a route path such as '/users/:id/files/*' into a matcher.
+ *
+ * `:name` matches one path segment; a trailing `*` matches the rest of the
+ * path and is exposed as the `wildcard` parameter.
+ *
+ * @param {string} routePath - Route path
+ * @returns {function(string): (Object|null)} Matcher returning params or null; throws a
+ *                                            ValidationError for malformed percent-encoding
+ */
+function compilePath(routePath) {
+  const names = [];
+  const pattern = routePath
+    .split('/')
+    .map((segment) => {
+      if (segment === '*') {
+        names.push('wildcard');
+        return '(.*)';
+      }
+      if (segment.startsWith(':')) {
+        names.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  const regex = new RegExp(`^${pattern}/?$`);
+
+  return (pathname) => {
+    const match = regex.exec(pathname);
+    if (!match) {
+      return null;
+    }
+    try {
+      return Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+    } catch (error) {
+      if (error instanceof URIError) {
+        throw new ValidationError(`Malformed percent-encoding in path ${pathname}`, { cause: error });
+      }
+      throw error;
+    }
+  };
+}
+
+/**
+ * Parse a query string into an object; repeated keys become arrays.
+ *
+ * @param {URLSearchParams} searchParams - Parsed query
+ * @returns {Object} Query object
+ */
+function parseQuery(searchParams) {
+  const query = {};
+  for (const [key, value] of searchParams) {
+    if (key in query) {
+      query[key] = [].concat(query[key], value);
+    } else {
+      query[key] = value;
+    }
+  }
+  return query;
+}
+
+/**
+ * Read and parse the request body according to its content type.
+ *
+ * Bodies already parsed by framework middleware (e.g. `express.json()`) are
+ * used as-is.
+ *
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {number} limit - Maximum body size in bytes
+ * @returns {Promise<*>} Parsed body (object, string, Buffer or null)
+ */
+async function readBody(req, limit) {
+  if (req.body !== undefined) {
+    return req.body;
+  }
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    return null;
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) {
+      throw new ModuLinkError(`Request body exceeds ${limit} bytes`, { code: ErrorCodes.PAYLOAD_TOO_LARGE });
+    }
+    chunks.push(chunk);
+  }
+  if (size === 0) {
+    return null;
+  }
+
+  const raw = Buffer.concat(chunks);
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+  if (contentType === 'application/json' || contentType.endsWith('+json')) {
+    try {
+      return JSON.parse(raw.toString('utf8'));
+    } catch (error) {
+      throw new ValidationError('Request body is not valid JSON', { cause: error });
+    }
+  }
+  if (contentType === 'application/x-www-form-urlencoded') {
+    return parseQuery(new URLSearchParams(raw.toString('utf8')));
+  }
+  if (contentType.startsWith('text/')) {
+    return raw.toString('utf8');
+  }
+  return raw;
+}
+
+/**
+ * Create the HTTP trigger for a ModuLink instance.
+ *
+ * Used internally by createModuLink(); available as `modulink.http`.
+ *
+ * @param {Object} instance - ModuLink instance
+ * @returns {Object} HTTP trigger with route registration methods, `handle` and `listen`
+ *
+ * @example
+ * const modulink = createModuLink();
+ * modulink.http
+ *   .get('/users/:id', getUserChain, { respond: ['user'] })
+ *   .post('/users', createUserChain);
+ * modulink.http.listen(3000);
+ *
+ * @example
+ * // Express: routes are mounted on the app passed to createModuLink()
+ * const modulink = createModuLink(express());
+ * modulink.http.post('/api/signup', userSignupChain);
+ * modulink.app.listen(3000);
+ */
+export function createHttpTrigger(instance) {
+  const routes = [];
+  let defaults = {};
+  let mounted = false;
+  const servers = new Set();
+  const closing = new Map();
+
+  /**
+   * Mount the router on the instance's app the first time a route is added.
+   */
+  function mount() {
+    if (mounted || !instance.app) {
+      return;
+    }
+    const app = instance.app;
+    if (typeof app.use === 'function') {
+      app.use(trigger.handle);
+      mounted = true;
+    } else if (app instanceof http.Server) {
+      app.on('request', trigger.handle);
+      mounted = true;
+    }
+  }
+
+  /**
+   * Answer a request whose handling failed outside of a chain: 400 for a
+   * malformed path, 500 otherwise. A partly sent response is destroyed.
+   */
+  async function sendFailure(res, error) {
+    try {
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      await sendResponse(res, createErrorContext(error), defaults);
+    } catch (sendError) {
+      res.destroy(sendError);
+    }
+  }
+
+  /**
+   * Dispatch a matched route as a tracked execution of the instance
+   * lifecycle; answers 503 once the instance is stopping.
+   */
+  async function dispatch(route, params, req, res, url) {
+    const options = { ...defaults, ...route.options };
+    const execution = instance._lifecycle.enter();
+    if (!execution) {
+      await sendResponse(res, { error: shutdownError(), response: { headers: { Connection: 'close' } } }, options);
+      return;
+    }
+    try {
+      await run(route, params, req, res, url, options, execution.controller);
+    } finally {
+      execution.exit();
+    }
+  }
+
+  /**
+   * Run the chain of a matched route and send its result.
+   */
+  async function run(route, params, req, res, url, options, controller) {
+    const onClose = () => {
+      if (!res.writableEnded) {
+        controller.abort(new Error('Client disconnected'));
+      }
+    };
+    res.on('close', onClose);
+
+    let initial = createHttpContext({
+      request: req,
+      method: req.method,
+      path: url.pathname,
+      headers: req.headers,
+      query: parseQuery(url.searchParams),
+      params,
+      signal: controller.signal
+    });
+
+    try {
+      initial = { ...initial, body: await readBody(req, options.bodyLimit || DEFAULT_BODY_LIMIT) };
+    } catch (error) {
+      res.off('close', onClose);
+      await sendResponse(res, createErrorContext(error, initial), options);
+      return;
+    }
+
+    const result = await instance._execute(route.chain, initial);
+    res.off('close', onClose);
+
+    try {
+      await sendResponse(res, result, { ...options, initial });
+    } catch (error) {
+      // Streaming failed midway (e.g. the client went away); nothing left to send
+      res.destroy(error);
+    }
+  }
+
+  const trigger = {
+    /**
+     * Registered routes as `{ method, path }` pairs.
+     */
+    get routes() {
+      return routes.map(({ method, path }) => ({ method, path }));
+    },
+
+    /**
+     * Set response options shared by all routes (route options take precedence).
+     *
+     * @param {Object} options - Options for sendResponse(), e.g. `statusCodes`,
+     *                           `serializers`, `errorBody`, plus `bodyLimit`
+     * @returns {Object} The HTTP trigger for method chaining
+     */
+    configure(options = {}) {
+      defaults = { ...defaults, ...options };
+      return trigger;
+    },
+
+    /**
+     * Register a chain for an HTTP method and path.
+     *
+     * @param {string} method - HTTP method ('GET', 'POST', ... or '*' for any)
+     * @param {string} path - Route path with optional `:param` segments and trailing `*`
+     * @param {Function} target - Chain to run for matching requests
+     * @param {Object} [options={}] - Route options
+     * @param {(string[]|Function)} [options.respond] - Context fields to send, or `(ctx) => body`;
+     *                                                 ignored when the chain sets `ctx.response`,
+     *                                                 defaults to the fields the chain added
+     * @param {Object<string, number>} [options.statusCodes] - Error code to HTTP status overrides
+     * @param {Object<string, Function>} [options.serializers] - Extra serializers by media type
+     * @param {number} [options.bodyLimit=1048576] - Maximum request body size in bytes
+     * @returns {Object} The HTTP trigger for method chaining
+     */
+    route(method, path, target, options = {}) {
+      if (typeof target !== 'function') {
+        throw new Error(`HTTP route ${method.toUpperCase()} ${path} requires a chain`);
+      }
+      routes.push({ method: method.toUpperCase(), path, match: compilePath(path), chain: target, options });
+      mount();
+      return trigger;
+    },
+
+    /**
+     * Request listener for `node:http` and middleware for Express/Connect.
+     *
+     * Unmatched requests are passed to `next` when given, otherwise answered
+     * with 404 (or 405 when the path exists for another method). Paths with
+     * malformed percent-encoding are answered with 400, and any other
+     * unexpected failure with 500, so the returned promise never rejects.
+     *
+     * @param {http.IncomingMessage} req - Incoming request
+     * @param {http.ServerResponse} res - Server response
+     * @param {Function} [next] - Next handler (Express)
+     * @returns {Promise<void>}
+     */
+    async handle(req, res, next) {
+      try {
+        const url = new URL(req.originalUrl || req.url, 'http://localhost');
+        const allowed = new Set();
+
+        for (const route of routes) {
+          const params = route.match(url.pathname);
+          if (!params) {
+            continue;
+          }
+          if (route.method === '*' || route.method === req.method ||
+              (route.method === 'GET' && req.method === 'HEAD')) {
+            await dispatch(route, params, req, res, url);
+            return;
+          }
+          allowed.add(route.method);
+        }
+
+        if (typeof next === 'function') {
+          next();
+        } else if (allowed.size > 0) {
+          await sendResponse(res, {
+            error: new ModuLinkError(`${req.method} not allowed`, { code: ErrorCodes.METHOD_NOT_ALLOWED }),
+            response: { headers: { Allow: [...allowed].join(', ') } }
+          }, defaults);
+        } else {
+          await sendResponse(res, {
+            error: new ModuLinkError(`No route for ${req.method} ${url.pathname}`, { code: ErrorCodes.NOT_FOUND })
+          }, defaults);
+        }
+      } catch (error) {
+        await sendFailure(res, error);
+      }
+    },
+
+    /**
+     * Start listening for the registered routes.
+     *
+     * Uses the instance's app when it can listen (Express app or
+     * `http.Server`), otherwise creates a `node:http` server. The server is
+     * closed by `modulink.stop()`.
+     *
+     * @param {number} [port=0] - Port to listen on
+     * @param {Function} [callback] - Called once the server is listening
+     * @returns {http.Server} The server
+     */
+    listen(port = 0, callback) {
+      const app = instance.app;
+      const server = app && typeof app.listen === 'function'
+        ? app.listen(port, callback)
+        : http.createServer(trigger.handle).listen(port, callback);
+      return trigger.attach(server);
+    },
+
+    /**
+     * Servers started by listen() or passed to attach().
+     */
+    get servers() {
+      return [...servers];
+    },
+
+    /**
+     * Track a server started elsewhere (e.g. by Express' `app.listen()`) so
+     * close() and `modulink.stop()` close it.
+     *
+     * @param {http.Server} server - Server to track
+     * @returns {http.Server} The server
+     */
+    attach(server) {
+      servers.add(server);
+      return server;
+    },
+
+    /**
+     * Stop accepting connections and resolve once every tracked server (and
+     * an `http.Server` passed as app) has closed. Idle keep-alive connections
+     * are closed right away; `force` also closes connections with requests
+     * in progress.
+     *
+     * @param {Object} [options={}] - Close options
+     * @param {boolean} [options.force=false] - Close all connections
+     * @returns {Promise<void>}
+     */
+    async close({ force = false } = {}) {
+      if (instance.app instanceof http.Server && instance.app.listening) {
+        servers.add(instance.app);
+      }
+      await Promise.all([...servers].map((server) => {
+        if (!closing.has(server)) {
+          closing.set(server, new Promise(resolve => server.close(() => resolve())));
+        }
+        if (force) {
+          server.closeAllConnections?.();
+        } else {
+          server.closeIdleConnections?.();
+        }
+        return closing.get(server);
+      }));
+    }
+  };
+
+  for (const method of HTTP_METHODS) {
+    trigger[method] = (path, target, options) => trigger.route(method, path, target, options);
+  }
+  trigger.all = (path, target, options) => trigger.route('*', path, target, options);
+
+  return trigger;
+}
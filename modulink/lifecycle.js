@@ -0,0 +1,302 @@
+/**
+ * ModuLink Instance Lifecycle for JavaScript
+ *
+ * Start and graceful shutdown of a ModuLink instance:
+ * - `modulink.start({ port })` runs onStart hooks, starts the triggers and
+ *   stops the instance on SIGTERM/SIGINT
+ * - `modulink.stop({ timeoutMs })` stops accepting triggers, waits for
+ *   in-flight chain executions (aborting them after the timeout and waiting
+ *   for them to settle), closes HTTP servers, cron schedules and message
+ *   subscriptions, then runs onStop hooks in reverse order
+ *
+ * Triggers report every run through enter()/exit() so in-flight executions
+ * can be drained; enter() returns null once the instance is stopping.
+ */
+
+import { ModuLinkError, CancellationError, ErrorCodes } from './errors.js';
+
+const DEFAULT_STOP_TIMEOUT = 10000;
+const DEFAULT_SIGNALS = ['SIGTERM', 'SIGINT'];
+
+/**
+ * @typedef {Object} StopReport
+ * Outcome of modulink.stop().
+ *
+ * @property {boolean} drained - True if every in-flight execution finished before the timeout
+ * @property {number} inFlight - Executions running when stop() was called
+ * @property {number} aborted - Executions aborted after the timeout
+ * @property {number} abandoned - Aborted executions still running when triggers were closed
+ * @property {number} durationMs - Time taken to stop
+ * @property {Error[]} errors - Errors thrown while closing triggers or by onStop hooks
+ */
+
+/**
+ * Error for triggers that fire while the instance is shutting down.
+ *
+ * @returns {ModuLinkError} Retryable UNAVAILABLE error
+ */
+export function shutdownError() {
+  return new ModuLinkError('ModuLink instance is shutting down', {
+    code: ErrorCodes.UNAVAILABLE,
+    retryable: true
+  });
+}
+
+/**
+ * Create the lifecycle manager for a ModuLink instance.
+ *
+ * Used internally by createModuLink(); exposed as `modulink.start()`,
+ * `modulink.stop()`, `modulink.onStart()`, `modulink.onStop()` and
+ * `modulink.state`.
+ *
+ * @param {Object} instance - ModuLink instance (passed to hooks)
+ * @returns {Object} Lifecycle with start(), stop(), enter(), addTrigger(), onStart(), onStop() and state
+ */
+export function createLifecycle(instance) {
+  const executions = new Set();
+  const triggers = [];
+  const startHooks = [];
+  const stopHooks = [];
+  let signalHandlers = [];
+  let state = 'idle';
+  let stopping = null;
+
+  const accepting = () => state !== 'stopping' && state !== 'stopped';
+
+  function removeSignalHandlers() {
+    for (const [signal, handler] of signalHandlers) {
+      process.off(signal, handler);
+    }
+    signalHandlers = [];
+  }
+
+  /**
+   * Wait for in-flight executions; resolves to false if the timeout hits first.
+   */
+  async function drain(timeoutMs) {
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    const settled = (async () => {
+      while (executions.size > 0) {
+        await Promise.all([...executions].map(execution => execution.done));
+      }
+      return true;
+    })();
+    try {
+      return await Promise.race([settled, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function shutdown(timeoutMs, startedTriggers = triggers) {
+    const startTime = Date.now();
+    const inFlight = executions.size;
+    const errors = [];
+    state = 'stopping';
+    removeSignalHandlers();
+
+    for (const trigger of triggers) {
+      try {
+        trigger.pause?.();
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+
+    const drained = await drain(timeoutMs);
+    const aborted = executions.size;
+    for (const execution of executions) {
+      execution.controller.abort(new CancellationError(
+        `ModuLink instance stopped before the chain finished (waited ${timeoutMs}ms)`
+      ));
+    }
+    // Aborted executions may still be using services; give them the same
+    // time to settle before those are closed and disposed
+    if (aborted > 0) {
+      await drain(timeoutMs);
+    }
+    const abandoned = executions.size;
+
+    errors.push(...await closeTriggers(startedTriggers));
+    for (const hook of [...stopHooks].reverse()) {
+      try {
+        await hook(instance);
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+
+    state = 'stopped';
+    return { drained, inFlight, aborted, abandoned, durationMs: Date.now() - startTime, errors };
+  }
+
+  /**
+   * Close triggers, collecting errors instead of stopping at the first one.
+   */
+  async function closeTriggers(list) {
+    const errors = [];
+    for (const trigger of list) {
+      try {
+        await trigger.close?.();
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Stop on a process signal. Listening for the signal replaces Node's
+   * default exit, so once stopped the signal is raised again unless the
+   * application handles it too.
+   */
+  function onSignal(signal, stopTimeoutMs) {
+    lifecycle.stop({ timeoutMs: stopTimeoutMs })
+      .then(report => report.errors.length === 0, () => false)
+      .then(clean => {
+        if (!clean) {
+          process.exitCode = 1;
+        }
+        if (process.listenerCount(signal) === 0) {
+          process.kill(process.pid, signal);
+        }
+      });
+  }
+
+  const lifecycle = {
+    /**
+     * 'idle', 'starting', 'running', 'stopping' or 'stopped'. Triggers are
+     * accepted until the instance starts stopping, even without start().
+     * A failed start() leaves the instance 'stopped'.
+     */
+    get state() {
+      return state;
+    },
+
+    /**
+     * Register a trigger's lifecycle handlers.
+     *
+     * @param {Object} trigger - Handlers
+     * @param {function(Object): Promise<void>} [trigger.start] - Called by start() with its options
+     * @param {Function} [trigger.pause] - Stop taking new work (called when stopping begins)
+     * @param {function(): Promise<void>} [trigger.close] - Release resources once drained
+     */
+    addTrigger(trigger) {
+      triggers.push(trigger);
+    },
+
+    /**
+     * Track one trigger run.
+     *
+     * @returns {({controller: AbortController, signal: AbortSignal, exit: Function}|null)}
+     *          Execution handle, or null if the instance is stopping
+     */
+    enter() {
+      if (!accepting()) {
+        return null;
+      }
+      const controller = new AbortController();
+      let resolveDone;
+      const execution = {
+        controller,
+        signal: controller.signal,
+        done: new Promise(resolve => { resolveDone = resolve; }),
+        exit() {
+          executions.delete(execution);
+          resolveDone();
+        }
+      };
+      executions.add(execution);
+      return execution;
+    },
+
+    /**
+     * Add a hook run (in registration order) by start().
+     *
+     * @param {function(Object): (void|Promise<void>)} hook - Receives the instance
+     */
+    onStart(hook) {
+      startHooks.push(hook);
+    },
+
+    /**
+     * Add a hook run (in reverse registration order) by stop().
+     *
+     * @param {function(Object): (void|Promise<void>)} hook - Receives the instance
+     */
+    onStop(hook) {
+      stopHooks.push(hook);
+    },
+
+    /**
+     * Run onStart hooks and start the triggers. A failed start is terminal:
+     * the instance stops as if stop() had been called - closing the triggers
+     * already started and running onStop hooks, which dispose singleton
+     * services - and the error is rethrown. stop() then returns that report.
+     *
+     * On a configured signal the instance stops, sets `process.exitCode` to 1
+     * if stopping reported errors, then re-raises the signal so the process
+     * exits unless another listener handles it.
+     *
+     * @param {Object} [options={}] - Start options
+     * @param {number} [options.port] - Serve HTTP routes on this port
+     * @param {string[]} [options.signals=['SIGTERM', 'SIGINT']] - Signals that trigger stop()
+     * @param {number} [options.stopTimeoutMs] - Timeout for stops caused by a signal
+     * @returns {Promise<Object>} The instance
+     */
+    async start(options = {}) {
+      const { signals = DEFAULT_SIGNALS, stopTimeoutMs } = options;
+      if (!accepting()) {
+        throw new Error('ModuLink instance has been stopped and cannot be restarted');
+      }
+      if (state !== 'idle') {
+        throw new Error('ModuLink instance is already started');
+      }
+
+      state = 'starting';
+      const started = [];
+      try {
+        for (const hook of startHooks) {
+          await hook(instance);
+        }
+        for (const trigger of triggers) {
+          started.push(trigger);
+          await trigger.start?.(options);
+        }
+      } catch (error) {
+        // Do not leave servers listening or services open behind a failed start
+        stopping = shutdown(stopTimeoutMs ?? DEFAULT_STOP_TIMEOUT, started);
+        await stopping;
+        throw error;
+      }
+
+      for (const signal of signals) {
+        const handler = () => onSignal(signal, stopTimeoutMs);
+        process.once(signal, handler);
+        signalHandlers.push([signal, handler]);
+      }
+      state = 'running';
+      return instance;
+    },
+
+    /**
+     * Stop gracefully. Calling stop() again returns the same promise.
+     *
+     * @param {Object} [options={}] - Stop options
+     * @param {number} [options.timeoutMs=10000] - Time to wait for in-flight executions before aborting them
+     * @returns {Promise<StopReport>} Stop report
+     */
+    stop(options = {}) {
+      const { timeoutMs = DEFAULT_STOP_TIMEOUT } = options;
+      if (!stopping) {
+        stopping = shutdown(timeoutMs);
+      }
+      return stopping;
+    }
+  };
+
+  return lifecycle;
+}
@@ -143,10 +143,9 @@
  * modulink.connect((app) => {
  *   app.post('/signup', async (req, res) => {
  *     const signupChain = chain(validateEmail, createUser, sendWelcome);
- *     const result = await signupChain({
+ *     const result = await modulink.run(signupChain, {
  *       email: req.body.email,
- *       operation: 'signup',
- *       _instanceMiddleware: modulink._instanceMiddleware
+ *       operation: 'signup'
  *     });
  *     
  *     if (result.error) {
@@ -182,6 +181,182 @@ import {
   createErrorContext,
   getCurrentTimestamp
 } from './types.js';
+import { once } from 'events';
+import { TimeoutError, ModuLinkError, toCancellationError } from './errors.js';
+import { describeNode } from './graph.js';
+import { createFileJournalStore, createJournal, createExecutionId } from './durable.js';
+import { createHttpTrigger } from './http.js';
+import { createCronScheduler } from './cron.js';
+import { createCliTrigger } from './cli.js';
+import { createMessageBus } from './bus.js';
+import { createLifecycle, shutdownError } from './lifecycle.js';
+import { createContainer } from './container.js';
+import { registerPlugin, waitForPlugins } from './plugins.js';
+
+/**
+ * Context creators used by `modulink.run()` for each trigger type.
+ */
+const CONTEXT_CREATORS = {
+  http: createHttpContext,
+  cron: createCronContext,
+  cli: createCliContext,
+  message: createMessageContext
+};
+
+/**
+ * Checks whether a value is a plain options object rather than a link.
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Normalizes timeout configuration passed to chain() or .withTimeout().
+ *
+ * @param {number|Object} timeouts - Per-link timeout in ms, or an options object
+ * @returns {{linkTimeout: (number|null), chainTimeout: (number|null)}} Normalized timeouts
+ */
+function normalizeTimeouts(timeouts = {}) {
+  if (typeof timeouts === 'number') {
+    return { linkTimeout: timeouts, chainTimeout: null };
+  }
+  const { linkTimeout = null, chainTimeout = null } = timeouts;
+  return { linkTimeout, chainTimeout };
+}
+
+/**
+ * Normalizes durable execution configuration passed to chain() or .durable().
+ * 
+ * @param {boolean|Object} durable - `true` for defaults, or `{ name, store, retainCompleted }`
+ * @returns {Object|null} Normalized durable configuration, or null when disabled
+ */
+function normalizeDurable(durable) {
+  if (!durable) {
+    return null;
+  }
+  const config = durable === true ? {} : durable;
+  return {
+    name: config.name || null,
+    store: config.store || createFileJournalStore(),
+    retainCompleted: Boolean(config.retainCompleted)
+  };
+}
+
+/**
+ * Removes a durable execution's id from the `_meta` of its result, putting
+ * back the caller's own id (e.g. of an enclosing durable chain) if it had one.
+ *
+ * @param {Object} result - Result of the durable execution
+ * @param {Object} [callerMeta] - `_meta` of the context the caller passed in
+ * @returns {Object} Result without the execution's id
+ */
+function restoreExecutionId(result, callerMeta) {
+  if (!result || typeof result !== 'object' || !result._meta) {
+    return result;
+  }
+  const { executionId, ...meta } = result._meta;
+  if (callerMeta && callerMeta.executionId !== undefined) {
+    meta.executionId = callerMeta.executionId;
+  }
+  return { ...result, _meta: meta };
+}
+
+/**
+ * Runs the compensating functions of completed steps in reverse order.
+ * 
+ * Compensations receive the failing context (including `ctx.error`) and may
+ * return an updated context. A compensation that throws, or returns a context
+ * carrying a different error, is recorded as failed and the remaining
+ * compensations still run. The original error is always preserved.
+ * 
+ * @param {Object} ctx - Error context produced by the failing link
+ * @param {Array<{link: Function, name: string, index: number}>} completedSteps - Steps to undo
+ * @param {Object} failedLink - Link information of the link that failed
+ * 
+ * @returns {Promise<Object>} Context with a compensation report in `ctx._meta.compensation`
+ */
+async function runCompensations(ctx, completedSteps, failedLink) {
+  if (completedSteps.length === 0) {
+    return ctx;
+  }
+
+  const originalError = ctx.error;
+  const report = {
+    failedLink: { name: failedLink.name, index: failedLink.index },
+    compensated: [],
+    failed: []
+  };
+
+  for (const completed of [...completedSteps].reverse()) {
+    const entry = { name: completed.name, index: completed.index };
+    try {
+      const result = await completed.link.compensate(ctx);
+      if (result && typeof result === 'object') {
+        if (result.error && result.error !== originalError) {
+          report.failed.push({ ...entry, error: result.error });
+          continue;
+        }
+        ctx = result;
+      }
+      report.compensated.push(entry);
+    } catch (error) {
+      report.failed.push({ ...entry, error: error instanceof Error ? error : new Error(String(error)) });
+    }
+  }
+
+  return {
+    ...ctx,
+    error: originalError,
+    _meta: { ...(ctx._meta || {}), compensation: report }
+  };
+}
+
+/**
+ * Pairs a link with a compensating function for saga-style rollback.
+ * 
+ * When a later link in the same chain fails, the chain runs the compensating
+ * functions of all completed steps in reverse order. The returned link behaves
+ * exactly like `action` when used outside a chain.
+ * 
+ * @param {Function} action - Link performing the forward operation
+ * @param {Function} compensate - Link undoing the operation; receives the error context
+ * 
+ * @returns {Function} Link carrying its compensation as `link.compensate`
+ * 
+ * @throws {Error} If action or compensate is not a function
+ * 
+ * @example
+ * import { reserveStock, releaseStock, chargeCard, refundCard, recordOrder } from './links/orders.js';
+ * 
+ * const orderChain = chain(
+ *   step(reserveStock, releaseStock),
+ *   step(chargeCard, refundCard),
+ *   recordOrder
+ * );
+ * 
+ * const result = await orderChain({ orderId: 'o-1' });
+ * // If recordOrder fails: refundCard then releaseStock run, and
+ * // result._meta.compensation = { failedLink, compensated: [...], failed: [...] }
+ */
+export function step(action, compensate) {
+  if (typeof action !== 'function') {
+    throw new Error('Step action must be a function');
+  }
+  if (typeof compensate !== 'function') {
+    throw new Error('Step compensation must be a function');
+  }
+
+  const stepLink = async function(ctx) {
+    return await action(ctx);
+  };
+  Object.defineProperty(stepLink, 'name', { value: action.name || 'anonymous' });
+  stepLink.compensate = compensate;
+
+  return stepLink;
+}
 
 /**
  * Creates a composable chain of functions with multi-level middleware support.
@@ -204,11 +379,37 @@ import {
  * 
  * Error Handling:
  * If any function throws an error or returns a context with an `error` property,
- * the chain stops executing and returns the error context.
+ * the chain stops executing and returns the error context. Links created with
+ * step() that already completed are compensated in reverse order first.
+ * 
+ * Durable Execution:
+ * With the `durable` option the context is checkpointed into a journal store
+ * after every completed link. `chain.resume(executionId)` continues an
+ * interrupted or failed execution after its last completed link. Instance
+ * middleware runs again on resume; saga compensations only cover steps
+ * completed in the current process.
+ * 
+ * Timeouts and Cancellation:
+ * Every execution that can be cancelled - one with a deadline or a caller
+ * signal - receives its own `AbortSignal` as `ctx.signal`. Links and middleware
+ * can pass it to `fetch`, database drivers, etc. to stop in-flight work.
+ * Executions that nothing can cancel leave `ctx.signal` unset, so links should
+ * check it with `ctx.signal?.aborted`. When the caller's context already
+ * carries a signal, the chain's signal follows it, so nested chains are
+ * cancelled together with their parent. Per-link and
+ * whole-chain deadlines abort the signal and stop the chain with a
+ * `TimeoutError` as `ctx.error`. Deadlines only bound links: instance,
+ * onInput, onOutput and global middleware are not interrupted, but they see
+ * the aborted signal and a chain deadline that passes during middleware ends
+ * the chain at the next link. Output middleware still runs after a timeout so
+ * it can observe the error.
  * 
  * @param {...Function} links - Functions to chain together. Each should accept
  *                              a context object and return a context object.
  *                              Can be async or sync functions.
+ *                              The last argument may be an options object:
+ *                              `{ linkTimeout, chainTimeout }` (milliseconds) and
+ *                              `durable` (see durable.js).
  * 
  * @returns {Function} An enhanced chain function with middleware APIs:
  *   - chain(ctx) - Execute the chain with given context
@@ -217,8 +418,13 @@ import {
  *   - chain.use.onOutput(...middleware) - Add output middleware (runs after each link)
  *   - chain.onInput(...middleware) - Direct access to add input middleware
  *   - chain.onOutput(...middleware) - Direct access to add output middleware
+ *   - chain.withTimeout(ms | { linkTimeout, chainTimeout }) - Configure deadlines
+ *   - chain.durable({ name, store, retainCompleted }) - Enable journal checkpoints
+ *   - chain.resume(executionId, [overrides]) - Continue a durable execution
  *   - chain.coreExecution(ctx) - Execute without middleware (for chain-as-middleware)
  *   - chain._debugInfo() - Get debug information about the chain
+ *   - chain._describe() - Get a structured description of links, middleware and nested chains
+ *   - chain._clone() - Copy the chain so middleware can be added without changing it
  * 
  * @example
  * // Basic chain creation with imported links
@@ -259,11 +465,66 @@ import {
  * const errorChain = chain(validateInput);
  * const result = await errorChain({ shouldFail: true });
  * console.log(result.error); // Error object
+ * 
+ * @example
+ * // Deadlines with imported links
+ * import { fetchUser, loadOrders } from './links/api.js';
+ * 
+ * const guarded = chain(fetchUser, loadOrders, { linkTimeout: 2000, chainTimeout: 5000 });
+ * // or: chain(fetchUser, loadOrders).withTimeout({ linkTimeout: 2000, chainTimeout: 5000 });
+ * const result = await guarded({ userId: 1 });
+ * console.log(result.error instanceof TimeoutError); // true if a deadline was hit
+ * 
+ * // Inside a link: ctx.signal is unset when nothing can cancel the execution
+ * // if (ctx.signal?.aborted) return ctx;
+ * // const res = await fetch(url, { signal: ctx.signal });
  */
 export function chain(...links) {
   let _middleware = [];
   let _onInputMiddleware = [];
   let _onOutputMiddleware = [];
+  const _chainOptions = links.length > 0 && isPlainObject(links[links.length - 1]) ? links.pop() : {};
+  const _options = {
+    ...normalizeTimeouts(_chainOptions),
+    durable: normalizeDurable(_chainOptions.durable)
+  };
+
+  /**
+   * Describes the chain structure for introspection and diagram export.
+   * 
+   * @returns {Object} Chain description: links in order, middleware by
+   *                   position and configured timeouts (see graph.js)
+   */
+  function describe() {
+    return {
+      type: 'chain',
+      links: links.map(describeNode),
+      middleware: {
+        input: _onInputMiddleware.map(describeNode),
+        output: _onOutputMiddleware.map(describeNode),
+        global: _middleware.map(describeNode)
+      },
+      timeouts: { linkTimeout: _options.linkTimeout, chainTimeout: _options.chainTimeout }
+    };
+  }
+
+  /**
+   * Creates an independent copy of the chain: same links, options and
+   * middleware, but middleware added to the copy does not reach this chain.
+   * 
+   * @returns {Function} The copied chain
+   */
+  function clone() {
+    const copy = chain(...links, {
+      linkTimeout: _options.linkTimeout,
+      chainTimeout: _options.chainTimeout,
+      durable: _options.durable
+    });
+    copy.use(..._middleware);
+    copy.use.onInput(..._onInputMiddleware);
+    copy.use.onOutput(..._onOutputMiddleware);
+    return copy;
+  }
 
   // Allow empty chains for testing purposes
   if (links.length === 0) {
@@ -290,7 +551,13 @@ export function chain(...links) {
       _onOutputMiddleware.push(...mws);
       return emptyChain; 
     };
+    emptyChain.withTimeout = function(timeouts) {
+      Object.assign(_options, normalizeTimeouts(timeouts));
+      return emptyChain;
+    };
     emptyChain.coreExecution = emptyChain;
+    emptyChain._describe = describe;
+    emptyChain._clone = clone;
     emptyChain._debugInfo = function() {
       return {
         linkCount: 0,
@@ -359,37 +626,252 @@ export function chain(...links) {
   }
   
   /**
-   * Creates a standardized error context from any error type.
+   * Creates the per-execution cancellation scope.
+   * 
+   * Each run that can be cancelled gets its own AbortController whose signal
+   * is exposed to links as `ctx.signal`. The controller follows the caller's
+   * signal (if any) and is aborted with a TimeoutError when the whole-chain
+   * deadline passes. Runs without a caller signal or deadlines skip the
+   * controller and keep the caller's `ctx.signal` as it is.
+   * 
+   * @param {AbortSignal} [parentSignal] - Signal from the caller's context
+   * @param {number} startIndex - Index of the first link to run
+   * 
+   * @returns {Object} Execution scope with `controller`, `signal` and
+   *                   `cancellable`, released with disposeExecution()
+   */
+  function createExecution(parentSignal, startIndex) {
+    const hasParent = typeof AbortSignal !== 'undefined' && parentSignal instanceof AbortSignal;
+    const execution = {
+      controller: null,
+      signal: parentSignal,
+      // Nothing can abort an execution without a caller signal or deadlines
+      cancellable: hasParent || Boolean(_options.chainTimeout || _options.linkTimeout),
+      startIndex,
+      journal: null,
+      parentSignal: null,
+      forwardAbort: null,
+      chainTimer: null
+    };
+    if (!execution.cancellable) {
+      return execution;
+    }
+
+    const controller = new AbortController();
+    execution.controller = controller;
+    execution.signal = controller.signal;
+
+    if (hasParent) {
+      if (parentSignal.aborted) {
+        controller.abort(parentSignal.reason);
+      } else {
+        execution.parentSignal = parentSignal;
+        execution.forwardAbort = () => controller.abort(parentSignal.reason);
+        parentSignal.addEventListener('abort', execution.forwardAbort, { once: true });
+      }
+    }
+
+    if (_options.chainTimeout) {
+      execution.chainTimer = setTimeout(() => {
+        controller.abort(new TimeoutError(
+          `Chain timed out after ${_options.chainTimeout}ms`,
+          { scope: 'chain', timeoutMs: _options.chainTimeout }
+        ));
+      }, _options.chainTimeout);
+    }
+
+    return execution;
+  }
+
+  /**
+   * Releases the deadline timer and caller-signal listener of an execution.
+   * 
+   * @param {Object} execution - Execution scope from createExecution()
+   */
+  function disposeExecution(execution) {
+    clearTimeout(execution.chainTimer);
+    if (execution.parentSignal) {
+      execution.parentSignal.removeEventListener('abort', execution.forwardAbort);
+    }
+  }
+
+  /**
+   * Invokes a single link, racing it against the execution signal and the
+   * per-link deadline.
+   * 
+   * A link that outlives its deadline keeps running in the background but its
+   * result is discarded; the execution signal is aborted so cooperative links
+   * can stop early.
+   * 
+   * @param {Function} link - Link to invoke
+   * @param {Object} ctx - Context passed to the link
+   * @param {Object} execution - Execution scope from createExecution()
+   * 
+   * @returns {Promise<Object>} The link's result context
+   * 
+   * @throws {TimeoutError|CancellationError} When the execution is cancelled
+   */
+  function invokeLink(link, ctx, execution) {
+    if (!execution.cancellable) {
+      return link(ctx);
+    }
+    const { signal } = execution;
+    if (signal.aborted) {
+      return Promise.reject(toCancellationError(signal.reason));
+    }
+
+    return new Promise((resolve, reject) => {
+      let linkTimer = null;
+      const onAbort = () => {
+        cleanup();
+        reject(toCancellationError(signal.reason));
+      };
+      const cleanup = () => {
+        clearTimeout(linkTimer);
+        signal.removeEventListener('abort', onAbort);
+      };
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      if (_options.linkTimeout) {
+        const linkName = link.name || 'anonymous';
+        linkTimer = setTimeout(() => {
+          execution.controller.abort(new TimeoutError(
+            `Link "${linkName}" timed out after ${_options.linkTimeout}ms`,
+            { scope: 'link', timeoutMs: _options.linkTimeout, linkName }
+          ));
+        }, _options.linkTimeout);
+      }
+
+      Promise.resolve()
+        .then(() => link(ctx))
+        .then(
+          (result) => { cleanup(); resolve(result); },
+          (error) => { cleanup(); reject(error); }
+        );
+    });
+  }
+
+  /**
+   * Main chain execution function with full middleware support.
    * 
-   * This helper ensures that all errors in the chain system are properly
-   * formatted as Error objects and attached to the context in a consistent way.
+   * Sets up the execution's AbortSignal and deadlines, runs the chain and
+   * restores the caller's `ctx.signal` on the result so the chain's internal
+   * signal never leaks out of the execution.
    * 
-   * @param {any} error - The error to wrap. Can be an Error object, string, or any value
-   * @param {Object} ctx - The current context object
+   * @param {Object} ctx - The context object to execute the chain with
+   * @param {AbortSignal} [ctx.signal] - Caller's signal; aborting it cancels the chain
+   * @param {Array} [ctx._instanceMiddleware] - Instance-level middleware array
    * 
-   * @returns {Object} Context object with standardized error property
+   * @returns {Promise<Object>} The final context after chain execution
    * 
    * @example
-   * // String error
-   * const errorCtx = createErrorContext('Something failed', { id: 123 });
-   * console.log(errorCtx.error instanceof Error); // true
-   * console.log(errorCtx.id); // 123
+   * const myChain = chain(linkA, linkB);
+   * const result = await myChain({
+   *   data: 'input',
+   *   _instanceMiddleware: [logger, validator]
+   * });
+   */
+  async function runChain(ctx) {
+    if (!ctx._meta) {
+      ctx._meta = {};
+    }
+    return startExecution(ctx, -1);
+  }
+
+  /**
+   * Starts (or resumes) an execution after the given link index.
+   * 
+   * A durable execution exposes its id to links as `ctx._meta.executionId`.
+   * Only resume() continues an existing id: a fresh run always gets a new one,
+   * so a durable chain nested in (or run on the result of) another durable
+   * chain never writes to its parent's journal record. The id is removed
+   * from the returned `_meta`, restoring the caller's own id if it had one.
+   * 
+   * @param {Object} ctx - Context to execute with
+   * @param {number} completedIndex - Index of the last completed link (-1 for a fresh run)
+   * @param {string} [resumedId] - Id of the durable execution being resumed
+   * 
+   * @returns {Promise<Object>} The final context after chain execution
+   */
+  async function startExecution(ctx, completedIndex, resumedId) {
+    const hadSignal = 'signal' in ctx;
+    const parentSignal = ctx.signal;
+    const execution = createExecution(parentSignal, completedIndex + 1);
+    const callerMeta = resumedId ? undefined : ctx._meta;
+
+    try {
+      if (_options.durable) {
+        const { name, store, retainCompleted } = _options.durable;
+        const executionId = resumedId || createExecutionId();
+        execution.journal = createJournal(store, { executionId, name, retainCompleted });
+        ctx = { ...ctx, _meta: { ...(ctx._meta || {}), executionId } };
+        try {
+          await execution.journal.start(ctx, completedIndex);
+        } catch (error) {
+          return restoreExecutionId(createErrorContext(error, ctx), callerMeta);
+        }
+      }
+
+      let result = await executeChain({ ...ctx, signal: execution.signal }, execution);
+      if (result && typeof result === 'object' && result.signal === execution.signal) {
+        const { signal, ...rest } = result;
+        result = hadSignal ? { ...rest, signal: parentSignal } : rest;
+      }
+      if (result && result.error && !(result.error instanceof ModuLinkError)) {
+        result = createErrorContext(result.error, result);
+      }
+
+      if (execution.journal) {
+        try {
+          await execution.journal.finish(result);
+        } catch (error) {
+          return restoreExecutionId(createErrorContext(error, result), callerMeta);
+        }
+        return restoreExecutionId(result, callerMeta);
+      }
+      return result;
+    } finally {
+      disposeExecution(execution);
+    }
+  }
+
+  /**
+   * Continues a durable execution after its last completed link.
+   * 
+   * @param {string} executionId - Identifier of the journaled execution
+   * @param {Object} [overrides={}] - Context fields to merge into the restored
+   *                                  context (e.g. `_instanceMiddleware`, `signal`)
+   * 
+   * @returns {Promise<Object>} The final context after chain execution
    * 
    * @example
-   * // Error object
-   * const err = new Error('Custom error');
-   * const errorCtx = createErrorContext(err, { data: 'test' });
-   * console.log(errorCtx.error === err); // true
+   * for (const record of await listIncompleteExecutions(store, { name: 'import' })) {
+   *   await importChain.resume(record.executionId);
+   * }
    */
-  function createErrorContext(error, ctx) {
-    return {
-      ...ctx,
-      error: error instanceof Error ? error : new Error(String(error))
+  async function resume(executionId, overrides = {}) {
+    if (!_options.durable) {
+      return createErrorContext(new Error('resume() requires a durable chain'), { ...overrides });
+    }
+
+    const record = await _options.durable.store.load(executionId);
+    if (!record) {
+      return createErrorContext(new Error(`Unknown execution "${executionId}"`), { ...overrides });
+    }
+    if (record.status === 'completed') {
+      return restoreExecutionId(record.context);
+    }
+
+    const ctx = {
+      ...record.context,
+      ...overrides,
+      _meta: { ...(record.context._meta || {}), executionId }
     };
+    return await startExecution(ctx, record.completedIndex, executionId);
   }
 
   /**
-   * Main chain execution function with full middleware support.
+   * Runs the links of a chain with the full middleware stack.
    * 
    * This function orchestrates the complete execution of a chain with all
    * middleware layers. It implements the full middleware stack:
@@ -406,20 +888,11 @@ export function chain(...links) {
    * @param {Array} [ctx._instanceMiddleware] - Instance-level middleware array
    * @param {Object} [ctx._metadata] - Metadata object for tracking execution
    * @param {Object} [ctx._meta] - Meta information object
+   * @param {Object} execution - Execution scope from createExecution()
    * 
    * @returns {Promise<Object>} The final context after chain execution
-   * 
-   * @example
-   * const myChain = chain(linkA, linkB);
-   * const result = await myChain({
-   *   data: 'input',
-   *   _instanceMiddleware: [logger, validator]
-   * });
    */
-  async function runChain(ctx) {
-    if (!ctx._meta) {
-      ctx._meta = {};
-    }
+  async function executeChain(ctx, execution) {
 
     // Initialize metadata for middleware tracking
     const instanceMiddleware = ctx._instanceMiddleware || [];
@@ -464,14 +937,27 @@ export function chain(...links) {
           } else {
             // Simple middleware that transforms context
             ctx = await mw(ctx) || ctx;
+            if (ctx.error) {
+              return ctx;
+            }
           }
         } catch (error) {
           return createErrorContext(error, ctx);
         }
       }
+      // Instance middleware runs once per execution, not again in nested chains
+      if (ctx._instanceMiddleware) {
+        const { _instanceMiddleware, ...rest } = ctx;
+        ctx = rest;
+      }
+
+      // Steps with a compensating function that completed successfully,
+      // in execution order (see step())
+      const completedSteps = [];
 
       // 2. Execute links in sequence with middleware after each link
-      for (let i = 0; i < links.length; i++) {
+      //    (resumed durable executions start after the last completed link)
+      for (let i = execution.startIndex || 0; i < links.length; i++) {
         const link = links[i];
 
         // Set up link context information for middleware
@@ -483,6 +969,7 @@ export function chain(...links) {
         };
         ctx = {
           ...ctx,
+          signal: execution.signal,
           _currentLink: linkInfo
         };
 
@@ -512,16 +999,21 @@ export function chain(...links) {
             }
             
             if (ctx.error) {
-              return ctx;
+              return await runCompensations(ctx, completedSteps, linkInfo);
             }
           } catch (error) {
-            return createErrorContext(error, ctx);
+            return await runCompensations(createErrorContext(error, ctx), completedSteps, linkInfo);
           }
         }
 
-        // Execute the link itself
+        // Execute the link itself, bounded by the execution signal and deadlines
         try {
-          ctx = await link(ctx);
+          ctx = await invokeLink(link, ctx, execution);
+          // Links may also return an error instead of throwing it; normalize
+          // it and record the failing link if it does not carry one yet
+          if (ctx && ctx.error) {
+            ctx = createErrorContext(ctx.error, ctx);
+          }
         } catch (error) {
           ctx = createErrorContext(error, ctx);
         }
@@ -612,9 +1104,20 @@ export function chain(...links) {
         ctx = cleanCtx;
 
         // Stop execution if there's an error (after middleware has run)
+        // and undo the steps that already completed
         if (ctx.error) {
+          ctx = await runCompensations(ctx, completedSteps, linkInfo);
           break;
         }
+
+        if (typeof link.compensate === 'function') {
+          completedSteps.push({ link, name: linkInfo.name, index: i });
+        }
+
+        // Checkpoint durable executions after every completed link
+        if (execution.journal) {
+          await execution.journal.checkpoint(i, ctx);
+        }
       }
 
       return ctx;
@@ -747,7 +1250,21 @@ export function chain(...links) {
       return createChainProxy(targetChain);
     };
     
+    proxy.withTimeout = function(timeouts) {
+      Object.assign(_options, normalizeTimeouts(timeouts));
+      return createChainProxy(targetChain);
+    };
+    
+    proxy.durable = function(durable = true) {
+      _options.durable = normalizeDurable(durable);
+      return createChainProxy(targetChain);
+    };
+    
+    proxy.resume = resume;
+    
     proxy.coreExecution = coreExecution;
+    proxy._describe = describe;
+    proxy._clone = clone;
     
     // Add _debugInfo method for chain introspection
     proxy._debugInfo = function() {
@@ -802,9 +1319,28 @@ export function chain(...links) {
     return createChainProxy(runChain);
   };
 
+  // Configure per-link and whole-chain deadlines
+  runChain.withTimeout = function(timeouts) {
+    Object.assign(_options, normalizeTimeouts(timeouts));
+    return runChain;
+  };
+
+  // Opt into journal checkpoints and resume (see durable.js)
+  runChain.durable = function(durable = true) {
+    _options.durable = normalizeDurable(durable);
+    return runChain;
+  };
+  runChain.resume = resume;
+
   // Expose core execution for chain-as-middleware usage
   runChain.coreExecution = coreExecution;
 
+  // Structured description for graph export (see graph.js)
+  runChain._describe = describe;
+
+  // Independent copy, e.g. to attach middleware for a single replay
+  runChain._clone = clone;
+
   // Add _debugInfo method for chain introspection
   runChain._debugInfo = function() {
     return {
@@ -841,6 +1377,10 @@ export function chain(...links) {
  * @returns {Object} ModuLink instance with the following methods:
  *   - use(middleware) - Add instance-level middleware
  *   - connect(fn) - Integration function for framework setup
+ *   - http - HTTP trigger (`http.get(path, chain)`, `http.listen(port)`)
+ *   - cron(expression, chain, options) - Schedule a chain; see also listJobs(),
+ *     pauseJob(), resumeJob() and runNow()
+ *   - command(spec, chain, config) - Register a chain as a CLI command; run with runCli(argv)
  * 
  * @example
  * // Standalone mode (no framework)
@@ -848,11 +1388,10 @@ export function chain(...links) {
  * 
  * const modulink = createModuLink();
  * 
- * // Create and execute chain directly
+ * // Run a chain with the instance middleware
  * const signupChain = chain(validateUser, saveUser);
- * const result = await signupChain({ 
- *   email: 'test@example.com',
- *   _instanceMiddleware: modulink._instanceMiddleware 
+ * const result = await modulink.run(signupChain, {
+ *   email: 'test@example.com'
  * });
  * 
  * @example
@@ -871,10 +1410,9 @@ export function chain(...links) {
  * modulink.connect((app) => {
  *   app.post('/signup', async (req, res) => {
  *     const userChain = chain(validateInput, createUser, sendEmail);
- *     const result = await userChain({ 
+ *     const result = await modulink.run(userChain, {
  *       body: req.body,
- *       operation: 'signup',
- *       _instanceMiddleware: modulink._instanceMiddleware
+ *       operation: 'signup'
  *     });
  *     
  *     if (result.error) {
@@ -901,10 +1439,7 @@ export function chain(...links) {
  *   const processCommand = chain(parseArgs, executeCommand, formatOutput);
  *   
  *   process.argv.slice(2).forEach(async (command) => {
- *     const result = await processCommand({ 
- *       command,
- *       _instanceMiddleware: modulink._instanceMiddleware
- *     });
+ *     const result = await modulink.run(processCommand, { command });
  *     if (result.error) {
  *       console.error(result.error.message);
  *       process.exit(1);
@@ -921,10 +1456,7 @@ export function chain(...links) {
  *   const jobProcessor = chain(fetchJob, processJob, markComplete);
  *   
  *   setInterval(async () => {
- *     const result = await jobProcessor({ 
- *       source: 'cron',
- *       _instanceMiddleware: modulink._instanceMiddleware
- *     });
+ *     const result = await modulink.run(jobProcessor, { source: 'cron' });
  *     if (result.error) {
  *       logger.error('Job processing failed:', result.error);
  *     }
@@ -954,6 +1486,9 @@ export function createModuLink(app = null) {
      * for cross-cutting concerns like logging, authentication, request
      * tracking, and performance monitoring.
      * 
+     * It applies to chains started by the instance's triggers and by
+     * run()/bind(); calling a chain directly does not run it.
+     * 
      * Middleware execution order:
      * 1. Instance middleware (this method)
      * 2. Chain input middleware  
@@ -1033,9 +1568,8 @@ export function createModuLink(app = null) {
      *   // Set up routes - app passed as parameter
      *   app.post('/users', async (req, res) => {
      *     const userChain = chain(validateUser, saveUser);
-     *     const result = await userChain({ 
-     *       body: req.body,
-     *       _instanceMiddleware: modulink._instanceMiddleware
+     *     const result = await modulink.run(userChain, {
+     *       body: req.body
      *     });
      *     
      *     if (result.error) {
@@ -1066,10 +1600,7 @@ export function createModuLink(app = null) {
      *   const processCommand = chain(parseArgs, executeCommand, formatOutput);
      *   
      *   process.argv.slice(2).forEach(async (command) => {
-     *     const result = await processCommand({ 
-     *       command,
-     *       _instanceMiddleware: modulink._instanceMiddleware
-     *     });
+     *     const result = await modulink.run(processCommand, { command });
      *     if (result.error) {
      *       console.error(result.error.message);
      *       process.exit(1);
@@ -1086,10 +1617,7 @@ export function createModuLink(app = null) {
      *   const jobProcessor = chain(fetchJob, processJob, markComplete);
      *   
      *   setInterval(async () => {
-     *     const result = await jobProcessor({ 
-     *       source: 'cron',
-     *       _instanceMiddleware: modulink._instanceMiddleware
-     *     });
+     *     const result = await modulink.run(jobProcessor, { source: 'cron' });
      *     if (result.error) {
      *       logger.error('Job processing failed:', result.error);
      *     }
@@ -1119,5 +1647,230 @@ export function createModuLink(app = null) {
     },
   };
 
+  /**
+   * Lifecycle: every trigger run below is tracked so stop() can drain
+   * in-flight executions. See lifecycle.js.
+   */
+  const lifecycle = createLifecycle(instance);
+  instance._lifecycle = lifecycle;
+
+  /**
+   * Services: `modulink.provide('db', factory, { scope, dispose })` registers
+   * a service (returns the instance for chaining); every execution started by
+   * the instance receives them as a frozen `ctx.deps`. `modulink.override()`
+   * swaps a service in tests and `await modulink.resolve(name)` returns a
+   * singleton. See container.js.
+   */
+  const container = createContainer();
+  instance.provide = (name, factory, options) => {
+    container.provide(name, factory, options);
+    return instance;
+  };
+  instance.override = container.override;
+  instance.resolve = container.resolve;
+
+  /**
+   * Run a chain for a trigger: injects the instance middleware and
+   * `ctx.deps` (deps given in the context take precedence), turns thrown
+   * errors into error contexts and disposes per-execution services. Triggers
+   * track the execution with the lifecycle themselves.
+   */
+  instance._execute = async (target, ctx) => {
+    let scope;
+    try {
+      scope = await container.createScope();
+    } catch (error) {
+      return createErrorContext(error, ctx);
+    }
+    const deps = ctx.deps ? Object.freeze({ ...scope.deps, ...ctx.deps }) : scope.deps;
+    try {
+      return await target({ ...ctx, deps, _instanceMiddleware: instance._instanceMiddleware });
+    } catch (error) {
+      return createErrorContext(error, ctx);
+    } finally {
+      await scope.dispose();
+    }
+  };
+
+  /**
+   * Run a chain through this instance.
+   *
+   * Builds the context for `options.trigger` (createHttpContext() for
+   * 'http', createCronContext() for 'cron', ...) unless `input` already has
+   * a trigger, injects the instance middleware stack and services
+   * (`ctx.deps`) and tracks the run so stop() waits for it. An abort of
+   * `input.signal` cancels the run.
+   *
+   * @param {Function} target - Chain to run
+   * @param {Object} [input={}] - Context fields
+   * @param {Object} [options={}] - Run options
+   * @param {string} [options.trigger] - 'http', 'cron', 'cli', 'message' or any other trigger name
+   * @returns {Promise<Ctx>} Result context
+   *
+   * @example
+   * modulink.use(requestLogger);
+   * const result = await modulink.run(userSignupChain, { body: req.body }, { trigger: 'http' });
+   */
+  instance.run = async (target, input = {}, options = {}) => {
+    if (typeof target !== 'function') {
+      throw new Error('modulink.run() requires a chain');
+    }
+    const { trigger } = options;
+    let ctx;
+    if (input.trigger) {
+      ctx = { ...input };
+    } else if (CONTEXT_CREATORS[trigger]) {
+      ctx = CONTEXT_CREATORS[trigger](input);
+    } else {
+      ctx = createContext({ trigger, ...input });
+    }
+
+    const execution = lifecycle.enter();
+    if (!execution) {
+      return createErrorContext(shutdownError(), ctx);
+    }
+    const parentSignal = ctx.signal;
+    const forwardAbort = () => execution.controller.abort(parentSignal.reason);
+    if (parentSignal?.aborted) {
+      forwardAbort();
+    } else {
+      parentSignal?.addEventListener('abort', forwardAbort, { once: true });
+    }
+
+    try {
+      return await instance._execute(target, { ...ctx, signal: execution.signal });
+    } finally {
+      parentSignal?.removeEventListener('abort', forwardAbort);
+      execution.exit();
+    }
+  };
+
+  /**
+   * Bind a chain to this instance: the returned function runs it with
+   * `modulink.run(target, input, options)`. Use it for entry points; chains
+   * nested inside a bound chain see the instance middleware's output already.
+   *
+   * @param {Function} target - Chain to bind
+   * @param {Object} [options={}] - Run options (see run())
+   * @returns {function(Object): Promise<Ctx>} Bound chain
+   *
+   * @example
+   * const signup = modulink.bind(userSignupChain, { trigger: 'http' });
+   * app.post('/api/signup', async (req, res) => res.json(await signup({ body: req.body })));
+   */
+  instance.bind = (target, options = {}) => {
+    if (typeof target !== 'function') {
+      throw new Error('modulink.bind() requires a chain');
+    }
+    const bound = (input) => instance.run(target, input, options);
+    if (typeof target._describe === 'function') {
+      bound._describe = target._describe;
+    }
+    return bound;
+  };
+
+  /**
+   * HTTP trigger: `modulink.http.get('/users/:id', chain)`. Routes are
+   * mounted on `app` (Express or `node:http` server) when one was given,
+   * otherwise served with `modulink.http.listen(port)`. See http.js.
+   */
+  instance.http = createHttpTrigger(instance);
+
+  /**
+   * Cron trigger: `modulink.cron('0 * * * *', cleanupChain, { name, overlap, timezone })`
+   * schedules a chain (returns the instance for chaining); jobs are managed
+   * with listJobs(), pauseJob(name), resumeJob(name) and runNow(name).
+   * See cron.js.
+   */
+  const cronScheduler = createCronScheduler(instance);
+  instance.cron = (expression, target, options) => {
+    cronScheduler.schedule(expression, target, options);
+    return instance;
+  };
+  instance.listJobs = cronScheduler.listJobs;
+  instance.pauseJob = cronScheduler.pauseJob;
+  instance.resumeJob = cronScheduler.resumeJob;
+  instance.runNow = cronScheduler.runNow;
+
+  /**
+   * CLI trigger: `modulink.command('import <file>', importChain, { options })`
+   * registers a chain as a commander command (returns the instance for
+   * chaining); `await modulink.runCli()` parses process.argv and runs it.
+   * See cli.js.
+   */
+  const cliTrigger = createCliTrigger(instance);
+  instance.command = (spec, target, config) => {
+    cliTrigger.command(spec, target, config);
+    return instance;
+  };
+  instance.runCli = cliTrigger.run;
+
+  /**
+   * Message bus trigger: `modulink.subscribe('orders.*', chain, { maxAttempts })`
+   * runs a chain per published message (returns the instance for chaining);
+   * `await modulink.publish('orders.created', payload, metadata)` publishes.
+   * Transport and defaults are set with `modulink.bus.configure()`. See bus.js.
+   */
+  instance.bus = createMessageBus(instance);
+  instance.subscribe = (pattern, target, options) => {
+    instance.bus.subscribe(pattern, target, options);
+    return instance;
+  };
+  instance.unsubscribe = instance.bus.unsubscribe;
+  instance.publish = instance.bus.publish;
+
+  /**
+   * Plugins: `await modulink.register(plugin, { prefix, ...options })` adds a
+   * package of middleware, services, triggers and hooks. Encapsulated
+   * plugins get a child scope; `await modulink.ready()` waits for every
+   * registration (start() does so too). See plugins.js.
+   */
+  instance._container = container;
+  instance._plugins = new Set();
+  instance._pendingPlugins = new Set();
+  instance._prefix = '';
+  instance.register = (plugin, options) => registerPlugin(instance, plugin, options);
+  instance.ready = () => waitForPlugins(instance);
+
+  /**
+   * `await modulink.start({ port })` runs onStart hooks, listens for HTTP
+   * routes and stops on SIGTERM/SIGINT; `await modulink.stop({ timeoutMs })`
+   * stops accepting triggers, waits for in-flight chains, closes HTTP
+   * servers, cron schedules and subscriptions and runs onStop hooks.
+   */
+  lifecycle.addTrigger({ start: container.init });
+  lifecycle.onStop(container.dispose);
+  lifecycle.addTrigger({
+    start: async ({ port }) => {
+      if (port !== undefined) {
+        await once(instance.http.listen(port), 'listening');
+      }
+    },
+    pause: () => {
+      instance.http.close();
+    },
+    close: () => instance.http.close({ force: true })
+  });
+  lifecycle.addTrigger({ pause: cronScheduler.stopAll });
+  lifecycle.addTrigger({ pause: instance.bus.pause, close: instance.bus.close });
+
+  instance.start = async (options) => {
+    await waitForPlugins(instance);
+    return lifecycle.start(options);
+  };
+  instance.stop = lifecycle.stop;
+  instance.onStart = (hook) => {
+    lifecycle.onStart(hook);
+    return instance;
+  };
+  instance.onStop = (hook) => {
+    lifecycle.onStop(hook);
+    return instance;
+  };
+  Object.defineProperty(instance, 'state', {
+    enumerable: true,
+    get: () => lifecycle.state
+  });
+
   return instance;
 }
@@ -0,0 +1,235 @@
+/**
+ * ModuLink Plugins for JavaScript
+ *
+ * Packages of triggers, middleware, services and lifecycle hooks:
+ * - `await modulink.register(plugin, options)` runs the plugin
+ * - A plugin is a function `(modulink, options) => void | Promise<void>` or
+ *   an object `{ name, dependencies, encapsulate, register }`
+ * - Plugins declaring `dependencies` fail to register unless the named
+ *   plugins were registered before them; named plugins register once per scope
+ *
+ * Plugins are encapsulated (as in Fastify): they receive a child scope whose
+ * middleware and services apply only to the chains registered through it
+ * (and its own child plugins), on top of those of the parent. HTTP routes
+ * get the `prefix` option prepended. Plugins with `encapsulate: false`
+ * receive the parent itself, for shared middleware and services.
+ */
+
+import { createErrorContext } from './types.js';
+import { createContainer } from './container.js';
+import { HTTP_METHODS } from './http.js';
+
+/**
+ * @typedef {Object} Plugin
+ * A ModuLink plugin.
+ *
+ * @property {string} [name] - Unique name other plugins can depend on
+ * @property {string[]} [dependencies=[]] - Plugins that must be registered first
+ * @property {boolean} [encapsulate=true] - Register into a child scope
+ * @property {function(Object, Object): (void|Promise<void>)} register - Receives the scope and the options
+ */
+
+/**
+ * Define a plugin, validating its shape.
+ *
+ * @param {Plugin} plugin - Plugin definition
+ * @returns {Plugin} The plugin
+ *
+ * @example
+ * export const authPlugin = definePlugin({
+ *   name: 'auth',
+ *   dependencies: ['db'],
+ *   register(modulink, { secret }) {
+ *     modulink.provide('tokens', (resolve) => createTokenService(secret, resolve));
+ *     modulink.use(authenticate);
+ *     modulink.http.post('/login', loginChain);
+ *   }
+ * });
+ */
+export function definePlugin(plugin) {
+  normalizePlugin(plugin);
+  return plugin;
+}
+
+function normalizePlugin(plugin) {
+  if (typeof plugin === 'function') {
+    return { name: null, dependencies: [], encapsulate: true, register: plugin };
+  }
+  if (!plugin || typeof plugin.register !== 'function') {
+    throw new Error('A plugin must be a function or an object with a register() function');
+  }
+  const { name = null, dependencies = [], encapsulate = true } = plugin;
+  if (!Array.isArray(dependencies)) {
+    throw new Error(`Plugin "${name}" dependencies must be an array of plugin names`);
+  }
+  return { name, dependencies, encapsulate, register: plugin.register };
+}
+
+function joinPath(prefix, path) {
+  if (!prefix) {
+    return path;
+  }
+  const base = prefix.replace(/\/+$/, '');
+  if (path === '/' || path === '') {
+    return base || '/';
+  }
+  return `${base}${path.startsWith('/') ? '' : '/'}${path}`;
+}
+
+/**
+ * Create the child scope an encapsulated plugin registers into.
+ *
+ * @param {Object} parent - Instance or parent scope
+ * @param {Object} options - Registration options (`prefix` is used here)
+ * @returns {Object} Scope with the instance's registration API
+ */
+function createScope(parent, options) {
+  const root = parent._root || parent;
+  const container = createContainer(parent._container);
+  const middleware = [];
+  const prefix = joinPath(parent._prefix, options.prefix || '');
+
+  /**
+   * Run `target` with this scope's services and middleware added to those
+   * of the parents.
+   */
+  function wrap(target) {
+    const scoped = async (ctx) => {
+      let services;
+      try {
+        services = await container.createScope(ctx.deps);
+      } catch (error) {
+        return createErrorContext(error, ctx);
+      }
+      try {
+        return await target({
+          ...ctx,
+          deps: Object.freeze({ ...services.deps, ...ctx.deps }),
+          _instanceMiddleware: [...(ctx._instanceMiddleware || []), ...middleware]
+        });
+      } catch (error) {
+        return createErrorContext(error, ctx);
+      } finally {
+        await services.dispose();
+      }
+    };
+    if (typeof target._describe === 'function') {
+      scoped._describe = target._describe;
+    }
+    return parent._wrap ? parent._wrap(scoped) : scoped;
+  }
+
+  const scope = {
+    app: root.app,
+    _root: root,
+    _container: container,
+    _plugins: new Set(parent._plugins),
+    _prefix: prefix,
+    _wrap: wrap,
+
+    use(mw) {
+      middleware.push(mw);
+      return scope;
+    },
+    provide(name, factory, serviceOptions) {
+      container.provide(name, factory, serviceOptions);
+      return scope;
+    },
+    override: container.override,
+    resolve: container.resolve,
+
+    run: (target, input, runOptions) => root.run(wrap(target), input, runOptions),
+    bind: (target, runOptions) => root.bind(wrap(target), runOptions),
+
+    cron(expression, target, cronOptions) {
+      root.cron(expression, wrap(target), cronOptions);
+      return scope;
+    },
+    command(spec, target, config) {
+      root.command(spec, wrap(target), config);
+      return scope;
+    },
+    subscribe(pattern, target, subscribeOptions) {
+      root.subscribe(pattern, wrap(target), subscribeOptions);
+      return scope;
+    },
+    unsubscribe: root.unsubscribe,
+    publish: root.publish,
+
+    onStart(hook) {
+      root.onStart(hook);
+      return scope;
+    },
+    onStop(hook) {
+      root.onStop(hook);
+      return scope;
+    },
+    register: (plugin, pluginOptions) => registerPlugin(scope, plugin, pluginOptions)
+  };
+
+  const http = {
+    route(method, path, target, routeOptions) {
+      root.http.route(method, joinPath(prefix, path), wrap(target), routeOptions);
+      return http;
+    },
+    all: (path, target, routeOptions) => http.route('*', path, target, routeOptions)
+  };
+  for (const method of HTTP_METHODS) {
+    http[method] = (path, target, routeOptions) => http.route(method, path, target, routeOptions);
+  }
+  scope.http = http;
+
+  root._lifecycle.addTrigger({ start: container.init });
+  root._lifecycle.onStop(container.dispose);
+  return scope;
+}
+
+/**
+ * Register a plugin on the instance or a plugin scope.
+ *
+ * Used internally as `modulink.register()`; the registration is tracked so
+ * `modulink.ready()` and `modulink.start()` wait for async plugins.
+ *
+ * @param {Object} target - Instance or plugin scope
+ * @param {(Plugin|Function)} plugin - Plugin to register
+ * @param {Object} [options={}] - Passed to the plugin; `prefix` is prepended to its HTTP routes
+ * @returns {Promise<Object>} `target`, once the plugin has registered
+ */
+export function registerPlugin(target, plugin, options = {}) {
+  const root = target._root || target;
+  const registration = (async () => {
+    const { name, dependencies, encapsulate, register } = normalizePlugin(plugin);
+    for (const dependency of dependencies) {
+      if (!target._plugins.has(dependency)) {
+        throw new Error(`Plugin "${name}" depends on "${dependency}", which must be registered first`);
+      }
+    }
+    if (name) {
+      if (target._plugins.has(name)) {
+        throw new Error(`Plugin "${name}" is already registered`);
+      }
+      target._plugins.add(name);
+    }
+    await register(encapsulate ? createScope(target, options) : target, options);
+    return target;
+  })();
+
+  // Failed registrations stay pending so ready() and start() reject
+  root._pendingPlugins.add(registration);
+  registration.then(() => root._pendingPlugins.delete(registration), () => {});
+  return registration;
+}
+
+/**
+ * Wait for every plugin registration of an instance.
+ *
+ * @param {Object} instance - ModuLink instance
+ * @returns {Promise<Object>} The instance
+ * @throws {Error} The first error thrown by a plugin
+ */
+export async function waitForPlugins(instance) {
+  while (instance._pendingPlugins.size > 0) {
+    await Promise.all([...instance._pendingPlugins]);
+  }
+  return instance;
+}
@@ -0,0 +1,188 @@
+/**
+ * ModuLink Rate Limiting for JavaScript
+ *
+ * Per-caller rate limits for chains and triggers:
+ * - `rateLimit({ key, limit, windowMs, algorithm })` returns a link that
+ *   works at the start of a chain or as instance middleware
+ * - Algorithms: 'token-bucket' (bursts up to `limit`, refilled evenly over
+ *   `windowMs`) and 'sliding-window' (at most `limit` calls in any
+ *   `windowMs`, one timestamp kept per call)
+ * - Callers over the limit get a RateLimitError context (`RATE_LIMITED`,
+ *   HTTP 429 with a Retry-After header)
+ *
+ * Limiter state lives in a pluggable store (in-memory by default). A store
+ * is any object implementing:
+ *   update(key, updater, ttlMs) => Promise<*>
+ * where `updater(state)` receives the stored state (undefined when missing
+ * or expired) and returns `{ state, result }`; the store keeps `state` for
+ * `ttlMs` and resolves to `result`. Updates of one key must not interleave.
+ */
+
+import { createErrorContext } from './types.js';
+import { RateLimitError } from './errors.js';
+
+const SWEEP_EVERY = 1000;
+
+/**
+ * @typedef {Object} RateLimitInfo
+ * Outcome of one rate limit check, recorded in `ctx._meta.rateLimit`.
+ *
+ * @property {boolean} allowed - Whether the call is within the limit
+ * @property {number} limit - Configured limit
+ * @property {number} remaining - Calls left right now
+ * @property {number} retryAfterMs - Time until the next call is allowed (0 when allowed)
+ * @property {number} resetMs - Time until the limit is fully available again
+ */
+
+const ALGORITHMS = {
+  'token-bucket'(state, { limit, windowMs, now }) {
+    const refillPerMs = limit / windowMs;
+    const tokens = state
+      ? Math.min(limit, state.tokens + (now - state.updatedAt) * refillPerMs)
+      : limit;
+    const allowed = tokens >= 1;
+    const left = allowed ? tokens - 1 : tokens;
+    return {
+      state: { tokens: left, updatedAt: now },
+      result: {
+        allowed,
+        limit,
+        remaining: Math.floor(left),
+        retryAfterMs: allowed ? 0 : Math.ceil((1 - left) / refillPerMs),
+        resetMs: Math.ceil((limit - left) / refillPerMs)
+      }
+    };
+  },
+
+  'sliding-window'(state, { limit, windowMs, now }) {
+    const hits = (state?.hits || []).filter(time => time > now - windowMs);
+    const allowed = hits.length < limit;
+    if (allowed) {
+      hits.push(now);
+    }
+    return {
+      state: { hits },
+      result: {
+        allowed,
+        limit,
+        remaining: limit - hits.length,
+        retryAfterMs: allowed ? 0 : hits[hits.length - limit] + windowMs - now,
+        resetMs: hits.length > 0 ? hits[hits.length - 1] + windowMs - now : 0
+      }
+    };
+  }
+};
+
+/**
+ * Create an in-memory rate limit store for a single process. Expired
+ * entries are removed when touched and swept periodically.
+ *
+ * @returns {Object} Rate limit store
+ */
+export function createMemoryRateLimitStore() {
+  const entries = new Map();
+  let updates = 0;
+
+  function sweep(now) {
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }
+
+  return {
+    async update(key, updater, ttlMs) {
+      const now = Date.now();
+      if (++updates % SWEEP_EVERY === 0) {
+        sweep(now);
+      }
+      const entry = entries.get(key);
+      const current = entry && entry.expiresAt > now ? entry.state : undefined;
+      const { state, result } = updater(current);
+      entries.set(key, { state, expiresAt: now + ttlMs });
+      return result;
+    },
+
+    /**
+     * Number of keys currently tracked (including expired ones not yet swept).
+     */
+    get size() {
+      return entries.size;
+    },
+
+    clear() {
+      entries.clear();
+    }
+  };
+}
+
+/**
+ * Default caller key: the client address of HTTP requests, otherwise one
+ * shared limit.
+ */
+function defaultKey(ctx) {
+  return ctx.request?.socket?.remoteAddress || 'global';
+}
+
+/**
+ * Create a rate limiting link.
+ *
+ * Each call is counted against the caller's key; calls within the limit get
+ * `ctx._meta.rateLimit` (see RateLimitInfo), calls over it end the chain
+ * with a RateLimitError carrying `retryAfterMs`. A key function returning
+ * null or undefined skips the check.
+ *
+ * @param {Object} [options={}] - Limiter options
+ * @param {function(Ctx): (string|null|Promise<string|null>)} [options.key] - Caller key; defaults to the
+ *                                                                          HTTP client address
+ * @param {number} [options.limit=60] - Calls allowed per window (token bucket capacity)
+ * @param {number} [options.windowMs=60000] - Window length in milliseconds
+ * @param {string} [options.algorithm='token-bucket'] - 'token-bucket' or 'sliding-window'
+ * @param {Object} [options.store] - Rate limit store (in-memory by default)
+ * @param {string} [options.name='rateLimit'] - Prefix of store keys, to share a store between limiters
+ * @returns {Link} Rate limiting link
+ *
+ * @example
+ * const perApiKey = rateLimit({ key: ctx => ctx.headers['x-api-key'], limit: 100, windowMs: 60000 });
+ * modulink.use(perApiKey);                                  // every execution of the instance
+ * const searchChain = chain(rateLimit({ limit: 5, windowMs: 1000, algorithm: 'sliding-window' }), search);
+ */
+export function rateLimit(options = {}) {
+  const {
+    key = defaultKey,
+    limit = 60,
+    windowMs = 60000,
+    algorithm = 'token-bucket',
+    store = createMemoryRateLimitStore(),
+    name = 'rateLimit'
+  } = options;
+  const check = ALGORITHMS[algorithm];
+  if (!check) {
+    throw new Error(`Rate limit algorithm must be one of: ${Object.keys(ALGORITHMS).join(', ')}`);
+  }
+  if (!(limit > 0) || !(windowMs > 0)) {
+    throw new Error('Rate limit requires a positive limit and windowMs');
+  }
+
+  return async function rateLimiter(ctx) {
+    const id = await key(ctx);
+    if (id === null || id === undefined) {
+      return ctx;
+    }
+    const info = await store.update(
+      `${name}:${algorithm}:${id}`,
+      (state) => check(state, { limit, windowMs, now: Date.now() }),
+      windowMs
+    );
+    const next = { ...ctx, _meta: { ...ctx._meta, rateLimit: info } };
+    if (info.allowed) {
+      return next;
+    }
+    return createErrorContext(new RateLimitError(`Rate limit of ${limit} calls per ${windowMs}ms exceeded`, {
+      limit,
+      windowMs,
+      retryAfterMs: info.retryAfterMs
+    }), next);
+  };
+}
@@ -0,0 +1,313 @@
+/**
+ * ModuLink Execution Recording and Replay for JavaScript
+ *
+ * Capture what a chain run actually did and re-run it later to reproduce it:
+ * - recorder: onInput/onOutput middleware pair capturing the input context,
+ *   each link's output diff, timings and errors
+ * - withRecording: Attach a recorder to a chain
+ * - replay: Re-run a chain from a recording, asserting every step
+ * - saveRecording / loadRecording: Portable JSON files
+ *
+ * The recording travels with the execution in `ctx._meta.recording`, so it is
+ * available on the result context and can be handed to `onComplete`.
+ */
+
+import { promises as fs } from 'fs';
+import { isDeepStrictEqual } from 'util';
+import { getCurrentTimestamp } from './types.js';
+import { serializeContext } from './durable.js';
+import { annotate } from './graph.js';
+import { ReplayDivergenceError } from './errors.js';
+
+/**
+ * @typedef {Object} Recording
+ * Portable record of one chain execution.
+ *
+ * @property {number} version - Recording format version
+ * @property {string} startedAt - ISO timestamp of the first link
+ * @property {string|null} completedAt - ISO timestamp of the last recorded link
+ * @property {Object} input - Context seen by the first link (JSON-safe)
+ * @property {Array<RecordedStep>} steps - One entry per executed link
+ */
+
+/**
+ * @typedef {Object} RecordedStep
+ * @property {number} index - Link index in the chain
+ * @property {string} name - Link name
+ * @property {number} durationMs - Link duration including its middleware
+ * @property {Object} diff - Top-level context changes: `{ set: {...}, removed: [...] }`
+ * @property {Object|null} error - `{ name, message }` if the link failed
+ */
+
+const RECORDING_VERSION = 1;
+
+/**
+ * Keys that are bookkeeping rather than business data; they are not part of
+ * snapshots and diffs.
+ */
+const UNRECORDED_KEYS = ['_meta', '_metadata', 'error'];
+
+let recorderCount = 0;
+
+function snapshot(ctx) {
+  const data = { ...ctx };
+  for (const key of UNRECORDED_KEYS) {
+    delete data[key];
+  }
+  return serializeContext(data);
+}
+
+function diffSnapshots(before, after) {
+  const set = {};
+  const removed = [];
+  for (const key of Object.keys(after)) {
+    if (!isDeepStrictEqual(before[key], after[key])) {
+      set[key] = after[key];
+    }
+  }
+  for (const key of Object.keys(before)) {
+    if (!(key in after)) {
+      removed.push(key);
+    }
+  }
+  return { set, removed };
+}
+
+function describeError(error) {
+  return error ? { name: error.name || 'Error', message: error.message || String(error) } : null;
+}
+
+/**
+ * Compares a replayed step against its recorded counterpart.
+ *
+ * @param {RecordedStep|undefined} expected - Recorded step
+ * @param {RecordedStep|undefined} actual - Replayed step
+ * @param {string[]} ignore - Context keys excluded from the comparison
+ * @returns {boolean} True if the steps match
+ */
+function stepsMatch(expected, actual, ignore) {
+  if (!expected || !actual) {
+    return false;
+  }
+  const comparable = (step) => ({
+    index: step.index,
+    name: step.name,
+    error: step.error,
+    set: Object.fromEntries(Object.entries(step.diff.set).filter(([key]) => !ignore.includes(key))),
+    removed: step.diff.removed.filter(key => !ignore.includes(key))
+  });
+  return isDeepStrictEqual(comparable(expected), comparable(actual));
+}
+
+/**
+ * Create a recording middleware pair.
+ *
+ * Attach `onInput` with `chain.use.onInput()` and `onOutput` with
+ * `chain.use.onOutput()` (or use withRecording()). A recording starts at the
+ * first link of each execution and completes after the last link or the
+ * first error.
+ *
+ * @param {Object} [options={}] - Recorder options
+ * @param {function(Recording, Ctx): void} [options.onComplete] - Called with each finished recording
+ * @returns {{onInput: Middleware, onOutput: Middleware}} Middleware pair
+ *
+ * @example
+ * const rec = recorder({ onComplete: (recording) => saveRecording(`./recordings/${Date.now()}.json`, recording) });
+ * const checkout = chain(validateCart, chargeCard, createOrder)
+ *   .use.onInput(rec.onInput)
+ *   .use.onOutput(rec.onOutput);
+ */
+export function recorder(options = {}) {
+  const { onComplete = null } = options;
+  const recorderId = `recorder_${++recorderCount}`;
+
+  const recordLinkInput = async function(ctx) {
+    const meta = ctx._meta || {};
+    let recording = meta.recording;
+
+    if (recording && recording.recorderId !== recorderId && !recording.completedAt) {
+      // Another recorder (e.g. on an enclosing chain) owns this execution
+      return ctx;
+    }
+
+    const before = snapshot(ctx);
+    if (!recording || recording.completedAt) {
+      recording = {
+        version: RECORDING_VERSION,
+        recorderId,
+        startedAt: getCurrentTimestamp(),
+        completedAt: null,
+        input: before,
+        steps: []
+      };
+    }
+
+    recording.pending = { before, startTime: Date.now() };
+    return { ...ctx, _meta: { ...meta, recording } };
+  };
+
+  const recordLinkOutput = async function(ctx) {
+    const meta = ctx._meta || {};
+    const recording = meta.recording;
+    if (!recording || recording.recorderId !== recorderId || !recording.pending) {
+      return ctx;
+    }
+
+    const linkInfo = ctx._currentLink || {};
+    const { before, startTime } = recording.pending;
+    delete recording.pending;
+
+    const step = {
+      index: linkInfo.index,
+      name: linkInfo.name || 'anonymous',
+      durationMs: Date.now() - startTime,
+      diff: diffSnapshots(before, snapshot(ctx)),
+      error: describeError(ctx.error)
+    };
+    recording.steps.push(step);
+
+    let next = ctx;
+    const replayState = meta.replay;
+    if (replayState && !replayState.divergence) {
+      const position = recording.steps.length - 1;
+      const expected = replayState.steps[position];
+      if (!stepsMatch(expected, step, replayState.ignore)) {
+        replayState.divergence = { step: position, expected: expected || null, actual: step };
+        next = {
+          ...ctx,
+          error: new ReplayDivergenceError(
+            `Replay diverged at step ${position} (${step.name})`,
+            replayState.divergence
+          )
+        };
+      }
+    }
+
+    if (next.error || linkInfo.index === linkInfo.length - 1) {
+      recording.completedAt = getCurrentTimestamp();
+      if (onComplete) {
+        await onComplete(exportRecording(recording), next);
+      }
+    }
+
+    return next;
+  };
+
+  return {
+    onInput: annotate(recordLinkInput, 'recorder'),
+    onOutput: annotate(recordLinkOutput, 'recorder')
+  };
+}
+
+/**
+ * Attach a recorder to a chain.
+ *
+ * @param {EnhancedChain} target - Chain to record
+ * @param {Object} [options={}] - Recorder options (see recorder())
+ * @returns {EnhancedChain} The chain with recording middleware attached
+ *
+ * @example
+ * const recorded = withRecording(checkoutChain);
+ * const result = await recorded(ctx);
+ * await saveRecording('./checkout-failure.json', getRecording(result));
+ */
+export function withRecording(target, options = {}) {
+  const { onInput, onOutput } = recorder(options);
+  return target.use.onInput(onInput).use.onOutput(onOutput);
+}
+
+/**
+ * Strip internal recorder fields from a recording.
+ *
+ * @param {Object} recording - Recording as stored in ctx._meta.recording
+ * @returns {Recording} Portable recording
+ */
+function exportRecording(recording) {
+  const { recorderId, pending, ...portable } = recording;
+  return JSON.parse(JSON.stringify(portable));
+}
+
+/**
+ * Get the recording of an execution from its result context.
+ *
+ * @param {Ctx} ctx - Result context of a recorded chain
+ * @returns {Recording|null} Portable recording, or null if none was captured
+ */
+export function getRecording(ctx) {
+  const recording = ctx?._meta?.recording;
+  return recording ? exportRecording(recording) : null;
+}
+
+/**
+ * Write a recording to a JSON file.
+ *
+ * @param {string} file - Destination path
+ * @param {Recording} recording - Recording to save
+ * @returns {Promise<void>}
+ */
+export async function saveRecording(file, recording) {
+  await fs.writeFile(file, JSON.stringify(recording, null, 2));
+}
+
+/**
+ * Read a recording from a JSON file.
+ *
+ * @param {string} file - Source path
+ * @returns {Promise<Recording>} The recording
+ */
+export async function loadRecording(file) {
+  return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+/**
+ * Re-run a chain from a recording, asserting each step against it.
+ *
+ * The chain is fed the recorded input context. After every link the context
+ * diff is compared with the recorded step; the first mismatch stops the
+ * chain with a ReplayDivergenceError. The replay runs on a copy of the chain
+ * (see `chain._clone()`) with a recorder attached if it does not already
+ * have one, so the target chain itself is left unchanged.
+ *
+ * @param {EnhancedChain} target - Chain to replay
+ * @param {Recording} recording - Recording to replay
+ * @param {Object} [options={}] - Replay options
+ * @param {string[]} [options.ignore=[]] - Context keys excluded from comparison (timestamps, random ids)
+ * @param {Object} [options.context={}] - Extra fields merged into the input (e.g. `_instanceMiddleware`)
+ * @returns {Promise<{ok: boolean, divergence: (Object|null), result: Ctx, recording: Recording}>} Replay report
+ *
+ * @example
+ * const report = await replay(checkoutChain, await loadRecording('./checkout-failure.json'), {
+ *   ignore: ['orderId', 'createdAt']
+ * });
+ * if (!report.ok) {
+ *   console.log('First divergence:', report.divergence);
+ * }
+ */
+export async function replay(target, recording, options = {}) {
+  const { ignore = [], context = {} } = options;
+
+  const hasRecorder = typeof target._describe === 'function' &&
+    target._describe().middleware.output.some(node => node.type === 'recorder');
+  const copy = typeof target._clone === 'function' ? target._clone() : target;
+  const replayChain = hasRecorder ? copy : withRecording(copy);
+
+  const replayState = { steps: recording.steps, ignore, divergence: null };
+  const result = await replayChain({
+    ...JSON.parse(JSON.stringify(recording.input)),
+    ...context,
+    _meta: { replay: replayState }
+  });
+
+  const replayed = getRecording(result) || { steps: [] };
+  let divergence = replayState.divergence;
+  if (!divergence && replayed.steps.length !== recording.steps.length) {
+    const position = Math.min(replayed.steps.length, recording.steps.length);
+    divergence = {
+      step: position,
+      expected: recording.steps[position] || null,
+      actual: replayed.steps[position] || null
+    };
+  }
+
+  return { ok: divergence === null, divergence, result, recording: replayed };
+}
@@ -0,0 +1,331 @@
+/**
+ * ModuLink HTTP Response Mapping for JavaScript
+ *
+ * Turns a chain's result context into an HTTP response so routes stop
+ * hand-picking fields and status codes:
+ * - `ctx.response = { status, headers, body }` convention
+ * - Error-code-to-HTTP-status table (ErrorHttpStatus) with overrides
+ * - Content negotiation through the request's Accept header
+ * - Streaming of Readable streams and async iterables (NDJSON for objects)
+ *
+ * Used by the HTTP trigger; sendResponse() also works in hand-written
+ * Express or node:http handlers.
+ */
+
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { ErrorCodes, ModuLinkError, toModuLinkError, isWrappedError } from './errors.js';
+
+/**
+ * Default HTTP status for each error code. Unknown codes map to 500.
+ */
+export const ErrorHttpStatus = Object.freeze({
+  [ErrorCodes.VALIDATION_FAILED]: 400,
+  [ErrorCodes.UNAUTHORIZED]: 401,
+  [ErrorCodes.FORBIDDEN]: 403,
+  [ErrorCodes.NOT_FOUND]: 404,
+  [ErrorCodes.METHOD_NOT_ALLOWED]: 405,
+  [ErrorCodes.NOT_ACCEPTABLE]: 406,
+  [ErrorCodes.CONFLICT]: 409,
+  [ErrorCodes.PAYLOAD_TOO_LARGE]: 413,
+  [ErrorCodes.RATE_LIMITED]: 429,
+  [ErrorCodes.CANCELLED]: 499,
+  [ErrorCodes.UNEXPECTED]: 500,
+  [ErrorCodes.UNAVAILABLE]: 503,
+  [ErrorCodes.CIRCUIT_OPEN]: 503,
+  [ErrorCodes.BULKHEAD_FULL]: 503,
+  [ErrorCodes.TIMEOUT]: 504
+});
+
+/**
+ * Built-in body serializers, in server preference order.
+ */
+const DEFAULT_SERIALIZERS = {
+  'application/json': (body) => JSON.stringify(body),
+  'text/plain': (body) => typeof body === 'string' ? body : JSON.stringify(body)
+};
+
+/**
+ * Message sent instead of the real one for unexpected server errors.
+ */
+const INTERNAL_ERROR_MESSAGE = 'Internal server error';
+
+/**
+ * Context keys that control the response rather than form its body.
+ */
+const NON_BODY_KEYS = new Set(['error', 'signal', 'status', 'response', 'deps']);
+
+/**
+ * Resolve the HTTP status for an error.
+ *
+ * An explicit `status`/`statusCode` on the error (or its cause) wins, then
+ * the error code is looked up in `statusCodes` and ErrorHttpStatus.
+ *
+ * @param {*} error - Error from `ctx.error`
+ * @param {Object<string, number>} [statusCodes={}] - Per-code overrides
+ * @returns {number} HTTP status code
+ */
+export function httpStatusForError(error, statusCodes = {}) {
+  const explicit = error?.status || error?.statusCode || error?.cause?.status || error?.cause?.statusCode;
+  if (Number.isInteger(explicit) && explicit >= 400 && explicit < 600) {
+    return explicit;
+  }
+  const code = error?.code;
+  return statusCodes[code] || ErrorHttpStatus[code] || 500;
+}
+
+/**
+ * Parse an Accept header into media ranges ordered by quality.
+ *
+ * @param {string} [accept] - Accept header value
+ * @returns {Array<{type: string, q: number}>} Media ranges
+ */
+function parseAccept(accept) {
+  if (!accept) {
+    return [{ type: '*/*', q: 1 }];
+  }
+  return accept
+    .split(',')
+    .map((part) => {
+      const [type, ...params] = part.trim().toLowerCase().split(';');
+      const qParam = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { type: type.trim(), q: qParam ? Number(qParam.slice(2)) : 1 };
+    })
+    .filter(range => range.type && range.q > 0)
+    .sort((a, b) => b.q - a.q);
+}
+
+function rangeMatches(range, type) {
+  if (range.type === '*/*' || range.type === type) {
+    return true;
+  }
+  return range.type.endsWith('/*') && type.startsWith(range.type.slice(0, -1));
+}
+
+/**
+ * Pick the media type to respond with.
+ *
+ * @param {string} [accept] - Accept header value
+ * @param {string[]} available - Types the server can produce, in preference order
+ * @returns {string|null} Chosen type, or null if none is acceptable
+ */
+export function negotiateContentType(accept, available) {
+  for (const range of parseAccept(accept)) {
+    const type = available.find(candidate => rangeMatches(range, candidate));
+    if (type) {
+      return type;
+    }
+  }
+  return null;
+}
+
+function isStream(body) {
+  return Boolean(body) && typeof body.pipe === 'function';
+}
+
+function isAsyncIterable(body) {
+  return Boolean(body) && typeof body[Symbol.asyncIterator] === 'function' &&
+    typeof body !== 'string' && !Buffer.isBuffer(body);
+}
+
+function lowerCaseKeys(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+}
+
+/**
+ * Select the result fields to report for a finished chain.
+ *
+ * Shared by the HTTP and CLI triggers: `respond` picks context fields (array)
+ * or maps the context (function); by default the public fields the chain
+ * added to the initial context are used.
+ *
+ * @param {Ctx} ctx - Result context
+ * @param {Object} [options={}] - Selection options
+ * @param {Ctx} [options.initial={}] - Context the chain was started with
+ * @param {(string[]|Function)} [options.respond] - Context fields to pick, or `(ctx) => value`
+ * @returns {*} Selected result
+ */
+export function resultFields(ctx, { initial = {}, respond } = {}) {
+  if (typeof respond === 'function') {
+    return respond(ctx);
+  }
+  if (Array.isArray(respond)) {
+    return Object.fromEntries(respond.filter(key => key in ctx).map(key => [key, ctx[key]]));
+  }
+  const fields = {};
+  for (const [key, value] of Object.entries(ctx)) {
+    if (!(key in initial) && !key.startsWith('_') && !NON_BODY_KEYS.has(key) && typeof value !== 'function') {
+      fields[key] = value;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Map a result context to `{ status, headers, body }` without sending it.
+ *
+ * Precedence: `ctx.error` (status from the error table, body
+ * `{ error: { code, message } }` with a generic message for 5xx errors
+ * wrapped from foreign errors, a Retry-After header for errors with
+ * `retryAfterMs`), then `ctx.response`, then the `respond` option, then the
+ * fields the chain added (with `ctx.status` if set).
+ *
+ * @param {Ctx} ctx - Result context
+ * @param {Object} [options={}] - Mapping options
+ * @param {Ctx} [options.initial={}] - Context the chain was started with
+ * @param {(string[]|Function)} [options.respond] - Context fields to send, or `(ctx) => body`
+ * @param {Object<string, number>} [options.statusCodes] - Error code to status overrides
+ * @param {function(ModuLinkError): *} [options.errorBody] - Custom error body
+ * @returns {{status: number, headers: Object, body: *}} HTTP response description
+ *
+ * @example
+ * const createUser = (ctx) => ({
+ *   ...ctx,
+ *   response: { status: 201, headers: { Location: `/users/${ctx.user.id}` }, body: ctx.user }
+ * });
+ */
+export function toHttpResponse(ctx, options = {}) {
+  const { initial = {}, respond, statusCodes = {}, errorBody } = options;
+  const headers = lowerCaseKeys(ctx.response?.headers);
+
+  if (ctx.error) {
+    const error = toModuLinkError(ctx.error);
+    if (error.retryAfterMs > 0 && !('retry-after' in headers)) {
+      headers['retry-after'] = String(Math.ceil(error.retryAfterMs / 1000));
+    }
+    const status = httpStatusForError(error, statusCodes);
+    // Messages of foreign errors (database drivers, file paths, ...) stay
+    // on the server; explicitly thrown ModuLinkErrors keep theirs
+    const message = status >= 500 && isWrappedError(error) ? INTERNAL_ERROR_MESSAGE : error.message;
+    return {
+      status,
+      headers,
+      body: errorBody ? errorBody(error) : { error: { code: error.code, message } }
+    };
+  }
+
+  if (ctx.response && typeof ctx.response === 'object') {
+    return {
+      status: ctx.response.status || (ctx.response.body === undefined ? 204 : 200),
+      headers,
+      body: ctx.response.body
+    };
+  }
+
+  const body = resultFields(ctx, { initial, respond });
+  return { status: Number.isInteger(ctx.status) ? ctx.status : 200, headers, body };
+}
+
+/**
+ * Stream an async iterable. Strings and Buffers are written as-is; other
+ * values are written as newline-delimited JSON.
+ */
+async function sendIterable(res, status, headers, iterable) {
+  const iterator = iterable[Symbol.asyncIterator]();
+  const first = await iterator.next();
+  const binary = first.done || typeof first.value === 'string' || Buffer.isBuffer(first.value);
+
+  res.statusCode = status;
+  for (const [key, value] of Object.entries(headers)) {
+    res.setHeader(key, value);
+  }
+  if (!res.hasHeader('content-type')) {
+    res.setHeader('Content-Type', binary ? 'application/octet-stream' : 'application/x-ndjson');
+  }
+
+  const encode = (chunk) => binary ? chunk : `${JSON.stringify(chunk)}\n`;
+  async function* chunks() {
+    if (!first.done) {
+      yield encode(first.value);
+      for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+        yield encode(next.value);
+      }
+    }
+  }
+  await pipeline(Readable.from(chunks()), res);
+}
+
+/**
+ * Send a result context as an HTTP response.
+ *
+ * Plain bodies are serialized according to the request's Accept header
+ * (406 if no serializer is acceptable; error responses fall back to JSON so
+ * their status is kept); a `content-type` header set by the chain skips
+ * negotiation. Readable streams are piped and async iterables
+ * are streamed.
+ *
+ * @param {http.ServerResponse} res - Server response (Express responses work too)
+ * @param {Ctx} ctx - Result context
+ * @param {Object} [options={}] - Options for toHttpResponse() plus:
+ * @param {Object<string, function(*): (string|Buffer)>} [options.serializers] - Extra serializers by media type
+ * @param {string} [options.accept] - Accept header (defaults to the request's)
+ * @returns {Promise<void>}
+ *
+ * @example
+ * app.post('/api/signup', async (req, res) => {
+ *   const result = await userSignupChain(createHttpContext({ body: req.body }));
+ *   await sendResponse(res, result, { respond: ['newUser'] });
+ * });
+ */
+export async function sendResponse(res, ctx, options = {}) {
+  if (res.headersSent || res.writableEnded) {
+    return;
+  }
+
+  const { status, headers, body } = toHttpResponse(ctx, options);
+
+  if (isStream(body) || isAsyncIterable(body)) {
+    if (isStream(body)) {
+      res.statusCode = status;
+      for (const [key, value] of Object.entries(headers)) {
+        res.setHeader(key, value);
+      }
+      if (!res.hasHeader('content-type')) {
+        res.setHeader('Content-Type', 'application/octet-stream');
+      }
+      await pipeline(body, res);
+    } else {
+      await sendIterable(res, status, headers, body);
+    }
+    return;
+  }
+
+  let payload = body;
+  if (body === undefined || body === null) {
+    payload = '';
+  } else if (headers['content-type']) {
+    if (typeof body !== 'string' && !Buffer.isBuffer(body)) {
+      payload = JSON.stringify(body);
+    }
+  } else {
+    const serializers = { ...DEFAULT_SERIALIZERS, ...(options.serializers || {}) };
+    const available = Object.keys(serializers);
+    if (typeof body === 'string') {
+      // Plain strings are most naturally text
+      available.sort((a, b) => (b === 'text/plain') - (a === 'text/plain'));
+    }
+    const accept = options.accept !== undefined ? options.accept : res.req?.headers?.accept;
+    // Error responses keep their status and headers; JSON is the fallback
+    const type = negotiateContentType(accept, available) || (status >= 400 ? 'application/json' : null);
+
+    if (!type) {
+      await sendResponse(res, {
+        error: new ModuLinkError(`Cannot produce any of: ${accept}`, { code: ErrorCodes.NOT_ACCEPTABLE })
+      }, options);
+      return;
+    }
+    payload = serializers[type](body);
+    headers['content-type'] = type.startsWith('text/') || type === 'application/json'
+      ? `${type}; charset=utf-8`
+      : type;
+  }
+
+  res.statusCode = status;
+  for (const [key, value] of Object.entries(headers)) {
+    res.setHeader(key, value);
+  }
+  if (payload !== '') {
+    res.setHeader('Content-Length', Buffer.byteLength(payload));
+  }
+  res.end(payload);
+}
@@ -12,6 +12,8 @@
  * Each component has single responsibility. Provides consistency across HTTP, cron, CLI, and message processing.
  */
 
+import { toModuLinkError } from './errors.js';
+
 /**
  * @typedef {Object} Ctx
  * Context Type - Enhanced context object that stores information passed between components.
@@ -19,6 +21,11 @@
  * @property {string} [trigger] - Type of trigger ('http', 'cron', 'cli', 'message')
  * @property {string} [timestamp] - ISO timestamp
  * @property {Object} [_meta] - Internal metadata for middleware communication
+ * @property {Array<Object>} [_meta.branches] - Decisions recorded by branch(), switchOn() and firstMatch(), in execution order
+ * @property {CompensationReport} [_meta.compensation] - Saga compensation report when completed steps were undone
+ * @property {RetryReport} [_meta.retry] - Attempts made by retry() (see utils.js)
+ * @property {RateLimitInfo} [_meta.rateLimit] - Outcome of the last rateLimit() check (see ratelimit.js)
+ * @property {Object} [_meta.quorum] - Agreement reached by quorum(): `{ required, total, agreeing }` (see utils.js)
  * @property {Object} [_metadata] - Chain execution metadata including performance and middleware counts
  * @property {Object} [_metadata.performance] - Performance tracking data
  * @property {Array} [_metadata.performance.inputMiddlewareTimings] - Input middleware execution times
@@ -37,20 +44,16 @@
  * @property {number} [_currentLink.index] - Index of current link
  * @property {number} [_currentLink.length] - Total number of links
  * @property {boolean} [_currentLink.isAsync] - Whether current link is async
+ * @property {AbortSignal} [signal] - Cancellation signal for the current chain execution
+ * @property {Object} [deps] - Frozen services provided by the ModuLink instance (see container.js)
  * @property {Array} [_instanceMiddleware] - Instance-level middleware
  * @property {Object} [_observedBy] - Tracking of middleware that have observed this context
  * @property {Object} [_loggingMetrics] - Logging middleware metrics
  * @property {Object} [_performanceMetrics] - Performance tracking metrics
  * @property {Object} [timings] - Function/chain execution timings
- * @property {Object} [error] - Error information if chain execution failed
- * @property {string} [error.message] - Error message
- * @property {string} [error.name] - Error name
- * @property {string} [error.stack] - Error stack trace
+ * @property {ModuLinkError} [error] - Error if chain execution failed (see errors.js)
  * @property {boolean} [cached] - Whether result was retrieved from cache
- * @property {Object} [retryInfo] - Retry execution information
- * @property {number} [retryInfo.attempts] - Number of retry attempts
- * @property {boolean} [retryInfo.successful] - Whether retry was successful
- * @property {number} [retryInfo.maxRetries] - Maximum retry attempts configured
+ * @property {boolean} [superseded] - Whether a debounced or throttled call was replaced by a later one
  */
 
 /**
@@ -79,10 +82,38 @@
  * @property {function(...Middleware): EnhancedChain} use.onOutput - Add output middleware (runs after each link)
  * @property {function(...Middleware): EnhancedChain} onInput - Direct input middleware method
  * @property {function(...Middleware): EnhancedChain} onOutput - Direct output middleware method
+ * @property {function((number|ChainOptions)): EnhancedChain} withTimeout - Configure per-link and whole-chain deadlines
+ * @property {function((boolean|Object)): EnhancedChain} durable - Enable journal checkpoints for durable execution
+ * @property {function(string, Object?): Promise<Ctx>} resume - Continue a durable execution after its last completed link
  * @property {function(): Object} _debugInfo - Get chain debugging information
+ * @property {function(): Object} _describe - Get a structured description of links, middleware and nested chains (see graph.js)
+ * @property {function(): EnhancedChain} _clone - Copy the chain so middleware can be added without changing it
  * @property {Chain} coreExecution - Core chain execution without middleware (for chain-as-middleware)
  */
 
+/**
+ * @typedef {Object} ChainOptions
+ * Options accepted as the last argument of chain() or by .withTimeout().
+ * 
+ * @property {number} [linkTimeout] - Maximum duration of a single link in milliseconds
+ * @property {number} [chainTimeout] - Maximum duration of the whole chain in milliseconds
+ * @property {boolean|Object} [durable] - Checkpoint the context after each link (see durable.js)
+ * @property {string} [durable.name] - Chain name recorded in the journal
+ * @property {Object} [durable.store] - Journal store (file-backed JSON store by default)
+ * @property {boolean} [durable.retainCompleted=false] - Keep journal records of completed executions
+ */
+
+/**
+ * @typedef {Object} CompensationReport
+ * Report of the compensations run after a chain failure (see step()).
+ * 
+ * @property {Object} failedLink - The link whose failure triggered compensation
+ * @property {string} failedLink.name - Name of the failing link
+ * @property {number} failedLink.index - Index of the failing link
+ * @property {Array<{name: string, index: number}>} compensated - Steps undone successfully, in execution order
+ * @property {Array<{name: string, index: number, error: Error}>} failed - Steps whose compensation failed
+ */
+
 /**
  * @typedef {function(Chain, Ctx?): Promise<Ctx>} Trigger
  * A Trigger starts the chain reaction with optional initial context.
@@ -96,6 +127,30 @@
  * @property {Object} app - Application instance (Express, Fastify, etc.)
  * @property {function(...Middleware): ModuLink} use - Add instance-level middleware
  * @property {function(Function): Function} connect - Auto-detect and connect function to ModuLink
+ * @property {function(Function, Object, Object): Promise<Ctx>} run - Run a chain with a trigger context and the instance middleware
+ * @property {function(Function, Object): function(Object): Promise<Ctx>} bind - Bind a chain to the instance (see run)
+ * @property {function(string, Function, Object): ModuLink} provide - Register a service injected as `ctx.deps[name]`
+ * @property {function(string, *): Function} override - Replace a service (e.g. in tests); returns a restore function
+ * @property {function(string): Promise<*>} resolve - Resolve a singleton service
+ * @property {Object} http - HTTP trigger: route registration (`get`, `post`, ..., `route`), `handle(req, res, next)` and `listen(port)`
+ * @property {function(string, Function, Object): ModuLink} cron - Schedule a chain on a cron expression
+ * @property {function(): Array<Object>} listJobs - Scheduled cron jobs with state and run history
+ * @property {function(string): void} pauseJob - Pause a cron job's schedule
+ * @property {function(string): void} resumeJob - Resume a paused cron job
+ * @property {function(string): Promise<Object>} runNow - Run a cron job immediately
+ * @property {function(string, Function, Object): ModuLink} command - Register a chain as a CLI command
+ * @property {function(string[], Object): Promise<{exitCode: number, result: Ctx}>} runCli - Parse arguments and run the matching command
+ * @property {Object} bus - Message bus: `configure({ transport, maxAttempts, deadLetterTopic })`, `subscriptions`, `drain()` and `close()`
+ * @property {function(string, Function, Object): ModuLink} subscribe - Run a chain for messages on matching topics
+ * @property {function(string): void} unsubscribe - Remove a subscription
+ * @property {function(string, *, Object): Promise<string>} publish - Publish a message and return its id
+ * @property {function(Object): Promise<ModuLink>} start - Run onStart hooks, optionally listen on `port` and stop on SIGTERM/SIGINT
+ * @property {function(Object): Promise<Object>} stop - Stop accepting triggers, drain in-flight executions (up to `timeoutMs`) and close triggers
+ * @property {function(Function): ModuLink} onStart - Add a hook run by start()
+ * @property {function(Function): ModuLink} onStop - Add a hook run by stop() (in reverse order)
+ * @property {string} state - 'idle', 'starting', 'running', 'stopping' or 'stopped'
+ * @property {function((Object|Function), Object=): Promise<ModuLink>} register - Register a plugin (see plugins.js)
+ * @property {function(): Promise<ModuLink>} ready - Wait for every plugin registration
  */
 
 /**
@@ -123,18 +178,26 @@
  * 
  * @property {function(...Link): EnhancedChain} chain - Create enhanced chain with middleware API
  * @property {function(function, Chain): Chain} when - Conditional execution wrapper
- * @property {function(function): Middleware} errorHandler - Error handling middleware
+ * @property {function(function, Chain, Chain?): Chain} branch - Two-way conditional (then/else)
+ * @property {function(function, Object<string, Chain>): Chain} switchOn - Multi-way conditional keyed by selector value
+ * @property {function(Array): Chain} firstMatch - Execute the chain of the first matching predicate
+ * @property {function(function|string, Chain, Object): Chain} forEach - Run a sub-chain per array item with bounded concurrency
+ * @property {function(function, Chain, Object): Chain} whileLoop - Repeat a sub-chain while a condition holds
+ * @property {function(function, Object): Middleware} errorHandler - Error handling middleware with optional timeout handler
  * @property {function(function, Chain): Chain} validate - Validation wrapper
  * @property {function(Chain, number, number): Chain} retry - Retry wrapper with configurable attempts and delay
  * @property {function(function): Chain} transform - Transform context with function
  * @property {function(Object): Chain} addData - Add data to context
  * @property {function(string[]): Chain} pick - Filter context to specified keys
  * @property {function(string[]): Chain} omit - Remove specified keys from context
- * @property {function(...Chain): Chain} parallel - Execute chains in parallel
- * @property {function(...Chain): Chain} race - Race execution of chains
- * @property {function(Chain, number): Chain} debounce - Debounce chain execution
- * @property {function(Chain, number): Chain} throttle - Throttle chain execution rate
- * @property {function(Chain, function, number): Chain} cache - Cache chain results with TTL
+ * @property {function(...Chain): Chain} parallel - Execute chains in parallel and merge their results
+ * @property {function(...Chain): Chain} race - Race execution of chains, cancelling the losers
+ * @property {function(...Chain): Chain} any - First chain to succeed, cancelling the others
+ * @property {function(...Chain): Chain} allSettled - Run all chains and collect each outcome
+ * @property {function(number, ...Chain): Chain} quorum - Resolve once n chains agree, cancelling the others
+ * @property {function(Chain, number, Object): Chain} debounce - Debounce chain execution per key
+ * @property {function(Chain, number, Object): Chain} throttle - Throttle chain execution rate per key
+ * @property {function(Chain, function, (Object|number)): Chain} cache - Cache chain results with TTL, coalescing and stale-while-revalidate
  * @property {function(Function|string, string|Object, Object): Function|Middleware} timing - Timing wrapper/middleware
  * @property {function(Object): Middleware} performanceTracker - Performance tracking middleware
  * @property {function(function): Middleware} transformMiddleware - Transform middleware wrapper
@@ -317,18 +380,21 @@ export function createMessageContext({
 /**
  * Create error context for error handling.
  * 
- * @param {Error} error - The error object
+ * Any thrown or returned value is normalized into a ModuLinkError (see
+ * toModuLinkError()). The failing link is taken from `_currentLink` and the
+ * trigger type from `trigger` of the original context.
+ * 
+ * @param {*} error - The error (Error, ModuLinkError, string or serialized error)
  * @param {Ctx} [originalContext={}] - Original context where error occurred
  * @returns {Ctx} Error context
  */
 export function createErrorContext(error, originalContext = {}) {
+  const currentLink = originalContext?._currentLink;
   return {
     ...originalContext,
-    error: {
-      message: error.message,
-      name: error.name,
-      stack: error.stack,
-      timestamp: getCurrentTimestamp()
-    }
+    error: toModuLinkError(error, {
+      link: currentLink ? { name: currentLink.name, index: currentLink.index } : null,
+      trigger: originalContext?.trigger || null
+    })
   };
 }
@@ -3,20 +3,42 @@
  * 
  * Helper functions for working with ModuLink types and patterns:
  * - Chain creation: Building chains with middleware (chain)
- * - Conditionals: Control flow (when) 
+ * - Conditionals: Control flow (when, branch, switchOn, firstMatch) 
  * - Error handling: Error handling middleware (errorHandler)
+ * - Resilience: Retries, circuit breaking and concurrency limits (retry,
+ *   circuitBreaker, bulkhead)
+ * - Caching: Result caching with pluggable stores (cache, see cache.js)
  * - Observational middleware: Logging, timing, monitoring (logging, timing)
  * - Data helpers: Transformation and validation utilities
  * 
  * Each utility maintains single responsibility principle.
  */
 
+import { EventEmitter } from 'events';
+import { isDeepStrictEqual } from 'util';
 import { createErrorContext, getCurrentTimestamp } from './types.js';
 import { chain } from './modulink.js';
+import {
+  isTimeoutError,
+  toCancellationError,
+  ModuLinkError,
+  ValidationError,
+  CircuitOpenError,
+  BulkheadFullError,
+  ParallelError,
+  MergeConflictError,
+  QuorumError,
+  CancellationError,
+  ErrorCodes
+} from './errors.js';
+import { annotate } from './graph.js';
 
 // Re-export chain from core modulink for utility functions that extend it
 export { chain };
 
+// Result caching lives in cache.js alongside its stores
+export { cache } from './cache.js';
+
 /**
  * Conditional execution - only execute chain if condition is met.
  * 
@@ -25,12 +47,304 @@ export { chain };
  * @returns {Chain} Conditional chain
  */
 export function when(condition, chain) {
-  return async function(ctx) {
+  const conditional = async function(ctx) {
     if (condition(ctx)) {
       return await chain(ctx);
     }
     return ctx;
   };
+
+  return annotate(conditional, 'when', [{ label: 'true', target: chain }], { label: condition.name, passThrough: true });
+}
+
+/**
+ * Appends a branch decision to `ctx._meta.branches` so logs and debuggers can
+ * show the path actually executed.
+ * 
+ * @param {Ctx} ctx - Context entering the branch
+ * @param {Object} entry - Decision record
+ * @returns {Ctx} Context carrying the decision
+ */
+function recordBranch(ctx, entry) {
+  const meta = ctx._meta || {};
+  return {
+    ...ctx,
+    _meta: {
+      ...meta,
+      branches: [...(meta.branches || []), entry]
+    }
+  };
+}
+
+/**
+ * Two-way conditional - execute one chain or the other.
+ * 
+ * Records `{ type: 'branch', condition, taken: 'then'|'else' }` in `ctx._meta.branches`.
+ * 
+ * @param {function(Ctx): boolean|Promise<boolean>} condition - Condition function
+ * @param {Chain} thenChain - Chain to execute if condition is true
+ * @param {Chain} [elseChain] - Chain to execute otherwise (passes through if omitted)
+ * @returns {Chain} Branching chain
+ * 
+ * @example
+ * const checkout = branch(isGuest, guestCheckout, memberCheckout);
+ */
+export function branch(condition, thenChain, elseChain = null) {
+  const branching = async function(ctx) {
+    const passed = Boolean(await condition(ctx));
+    const next = recordBranch(ctx, {
+      type: 'branch',
+      condition: condition.name || 'anonymous',
+      taken: passed ? 'then' : 'else'
+    });
+    const selected = passed ? thenChain : elseChain;
+    return selected ? await selected(next) : next;
+  };
+
+  return annotate(branching, 'branch', [
+    { label: 'then', target: thenChain },
+    { label: 'else', target: elseChain }
+  ], { label: condition.name, passThrough: !elseChain });
+}
+
+/**
+ * Multi-way conditional - execute the chain registered for the selected case.
+ * 
+ * The selector's return value is used as the case key. A `default` case runs
+ * when no key matches; without one the context passes through unchanged.
+ * Records `{ type: 'switchOn', selector, value, taken }` in `ctx._meta.branches`
+ * (`taken` is the case key, 'default', or null when nothing ran).
+ * 
+ * @param {function(Ctx): string|Promise<string>} selector - Case selector
+ * @param {Object<string, Chain>} cases - Chains keyed by case, plus optional `default`
+ * @returns {Chain} Switching chain
+ * 
+ * @example
+ * const notify = switchOn(ctx => ctx.channel, {
+ *   email: sendEmail,
+ *   sms: sendSms,
+ *   default: logUnsupportedChannel
+ * });
+ */
+export function switchOn(selector, cases = {}) {
+  const switching = async function(ctx) {
+    const value = await selector(ctx);
+    const key = String(value);
+    let taken = null;
+
+    if (key !== 'default' && Object.prototype.hasOwnProperty.call(cases, key)) {
+      taken = key;
+    } else if (Object.prototype.hasOwnProperty.call(cases, 'default')) {
+      taken = 'default';
+    }
+
+    const next = recordBranch(ctx, {
+      type: 'switchOn',
+      selector: selector.name || 'anonymous',
+      value,
+      taken
+    });
+    return taken === null ? next : await cases[taken](next);
+  };
+
+  return annotate(switching, 'switchOn',
+    Object.entries(cases).map(([key, target]) => ({ label: key, target })),
+    { label: selector.name, passThrough: !Object.prototype.hasOwnProperty.call(cases, 'default') });
+}
+
+/**
+ * First-match conditional - execute the chain of the first predicate that passes.
+ * 
+ * Predicates are evaluated in order; later predicates are not evaluated once
+ * one matches. Records `{ type: 'firstMatch', predicate, taken }` in
+ * `ctx._meta.branches` (`taken` is the matching index or null).
+ * 
+ * @param {Array<[function(Ctx): boolean, Chain]>} pairs - Predicate/chain pairs
+ * @returns {Chain} Matching chain
+ * 
+ * @example
+ * const route = firstMatch([
+ *   [isAdmin, adminFlow],
+ *   [isMember, memberFlow],
+ *   [() => true, publicFlow]
+ * ]);
+ */
+export function firstMatch(pairs = []) {
+  const matching = async function(ctx) {
+    for (let i = 0; i < pairs.length; i++) {
+      const [predicate, matchChain] = pairs[i];
+      if (await predicate(ctx)) {
+        const next = recordBranch(ctx, {
+          type: 'firstMatch',
+          predicate: predicate.name || 'anonymous',
+          taken: i
+        });
+        return await matchChain(next);
+      }
+    }
+
+    return recordBranch(ctx, { type: 'firstMatch', predicate: null, taken: null });
+  };
+
+  return annotate(matching, 'firstMatch',
+    pairs.map(([predicate, target], index) => ({ label: predicate.name || `#${index}`, target })),
+    { passThrough: true });
+}
+
+/**
+ * Run a sub-chain for every element of an array in the context.
+ * 
+ * Each item runs with a copy of the parent context extended with the item
+ * (`ctx[itemKey]`) and its position (`ctx[indexKey]`). Per-item results are
+ * collected in input order into `ctx[collectInto]` (by default the item
+ * context's `itemKey` value after the sub-chain ran, so sub-chains return the
+ * processed item by updating it). Failures are collected into
+ * `ctx[errorsInto]` as `{ index, item, error }`; the results slot of a failed
+ * item is left undefined.
+ * 
+ * With `stopOnError`, no new items are started after the first failure and
+ * the parent context receives that error as `ctx.error`.
+ * 
+ * @param {function(Ctx): Array|string} selector - Function returning the items, or a context key
+ * @param {Chain} subChain - Chain to run for each item
+ * @param {Object} [options={}] - Iteration options
+ * @param {number} [options.concurrency=1] - Maximum items processed at once
+ * @param {string} [options.collectInto='results'] - Context key receiving per-item results
+ * @param {string} [options.errorsInto='itemErrors'] - Context key receiving per-item errors
+ * @param {boolean} [options.stopOnError=false] - Stop starting new items after a failure
+ * @param {string} [options.itemKey='item'] - Context key holding the current item
+ * @param {string} [options.indexKey='index'] - Context key holding the current index
+ * @param {function(Ctx): *} [options.collect] - Maps an item result context to its collected value
+ * @returns {Chain} Iterating chain
+ * 
+ * @example
+ * const processAll = forEach(ctx => ctx.files, chain(readFile, parseFile), {
+ *   concurrency: 4,
+ *   collectInto: 'parsedFiles'
+ * });
+ */
+export function forEach(selector, subChain, options = {}) {
+  const {
+    concurrency = 1,
+    collectInto = 'results',
+    errorsInto = 'itemErrors',
+    stopOnError = false,
+    itemKey = 'item',
+    indexKey = 'index',
+    collect = (itemCtx) => itemCtx[itemKey]
+  } = options;
+
+  const iterating = async function(ctx) {
+    const items = typeof selector === 'string' ? ctx[selector] : await selector(ctx);
+    if (!Array.isArray(items)) {
+      return createErrorContext(new ValidationError('forEach selector must return an array'), ctx);
+    }
+
+    const results = new Array(items.length);
+    const errors = [];
+    let nextIndex = 0;
+    let stopped = false;
+
+    const worker = async () => {
+      while (!stopped && nextIndex < items.length) {
+        if (ctx.signal?.aborted) {
+          stopped = true;
+          break;
+        }
+
+        const index = nextIndex++;
+        const item = items[index];
+        let error = null;
+
+        try {
+          const itemCtx = await subChain({ ...ctx, [itemKey]: item, [indexKey]: index });
+          if (itemCtx && itemCtx.error) {
+            error = itemCtx.error;
+          } else {
+            results[index] = collect(itemCtx);
+          }
+        } catch (thrown) {
+          error = thrown;
+        }
+
+        if (error) {
+          errors.push({ index, item, error });
+          if (stopOnError) {
+            stopped = true;
+          }
+        }
+      }
+    };
+
+    const workerCount = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    errors.sort((a, b) => a.index - b.index);
+    const aggregated = { ...ctx, [collectInto]: results, [errorsInto]: errors };
+
+    if (stopOnError && errors.length > 0) {
+      return { ...aggregated, error: errors[0].error };
+    }
+    return aggregated;
+  };
+
+  return annotate(iterating, 'forEach', [{ label: 'each', target: subChain }], {
+    label: typeof selector === 'string' ? selector : selector.name
+  });
+}
+
+/**
+ * Run a sub-chain repeatedly while a condition holds.
+ * 
+ * The context is threaded through iterations. The loop stops early when an
+ * iteration produces `ctx.error`, and fails with an error context when the
+ * condition still holds after `maxIterations` iterations.
+ * 
+ * @param {function(Ctx): boolean|Promise<boolean>} condition - Loop condition
+ * @param {Chain} subChain - Chain to run on each iteration
+ * @param {Object} [options={}] - Loop options
+ * @param {number} [options.maxIterations=1000] - Safety bound on iterations
+ * @returns {Chain} Looping chain
+ * 
+ * @example
+ * const drainQueue = whileLoop(ctx => ctx.hasMore, fetchNextPage, { maxIterations: 50 });
+ */
+export function whileLoop(condition, subChain, options = {}) {
+  const { maxIterations = 1000 } = options;
+
+  const looping = async function(ctx) {
+    let current = ctx;
+    let iterations = 0;
+
+    while (await condition(current)) {
+      if (iterations >= maxIterations) {
+        return createErrorContext(
+          new ModuLinkError(`whileLoop exceeded maxIterations (${maxIterations})`, {
+            code: ErrorCodes.MAX_ITERATIONS_EXCEEDED
+          }),
+          current
+        );
+      }
+      iterations++;
+
+      try {
+        current = await subChain(current);
+      } catch (error) {
+        return createErrorContext(error, current);
+      }
+
+      if (current.error) {
+        break;
+      }
+    }
+
+    return current;
+  };
+
+  return annotate(looping, 'whileLoop', [{ label: 'repeat', target: subChain }], {
+    label: condition.name,
+    passThrough: true
+  });
 }
 
 /**
@@ -40,13 +354,27 @@ export function when(condition, chain) {
  * Note: The chain() function automatically catches errors and creates error contexts.
  * This middleware processes those error contexts for custom handling.
  * 
+ * Timeouts produced by chain deadlines carry a TimeoutError; pass `onTimeout`
+ * to handle them separately from ordinary failures.
+ * 
  * @param {function(Error, Ctx): Ctx} [customHandler] - Optional custom error handler
+ * @param {Object} [options={}] - Handler options
+ * @param {function(TimeoutError, Ctx): Ctx} [options.onTimeout] - Handler for timeout errors
  * @returns {Middleware} Error handling middleware function
+ * 
+ * @example
+ * chain(fetchUser, { linkTimeout: 1000 })
+ *   .use(errorHandler(reportFailure, { onTimeout: markUpstreamSlow }));
  */
-export function errorHandler(customHandler = null) {
+export function errorHandler(customHandler = null, options = {}) {
+  const { onTimeout = null } = options;
+
   return async function(ctx) {
     // If context has an error, handle it
     if (ctx.error) {
+      if (onTimeout && isTimeoutError(ctx.error)) {
+        return onTimeout(ctx.error, ctx);
+      }
       if (customHandler) {
         return customHandler(ctx.error, ctx);
       }
@@ -62,12 +390,14 @@ export function errorHandler(customHandler = null) {
 /**
  * Validation wrapper that validates context before execution.
  * 
+ * Failed validation sets a ValidationError (code 'VALIDATION_FAILED').
+ * 
  * @param {function(Ctx): boolean|string} validator - Validation function
  * @param {Chain} chain - Chain to execute if validation passes
  * @returns {Chain} Validated chain
  */
 export function validate(validator, chain) {
-  return async function(ctx) {
+  const validated = async function(ctx) {
     const validationResult = validator(ctx);
     
     if (validationResult === true) {
@@ -78,72 +408,548 @@ export function validate(validator, chain) {
       ? validationResult 
       : 'Validation failed';
     
-    return createErrorContext(new Error(errorMessage), ctx);
+    return createErrorContext(new ValidationError(errorMessage), ctx);
   };
+
+  return annotate(validated, 'validate', [{ label: 'valid', target: chain }], { label: validator.name });
+}
+
+const BACKOFF_STRATEGIES = ['fixed', 'linear', 'exponential', 'decorrelated-jitter'];
+
+/**
+ * Error codes that fail the same way on every attempt.
+ */
+const NON_RETRYABLE_CODES = new Set([
+  ErrorCodes.VALIDATION_FAILED,
+  ErrorCodes.UNAUTHORIZED,
+  ErrorCodes.FORBIDDEN,
+  ErrorCodes.NOT_FOUND,
+  ErrorCodes.METHOD_NOT_ALLOWED,
+  ErrorCodes.CONFLICT,
+  ErrorCodes.PAYLOAD_TOO_LARGE,
+  ErrorCodes.CANCELLED,
+  ErrorCodes.CIRCUIT_OPEN
+]);
+
+/**
+ * Default retry predicate: errors flagged `retryable` are retried, as is
+ * anything without a client-error, cancellation or open-circuit code.
+ */
+function isRetryableError(error) {
+  return error?.retryable === true || !NON_RETRYABLE_CODES.has(error?.code);
+}
+
+/**
+ * @typedef {Object} RetryReport
+ * Attempt details recorded by retry() in `ctx._meta.retry`.
+ *
+ * @property {number} attempts - Attempts made, including the first
+ * @property {boolean} successful - Whether the last attempt succeeded
+ * @property {number} maxRetries - Configured maximum number of retries
+ * @property {number[]} delays - Delay before each retry in milliseconds
+ * @property {number} elapsedMs - Time spent across all attempts
+ * @property {(string|null)} gaveUp - Why retrying stopped after a failure: 'maxRetries',
+ *                                    'maxElapsed', 'notRetryable' or 'cancelled'
+ */
+
+/**
+ * Create a retry policy for retry().
+ *
+ * Backoff strategies (delay before retry `n`, capped at `maxDelayMs`):
+ * - 'fixed': `delayMs`
+ * - 'linear': `delayMs * n`
+ * - 'exponential': `delayMs * factor^(n - 1)`
+ * - 'decorrelated-jitter': random between `delayMs` and three times the previous delay
+ * - a function `(attempt, previousDelayMs) => delayMs`
+ *
+ * @param {Object} [options={}] - Policy options
+ * @param {number} [options.maxRetries=3] - Maximum number of retries
+ * @param {(string|Function)} [options.backoff='exponential'] - Backoff strategy
+ * @param {number} [options.delayMs=100] - Base delay in milliseconds
+ * @param {number} [options.maxDelayMs=30000] - Upper bound for a single delay
+ * @param {number} [options.factor=2] - Growth factor of 'exponential' backoff
+ * @param {boolean} [options.jitter=false] - Randomize each delay between 0 and its computed value
+ * @param {number} [options.maxElapsedMs=Infinity] - Stop retrying once the next attempt would start later than this
+ * @param {function(Error, number): boolean} [options.shouldRetry] - Receives the error and the failed
+ *                                                                 attempt number; by default errors with
+ *                                                                 validation, auth, not-found, conflict,
+ *                                                                 cancellation or open-circuit codes are
+ *                                                                 not retried unless flagged `retryable`
+ * @param {function(Error, number, number): void} [options.onRetry] - Called with the error, the failed
+ *                                                                  attempt number and the delay before
+ *                                                                  the next attempt
+ * @returns {Object} Frozen policy
+ *
+ * @example
+ * const upstreamPolicy = retryPolicy({
+ *   maxRetries: 5,
+ *   backoff: 'decorrelated-jitter',
+ *   delayMs: 200,
+ *   maxElapsedMs: 10000,
+ *   shouldRetry: (error) => ['TIMEOUT', 'UNAVAILABLE'].includes(error.code),
+ *   onRetry: (error, attempt, delayMs) => logger.warn(`attempt ${attempt} failed, retrying in ${delayMs}ms`)
+ * });
+ * const fetchProfile = retry(chain(callProfileService), upstreamPolicy);
+ */
+export function retryPolicy(options = {}) {
+  const {
+    maxRetries = 3,
+    backoff = 'exponential',
+    delayMs = 100,
+    maxDelayMs = 30000,
+    factor = 2,
+    jitter = false,
+    maxElapsedMs = Infinity,
+    shouldRetry = isRetryableError,
+    onRetry = null
+  } = options;
+  if (typeof backoff !== 'function' && !BACKOFF_STRATEGIES.includes(backoff)) {
+    throw new Error(`Retry backoff must be a function or one of: ${BACKOFF_STRATEGIES.join(', ')}`);
+  }
+  return Object.freeze({ maxRetries, backoff, delayMs, maxDelayMs, factor, jitter, maxElapsedMs, shouldRetry, onRetry });
+}
+
+function backoffDelay(policy, attempt, previousDelay) {
+  const { backoff, delayMs, factor, maxDelayMs, jitter } = policy;
+  let delay;
+  if (typeof backoff === 'function') {
+    delay = backoff(attempt, previousDelay);
+  } else if (backoff === 'linear') {
+    delay = delayMs * attempt;
+  } else if (backoff === 'exponential') {
+    delay = delayMs * factor ** (attempt - 1);
+  } else if (backoff === 'decorrelated-jitter') {
+    const upper = Math.max(delayMs, previousDelay * 3);
+    delay = delayMs + Math.random() * (upper - delayMs);
+  } else {
+    delay = delayMs;
+  }
+  delay = Math.min(delay, maxDelayMs);
+  return Math.round(jitter ? Math.random() * delay : delay);
+}
+
+/**
+ * Wait before the next attempt; resolves to false if `signal` aborts first.
+ */
+function waitForRetry(delayMs, signal) {
+  if (signal?.aborted) {
+    return Promise.resolve(false);
+  }
+  return new Promise(resolve => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve(false);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve(true);
+    }, delayMs);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
 }
 
 /**
  * Retry wrapper that retries failed executions.
- * 
+ *
+ * Takes a policy (see retryPolicy()) or, as before, a number of retries and
+ * a fixed delay. Attempt details are recorded in `ctx._meta.retry` (see
+ * RetryReport); waiting stops early when `ctx.signal` aborts.
+ *
  * @param {Chain} chain - Chain to retry
- * @param {number} [maxRetries=3] - Maximum number of retries
- * @param {number} [delayMs=1000] - Delay between retries in milliseconds
+ * @param {(Object|number)} [policy=3] - Retry policy options, or the maximum number of retries
+ * @param {number} [delayMs=1000] - Fixed delay between retries when `policy` is a number
  * @returns {Chain} Retry-wrapped chain
+ *
+ * @example
+ * retry(chain(proxyToUpstream), { maxRetries: 4, backoff: 'exponential', delayMs: 100, jitter: true })
  */
-export function retry(chain, maxRetries = 3, delayMs = 1000) {
-  return async function(ctx) {
-    let lastError = null;
-    
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+export function retry(chain, policy = 3, delayMs = 1000) {
+  const options = typeof policy === 'object' && policy !== null
+    ? retryPolicy(policy)
+    : retryPolicy({ maxRetries: policy, backoff: 'fixed', delayMs });
+  const { maxRetries, maxElapsedMs, shouldRetry, onRetry } = options;
+
+  const retrying = async function(ctx) {
+    const startTime = Date.now();
+    const delays = [];
+    let previousDelay = options.delayMs;
+
+    const finish = (result, attempts, gaveUp) => ({
+      ...result,
+      _meta: {
+        ...result._meta,
+        retry: {
+          attempts,
+          successful: !result.error,
+          maxRetries,
+          delays,
+          elapsedMs: Date.now() - startTime,
+          gaveUp: result.error ? gaveUp : null
+        }
+      }
+    });
+
+    for (let attempt = 1; ; attempt++) {
+      let result;
       try {
-        const result = await chain(ctx);
-        
-        // If no error in result, return it
-        if (!result.error) {
-          if (attempt > 0) {
-            result.retryInfo = {
-              attempts: attempt + 1,
-              successful: true
-            };
+        result = await chain(ctx);
+      } catch (error) {
+        result = createErrorContext(error, ctx);
+      }
+
+      if (!result.error) {
+        return finish(result, attempt, null);
+      }
+      if (attempt > maxRetries) {
+        return finish(result, attempt, 'maxRetries');
+      }
+      if (!shouldRetry(result.error, attempt)) {
+        return finish(result, attempt, 'notRetryable');
+      }
+      const delay = backoffDelay(options, attempt, previousDelay);
+      if (Date.now() - startTime + delay > maxElapsedMs) {
+        return finish(result, attempt, 'maxElapsed');
+      }
+
+      onRetry?.(result.error, attempt, delay);
+      delays.push(delay);
+      previousDelay = delay;
+      if (!(await waitForRetry(delay, ctx.signal))) {
+        return finish(createErrorContext(toCancellationError(ctx.signal.reason), ctx), attempt, 'cancelled');
+      }
+    }
+  };
+
+  return annotate(retrying, 'retry', [{ label: 'attempt', target: chain }], { label: `${maxRetries}x` });
+}
+
+const CIRCUIT_EVENTS = { closed: 'close', open: 'open', 'half-open': 'halfOpen' };
+
+/**
+ * Default failure test of circuitBreaker(): validation errors and
+ * cancellations say nothing about the dependency's health.
+ */
+function isDependencyFailure(result) {
+  return Boolean(result.error) &&
+    !(result.error instanceof ValidationError) &&
+    result.error.code !== ErrorCodes.CANCELLED;
+}
+
+/**
+ * Circuit breaker for chains calling a flaky dependency.
+ *
+ * Closed: calls run and consecutive failures are counted; reaching
+ * `failureThreshold` opens the circuit. Open: calls return a
+ * CircuitOpenError context without running the chain until `resetTimeoutMs`
+ * has passed. Half-open: up to `halfOpenMax` trial calls run; the circuit
+ * closes once they all succeed and reopens on the first failure.
+ *
+ * The breaker keeps its state across executions, so create it once per
+ * dependency. The returned chain also has `on(event, listener)` /
+ * `off(event, listener)` for 'stateChange', 'open', 'halfOpen' and 'close'
+ * events (listeners receive `{ name, from, to, stats }`), `stats()` for
+ * health checks and `reset()` to close the circuit.
+ *
+ * @param {Chain} chain - Chain calling the dependency
+ * @param {Object} [options={}] - Breaker options
+ * @param {string} [options.name='circuit'] - Circuit name used in errors and stats
+ * @param {number} [options.failureThreshold=5] - Consecutive failures that open the circuit
+ * @param {number} [options.resetTimeoutMs=30000] - Time the circuit stays open before allowing trial calls
+ * @param {number} [options.halfOpenMax=1] - Trial calls allowed while half-open
+ * @param {function(Ctx): boolean} [options.isFailure] - Whether a result counts as a failure; defaults
+ *                                                     to results with an error other than a
+ *                                                     ValidationError or a cancellation
+ * @param {Function} [options.onStateChange] - Shorthand for `on('stateChange', listener)`
+ * @returns {Chain} Chain guarded by the circuit breaker
+ *
+ * @example
+ * const callPayments = circuitBreaker(chain(chargeCard), { name: 'payments', failureThreshold: 3 });
+ * callPayments.on('open', ({ stats }) => alert(`payments circuit open after ${stats.consecutiveFailures} failures`));
+ * modulink.http.get('/health', chain((ctx) => ({ ...ctx, payments: callPayments.stats().state })));
+ */
+export function circuitBreaker(chain, options = {}) {
+  const {
+    name = 'circuit',
+    failureThreshold = 5,
+    resetTimeoutMs = 30000,
+    halfOpenMax = 1,
+    isFailure = isDependencyFailure,
+    onStateChange = null
+  } = options;
+  const events = new EventEmitter();
+  const counters = { calls: 0, successes: 0, failures: 0, rejected: 0 };
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let lastFailureAt = null;
+  let trials = 0;
+  let trialSuccesses = 0;
+
+  const retryAfterMs = () => (state === 'open' ? Math.max(0, openedAt + resetTimeoutMs - Date.now()) : 0);
+
+  function stats() {
+    return {
+      name,
+      state,
+      consecutiveFailures,
+      ...counters,
+      lastFailureAt,
+      openedAt: openedAt === null ? null : new Date(openedAt).toISOString(),
+      retryAfterMs: retryAfterMs()
+    };
+  }
+
+  function transition(to) {
+    const from = state;
+    if (from === to) {
+      return;
+    }
+    state = to;
+    trials = 0;
+    trialSuccesses = 0;
+    if (to === 'open') {
+      openedAt = Date.now();
+    } else if (to === 'closed') {
+      openedAt = null;
+      consecutiveFailures = 0;
+    }
+    const event = { name, from, to, stats: stats() };
+    events.emit('stateChange', event);
+    events.emit(CIRCUIT_EVENTS[to], event);
+  }
+
+  function record(result, trial) {
+    if (isFailure(result)) {
+      counters.failures++;
+      consecutiveFailures++;
+      lastFailureAt = getCurrentTimestamp();
+      if (state === 'half-open' || (state === 'closed' && consecutiveFailures >= failureThreshold)) {
+        transition('open');
+      }
+      return;
+    }
+    counters.successes++;
+    consecutiveFailures = 0;
+    if (trial && state === 'half-open' && ++trialSuccesses >= halfOpenMax) {
+      transition('closed');
+    }
+  }
+
+  const breaker = async function(ctx) {
+    if (state === 'open' && retryAfterMs() === 0) {
+      transition('half-open');
+    }
+    if (state === 'open' || (state === 'half-open' && trials >= halfOpenMax)) {
+      counters.rejected++;
+      return createErrorContext(new CircuitOpenError(`Circuit "${name}" is open`, {
+        circuit: name,
+        retryAfterMs: retryAfterMs()
+      }), ctx);
+    }
+
+    const trial = state === 'half-open';
+    if (trial) {
+      trials++;
+    }
+    counters.calls++;
+    let result;
+    try {
+      result = await chain(ctx);
+    } catch (error) {
+      result = createErrorContext(error, ctx);
+    }
+    record(result, trial);
+    return result;
+  };
+
+  if (onStateChange) {
+    events.on('stateChange', onStateChange);
+  }
+  breaker.on = (event, listener) => {
+    events.on(event, listener);
+    return breaker;
+  };
+  breaker.off = (event, listener) => {
+    events.off(event, listener);
+    return breaker;
+  };
+  breaker.stats = stats;
+  breaker.reset = () => transition('closed');
+
+  return annotate(breaker, 'circuitBreaker', [{ label: 'closed', target: chain }], {
+    label: `${failureThreshold} failures`,
+    passThrough: true
+  });
+}
+
+/**
+ * Create a concurrency limiter (bulkhead).
+ *
+ * At most `maxConcurrent` executions hold a slot; up to `maxQueue` more wait
+ * in FIFO order. Further executions, and those waiting longer than
+ * `queueTimeoutMs`, are rejected with a BulkheadFullError. Use bulkhead() to
+ * limit one chain; pass the same limiter to bulkhead() for several chains to
+ * share one limit.
+ *
+ * @param {Object} [options={}] - Limiter options
+ * @param {string} [options.name='bulkhead'] - Name used in errors and stats
+ * @param {number} [options.maxConcurrent=10] - Executions allowed to run at once
+ * @param {number} [options.maxQueue=0] - Executions allowed to wait for a slot
+ * @param {number} [options.queueTimeoutMs=Infinity] - Maximum wait for a slot
+ * @returns {Object} Limiter with acquire(), run() and stats()
+ *
+ * @example
+ * // One limit shared by every route of an API
+ * const limiter = createBulkhead({ name: 'api', maxConcurrent: 50, maxQueue: 200, queueTimeoutMs: 5000 });
+ * modulink.http.get('/orders', bulkhead(listOrders, limiter));
+ * modulink.http.post('/orders', bulkhead(createOrder, limiter));
+ */
+export function createBulkhead(options = {}) {
+  const { name = 'bulkhead', maxConcurrent = 10, maxQueue = 0, queueTimeoutMs = Infinity } = options;
+  if (!Number.isInteger(maxConcurrent) || maxConcurrent < 1) {
+    throw new Error(`Bulkhead "${name}" maxConcurrent must be a positive integer`);
+  }
+  const queue = [];
+  const counters = { completed: 0, rejected: 0 };
+  const rejections = { queueFull: 0, queueTimeout: 0 };
+  let active = 0;
+
+  function reject(reason, message) {
+    counters.rejected++;
+    rejections[reason]++;
+    return new BulkheadFullError(message, { bulkhead: name, reason });
+  }
+
+  function createRelease() {
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      counters.completed++;
+      const next = queue.shift();
+      if (next) {
+        next.grant();
+      } else {
+        active--;
+      }
+    };
+  }
+
+  const limiter = {
+    name,
+
+    /**
+     * Wait for a slot.
+     *
+     * @param {Object} [acquireOptions={}] - Acquire options
+     * @param {AbortSignal} [acquireOptions.signal] - Stops waiting when aborted
+     * @returns {Promise<function(): void>} Releases the slot (idempotent)
+     * @throws {BulkheadFullError|CancellationError} If rejected or cancelled while waiting
+     */
+    acquire({ signal } = {}) {
+      if (signal?.aborted) {
+        return Promise.reject(toCancellationError(signal.reason));
+      }
+      if (active < maxConcurrent) {
+        active++;
+        return Promise.resolve(createRelease());
+      }
+      if (queue.length >= maxQueue) {
+        return Promise.reject(reject('queueFull',
+          `Bulkhead "${name}" is full (${maxConcurrent} running, ${queue.length} queued)`));
+      }
+
+      return new Promise((resolve, fail) => {
+        let timer = null;
+        const leave = (error) => {
+          queue.splice(queue.indexOf(entry), 1);
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', onAbort);
+          fail(error);
+        };
+        const onAbort = () => leave(toCancellationError(signal.reason));
+        const entry = {
+          grant() {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            resolve(createRelease());
           }
-          return result;
-        }
-        
-        // If this was the last attempt, return the error result
-        if (attempt === maxRetries) {
-          result.retryInfo = {
-            attempts: attempt + 1,
-            successful: false,
-            maxRetries
-          };
-          return result;
+        };
+        if (Number.isFinite(queueTimeoutMs)) {
+          timer = setTimeout(() => leave(reject('queueTimeout',
+            `Bulkhead "${name}" had no free slot within ${queueTimeoutMs}ms`)), queueTimeoutMs);
         }
-        
-        lastError = result.error;
+        signal?.addEventListener('abort', onAbort, { once: true });
+        queue.push(entry);
+      });
+    },
+
+    /**
+     * Run a chain in a slot; rejections become error contexts.
+     *
+     * @param {Chain} target - Chain to run
+     * @param {Ctx} ctx - Context (its `signal` cancels the wait)
+     * @returns {Promise<Ctx>} Result context
+     */
+    async run(target, ctx) {
+      let release;
+      try {
+        release = await limiter.acquire({ signal: ctx.signal });
       } catch (error) {
-        lastError = error;
-        
-        // If this was the last attempt, throw
-        if (attempt === maxRetries) {
-          const errorResult = createErrorContext(error, ctx);
-          errorResult.retryInfo = {
-            attempts: attempt + 1,
-            successful: false,
-            maxRetries
-          };
-          return errorResult;
-        }
+        return createErrorContext(error, ctx);
       }
-      
-      // Wait before retry (except on last attempt)
-      if (attempt < maxRetries) {
-        await new Promise(resolve => setTimeout(resolve, delayMs));
+      try {
+        return await target(ctx);
+      } catch (error) {
+        return createErrorContext(error, ctx);
+      } finally {
+        release();
       }
+    },
+
+    /**
+     * Live metrics for health checks and dashboards.
+     *
+     * @returns {{name: string, maxConcurrent: number, maxQueue: number, active: number,
+     *           queued: number, completed: number, rejected: number,
+     *           rejections: {queueFull: number, queueTimeout: number}}} Current metrics
+     */
+    stats() {
+      return { name, maxConcurrent, maxQueue, active, queued: queue.length, ...counters, rejections: { ...rejections } };
     }
-    
-    // This shouldn't be reached, but just in case
-    return createErrorContext(lastError || new Error('Retry failed'), ctx);
   };
+
+  return limiter;
+}
+
+/**
+ * Limit how many executions of a chain run at once (see createBulkhead()).
+ *
+ * Takes limiter options, or a limiter from createBulkhead() to share one
+ * limit between several chains. Rejected executions return a context with a
+ * BulkheadFullError (`BULKHEAD_FULL`, HTTP 503). The returned chain has
+ * `stats()` for live metrics; create it once and share it across executions.
+ *
+ * @param {Chain} chain - Chain to limit
+ * @param {Object} [options={}] - Limiter options (name, maxConcurrent, maxQueue, queueTimeoutMs),
+ *                                or a shared limiter
+ * @returns {Chain} Limited chain
+ *
+ * @example
+ * const limitedPayment = bulkhead(paymentChain, { maxConcurrent: 5, maxQueue: 20, queueTimeoutMs: 2000 });
+ * modulink.http.post('/payments', limitedPayment);
+ */
+export function bulkhead(chain, options = {}) {
+  const limiter = typeof options.acquire === 'function' ? options : createBulkhead(options);
+  const limited = function(ctx) {
+    return limiter.run(chain, ctx);
+  };
+  limited.stats = limiter.stats;
+
+  const { maxConcurrent } = limiter.stats();
+  return annotate(limited, 'bulkhead', [{ label: 'slot', target: chain }], { label: `${maxConcurrent} concurrent` });
 }
 
 /**
@@ -208,141 +1014,772 @@ export function omit(keys) {
   };
 }
 
+const MERGE_STRATEGIES = ['shallow', 'deep', 'namespaced'];
+const CONFLICT_MODES = ['error', 'warn', 'lastWins'];
+const ERROR_MODES = ['failFast', 'collectAll'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
 /**
- * Parallel execution of multiple chains.
- * All chains receive the same input context.
- * 
- * @param {...Chain} chains - Chains to execute in parallel
- * @returns {Chain} Parallel execution chain
+ * Split the arguments of a branching combinator into named branches and
+ * options. Accepts `(...chains)`, `(chains[], options)` and
+ * `({ name: chain }, options)`; array branches are named by index.
  */
-export function parallel(...chains) {
-  return async function(ctx) {
+function toBranches(args) {
+  const [first, options = {}] = args;
+  if (Array.isArray(first)) {
+    return { branches: first.map((target, index) => ({ name: index, target })), named: false, options };
+  }
+  if (isPlainObject(first)) {
+    return { branches: Object.entries(first).map(([name, target]) => ({ name, target })), named: true, options };
+  }
+  return { branches: args.map((target, index) => ({ name: index, target })), named: false, options: {} };
+}
+
+function annotateBranches(fn, type, branches) {
+  return annotate(fn, type, branches.map(({ name, target }) => ({ label: `#${name}`, target })));
+}
+
+/**
+ * Give each branch its own AbortSignal that follows the caller's signal, so
+ * the combinator can cancel branches whose outcome is no longer needed
+ * without aborting the ones that already finished.
+ */
+function createBranchScope(ctx) {
+  const parentSignal = ctx.signal instanceof AbortSignal ? ctx.signal : null;
+  const running = new Set();
+  const forwardAbort = () => {
+    for (const controller of running) {
+      controller.abort(parentSignal.reason);
+    }
+  };
+  parentSignal?.addEventListener('abort', forwardAbort, { once: true });
+
+  return {
+    /**
+     * Run one branch with its own signal; throws become error contexts on
+     * the caller's context.
+     */
+    async run({ name, target }) {
+      const controller = new AbortController();
+      if (parentSignal?.aborted) {
+        controller.abort(parentSignal.reason);
+      }
+      running.add(controller);
+      try {
+        return { branch: name, result: await target({ ...ctx, signal: controller.signal }) };
+      } catch (error) {
+        return { branch: name, result: createErrorContext(error, ctx) };
+      } finally {
+        running.delete(controller);
+      }
+    },
+
+    cancel(message) {
+      for (const controller of running) {
+        controller.abort(new CancellationError(message));
+      }
+    },
+
+    dispose() {
+      parentSignal?.removeEventListener('abort', forwardAbort);
+    }
+  };
+}
+
+function branchError(outcome) {
+  return outcome.result && typeof outcome.result === 'object' ? outcome.result.error : undefined;
+}
+
+/**
+ * Fields of `result` that differ from `base`.
+ */
+function changedFields(base, result) {
+  const changes = {};
+  for (const [key, value] of Object.entries(result)) {
+    if (base[key] !== value) {
+      changes[key] = value;
+    }
+  }
+  return changes;
+}
+
+/**
+ * Write one branch's changes into `target`, recording which branch wrote
+ * each field and every field two branches wrote with different values.
+ */
+function mergeChanges(target, base, changes, branch, { deep, prefix, writers, conflicts }) {
+  for (const [key, value] of Object.entries(changes)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (deep && isPlainObject(value) && isPlainObject(target[key])) {
+      const nestedBase = isPlainObject(base[key]) ? base[key] : {};
+      target[key] = { ...target[key] };
+      mergeChanges(target[key], nestedBase, changedFields(nestedBase, value), branch, {
+        deep, prefix: path, writers, conflicts
+      });
+      continue;
+    }
+    if (writers.has(path) && !isDeepStrictEqual(target[key], value)) {
+      conflicts.push({ key: path, branches: [writers.get(path), branch] });
+    }
+    writers.set(path, branch);
+    target[key] = value;
+  }
+}
+
+/**
+ * Combine an internal field (`_meta`, `_metadata`) written by several
+ * branches: nested objects are merged and entries a branch appended to an
+ * array of the input context are kept next to the other branches' entries.
+ */
+function mergeInternal(current, base, value) {
+  if (isPlainObject(current) && isPlainObject(value)) {
+    const nestedBase = isPlainObject(base) ? base : {};
+    const merged = { ...current };
+    for (const [key, field] of Object.entries(value)) {
+      merged[key] = key in current ? mergeInternal(current[key], nestedBase[key], field) : field;
+    }
+    return merged;
+  }
+  if (Array.isArray(current) && Array.isArray(value)) {
+    const prefix = Array.isArray(base) && base.every((entry, index) => value[index] === entry) ? base.length : 0;
+    return [...current, ...value.slice(prefix)];
+  }
+  return value;
+}
+
+/**
+ * Merge the successful branch results into the input context. Internal
+ * `_`-prefixed fields never conflict; they are combined with mergeInternal().
+ */
+function mergeBranches(ctx, outcomes, { merge, onConflict, onWarn }) {
+  const successes = outcomes.filter(outcome => !branchError(outcome));
+  if (typeof merge === 'function') {
+    return merge(ctx, successes.map(({ branch, result }) => {
+      const { signal, error, ...changes } = result && typeof result === 'object' ? changedFields(ctx, result) : {};
+      return { branch, result, changes };
+    }));
+  }
+
+  const merged = { ...ctx };
+  const state = { deep: merge === 'deep', prefix: '', writers: new Map(), conflicts: [] };
+  for (const { branch, result } of successes) {
+    if (!result || typeof result !== 'object') {
+      continue;
+    }
+    const { signal, error, ...fields } = changedFields(ctx, result);
+    const changes = {};
+    for (const [key, value] of Object.entries(fields)) {
+      if (key.startsWith('_')) {
+        merged[key] = mergeInternal(merged[key], ctx[key], value);
+      } else {
+        changes[key] = value;
+      }
+    }
+    if (merge === 'namespaced') {
+      merged[branch] = changes;
+    } else {
+      mergeChanges(merged, ctx, changes, branch, state);
+    }
+  }
+
+  const { conflicts } = state;
+  if (conflicts.length === 0 || onConflict === 'lastWins') {
+    return merged;
+  }
+  const message = `Parallel branches wrote conflicting values to: ${[...new Set(conflicts.map(conflict => conflict.key))].join(', ')}`;
+  if (onConflict === 'warn') {
+    onWarn?.(message, conflicts);
+    return { ...merged, _meta: { ...merged._meta, parallel: { conflicts } } };
+  }
+  return createErrorContext(new MergeConflictError(message, { conflicts }), merged);
+}
+
+/**
+ * Run branches with the same input context and merge their results.
+ */
+function createParallelRunner(kind, args) {
+  const { branches, named, options } = toBranches(args);
+  const { merge = 'shallow', onConflict = 'lastWins', errorMode = 'failFast', onWarn } = options;
+  if (typeof merge !== 'function' && !MERGE_STRATEGIES.includes(merge)) {
+    throw new Error(`${kind} merge must be a function or one of: ${MERGE_STRATEGIES.join(', ')}`);
+  }
+  if (merge === 'namespaced' && !named) {
+    throw new Error(`${kind} merge 'namespaced' requires named branches: ${kind}({ name: chain }, options)`);
+  }
+  if (!CONFLICT_MODES.includes(onConflict)) {
+    throw new Error(`${kind} onConflict must be one of: ${CONFLICT_MODES.join(', ')}`);
+  }
+  if (!ERROR_MODES.includes(errorMode)) {
+    throw new Error(`${kind} errorMode must be one of: ${ERROR_MODES.join(', ')}`);
+  }
+
+  async function run(ctx) {
+    const scope = createBranchScope(ctx);
     try {
-      const results = await Promise.all(
-        chains.map(chain => chain(ctx))
-      );
-      
-      // Merge all results
-      let merged = { ...ctx };
-      for (const result of results) {
-        merged = { ...merged, ...result };
+      const settled = branches.map(branch => scope.run(branch));
+
+      if (errorMode === 'failFast') {
+        const firstFailure = new Promise(resolve => {
+          for (const outcome of settled) {
+            outcome.then(resolved => branchError(resolved) && resolve(resolved));
+          }
+        });
+        const outcome = await Promise.race([firstFailure, Promise.all(settled)]);
+        if (!Array.isArray(outcome)) {
+          scope.cancel(`Parallel branch cancelled after branch ${outcome.branch} failed`);
+          return createErrorContext(branchError(outcome), ctx);
+        }
+        return mergeBranches(ctx, outcome, { merge, onConflict, onWarn });
       }
-      
-      return merged;
+
+      const outcomes = await Promise.all(settled);
+      const merged = mergeBranches(ctx, outcomes, { merge, onConflict, onWarn });
+      const failures = outcomes
+        .filter(outcome => branchError(outcome))
+        .map(outcome => ({ branch: outcome.branch, error: branchError(outcome) }));
+      if (failures.length === 0) {
+        return merged;
+      }
+      return createErrorContext(new ParallelError(
+        `${failures.length} of ${branches.length} parallel branches failed: ${failures.map(failure => failure.error.message).join('; ')}`,
+        { failures }
+      ), merged);
     } catch (error) {
       return createErrorContext(error, ctx);
+    } finally {
+      scope.dispose();
     }
+  }
+
+  return { run, branches };
+}
+
+/**
+ * Parallel execution of multiple chains.
+ * All chains receive the same input context.
+ *
+ * Results are merged into the input context: 'shallow' (the default) copies
+ * the fields each branch changed, 'deep' merges nested plain objects and
+ * 'namespaced' places each named branch's changes under its name; a
+ * function `merge(ctx, outcomes)` receives `{ branch, result, changes }` per
+ * successful branch and returns the context. Branches writing different
+ * values to the same field conflict; `onConflict` decides whether that is an
+ * error, a warning or silently resolved by the last branch ('lastWins'). A
+ * warning records the conflicts in `ctx._meta.parallel.conflicts` and is
+ * passed to `onWarn`. Internal `_`-prefixed fields such as `_meta` never
+ * conflict: the entries every branch added to them are kept.
+ *
+ * With `errorMode: 'failFast'` (the default) the first failing branch ends
+ * the execution with its error and the other branches are cancelled through
+ * their `ctx.signal`; with 'collectAll' every branch finishes and failures
+ * are combined into a ParallelError.
+ *
+ * @param {...Chain|Array<Chain>|Object<string, Chain>} chains - Chains to execute in parallel, or an
+ *                                                               array or object of chains followed by options
+ * @param {Object} [options] - Merge options (array or object form only)
+ * @param {string|function} [options.merge='shallow'] - 'shallow', 'deep', 'namespaced' or a function
+ * @param {string} [options.onConflict='lastWins'] - 'error', 'warn' or 'lastWins'
+ * @param {function(string, Array<{key: string, branches: Array}>)} [options.onWarn] - Called with the
+ *                                                                  message and conflicts in 'warn' mode
+ * @param {string} [options.errorMode='failFast'] - 'failFast' or 'collectAll'
+ * @returns {Chain} Parallel execution chain
+ *
+ * @example
+ * const loadDashboard = parallel({ profile: loadProfile, orders: loadOrders }, { merge: 'namespaced' });
+ * const enrich = parallel([addGeo, addRisk], { merge: 'deep', onConflict: 'error', errorMode: 'collectAll' });
+ */
+export function parallel(...chains) {
+  const { run, branches } = createParallelRunner('parallel', chains);
+
+  const parallelChain = async function(ctx) {
+    return run(ctx);
   };
+
+  return annotateBranches(parallelChain, 'parallel', branches);
 }
 
 /**
- * Race execution - return the first chain to complete.
- * 
- * @param {...Chain} chains - Chains to race
+ * The winning branch's result as seen by the caller, carrying the caller's
+ * signal instead of the branch's own.
+ */
+function asCallerResult(result, ctx) {
+  if (!result || typeof result !== 'object') {
+    return result;
+  }
+  const { signal, ...rest } = result;
+  return ctx.signal !== undefined ? { ...rest, signal: ctx.signal } : rest;
+}
+
+function branchFailures(outcomes) {
+  return outcomes
+    .filter(outcome => outcome && branchError(outcome))
+    .map(outcome => ({ branch: outcome.branch, error: branchError(outcome) }));
+}
+
+/**
+ * Returned by a `decide` callback when the outcome is not decided yet, so any
+ * branch result - including a falsy one - can be the decision.
+ */
+const UNDECIDED = Symbol('modulink.undecided');
+
+/**
+ * Run branches until `decide(outcome, progress)` returns a result other than
+ * `UNDECIDED`, then cancel the branches still running. `progress` holds the
+ * outcomes so far (in branch order, unsettled slots empty) and the number of
+ * branches still running. `exhausted(outcomes)` builds the context when every
+ * branch settled without a decision.
+ */
+async function runUntilDecided(ctx, branches, { decide, exhausted, kind }) {
+  const scope = createBranchScope(ctx);
+  try {
+    const decided = await new Promise(resolve => {
+      const outcomes = new Array(branches.length);
+      let remaining = branches.length;
+      let settled = false;
+      const settle = (result) => {
+        settled = true;
+        resolve(result);
+      };
+      if (remaining === 0) {
+        settle(exhausted(outcomes));
+        return;
+      }
+      branches.forEach((branch, index) => {
+        scope.run(branch).then(outcome => {
+          outcomes[index] = outcome;
+          remaining--;
+          if (settled) {
+            return;
+          }
+          try {
+            const decision = decide(outcome, { outcomes, remaining });
+            if (decision !== UNDECIDED) {
+              settle(decision);
+            } else if (remaining === 0) {
+              settle(exhausted(outcomes));
+            }
+          } catch (error) {
+            settle(createErrorContext(error, ctx));
+          }
+        });
+      });
+    });
+    scope.cancel(`${kind} branch cancelled because the outcome was already decided`);
+    return decided;
+  } finally {
+    scope.dispose();
+  }
+}
+
+/**
+ * Race execution - return the first chain to complete, successful or not.
+ * The other chains are cancelled through their `ctx.signal`.
+ *
+ * @param {...Chain|Array<Chain>|Object<string, Chain>} chains - Chains to race
  * @returns {Chain} Racing chain
  */
 export function race(...chains) {
-  return async function(ctx) {
+  const { branches } = toBranches(chains);
+
+  const racing = async function(ctx) {
+    return runUntilDecided(ctx, branches, {
+      kind: 'race',
+      decide: (outcome) => asCallerResult(outcome.result, ctx),
+      exhausted: () => ctx
+    });
+  };
+
+  return annotateBranches(racing, 'race', branches);
+}
+
+/**
+ * First success - return the first chain that completes without
+ * `ctx.error` and cancel the others through their `ctx.signal`. When every
+ * chain fails the context gets a ParallelError listing each failure.
+ *
+ * @param {...Chain|Array<Chain>|Object<string, Chain>} chains - Chains to try concurrently
+ * @returns {Chain} Chain resolving with the first successful result
+ *
+ * @example
+ * const fetchPrice = any(primaryPricing, replicaPricing);
+ */
+export function any(...chains) {
+  const { branches } = toBranches(chains);
+
+  const firstSuccess = async function(ctx) {
+    return runUntilDecided(ctx, branches, {
+      kind: 'any',
+      decide: (outcome) => (branchError(outcome) ? UNDECIDED : asCallerResult(outcome.result, ctx)),
+      exhausted: (outcomes) => {
+        const failures = branchFailures(outcomes);
+        return createErrorContext(new ParallelError(
+          `All ${branches.length} branches failed: ${failures.map(failure => failure.error.message).join('; ')}`,
+          { failures }
+        ), ctx);
+      }
+    });
+  };
+
+  return annotateBranches(firstSuccess, 'any', branches);
+}
+
+/**
+ * Settle every chain - run all chains to completion and record each
+ * outcome, in branch order, in `ctx[collectInto]` as
+ * `{ branch, status: 'fulfilled', result }` or
+ * `{ branch, status: 'rejected', error }`. Never sets `ctx.error`.
+ *
+ * @param {...Chain|Array<Chain>|Object<string, Chain>} chains - Chains to execute, or an array or
+ *                                                               object of chains followed by options
+ * @param {Object} [options] - Options (array or object form only)
+ * @param {string} [options.collectInto='settled'] - Context key receiving the outcomes
+ * @returns {Chain} Chain collecting every outcome
+ *
+ * @example
+ * const notifyAll = allSettled({ email: sendEmail, sms: sendSMS, push: sendPush });
+ * const result = await notifyAll(ctx);
+ * const failed = result.settled.filter(outcome => outcome.status === 'rejected');
+ */
+export function allSettled(...chains) {
+  const { branches, options } = toBranches(chains);
+  const { collectInto = 'settled' } = options;
+
+  const settling = async function(ctx) {
+    const scope = createBranchScope(ctx);
     try {
-      return await Promise.race(
-        chains.map(chain => chain(ctx))
-      );
-    } catch (error) {
-      return createErrorContext(error, ctx);
+      const outcomes = await Promise.all(branches.map(branch => scope.run(branch)));
+      const settled = outcomes.map(outcome => {
+        const error = branchError(outcome);
+        return error
+          ? { branch: outcome.branch, status: 'rejected', error }
+          : { branch: outcome.branch, status: 'fulfilled', result: asCallerResult(outcome.result, ctx) };
+      });
+      return { ...ctx, [collectInto]: settled };
+    } finally {
+      scope.dispose();
     }
   };
+
+  return annotateBranches(settling, 'allSettled', branches);
 }
 
 /**
- * Debounce execution - only execute if enough time has passed.
- * 
- * @param {Chain} chain - Chain to debounce
- * @param {number} delayMs - Debounce delay in milliseconds
- * @returns {Chain} Debounced chain
+ * Fields two replicas must agree on: everything a branch changed except the
+ * signal, the error and internal (`_`-prefixed) fields.
  */
-export function debounce(chain, delayMs) {
-  let timeoutId = null;
-  let lastResult = null;
-  
-  return async function(ctx) {
-    return new Promise((resolve) => {
-      if (timeoutId) {
-        clearTimeout(timeoutId);
-      }
-      
-      timeoutId = setTimeout(async () => {
-        try {
-          lastResult = await chain(ctx);
-          resolve(lastResult);
-        } catch (error) {
-          resolve(createErrorContext(error, ctx));
+function defaultAgreement(result, ctx) {
+  const agreement = {};
+  for (const [key, value] of Object.entries(changedFields(ctx, result))) {
+    if (key !== 'signal' && key !== 'error' && !key.startsWith('_')) {
+      agreement[key] = value;
+    }
+  }
+  return agreement;
+}
+
+/**
+ * Quorum - run replicas concurrently and resolve once `n` of them succeed
+ * with agreeing results; the remaining replicas are cancelled through their
+ * `ctx.signal`. Results agree when `agreeOn(result, ctx)` is deeply equal
+ * (by default: the public fields each replica changed). The first result of
+ * the agreeing group is returned with `ctx._meta.quorum`. When a quorum can
+ * no longer be reached the context gets a QuorumError.
+ *
+ * @param {number} n - Number of agreeing replicas required
+ * @param {...Chain|Array<Chain>|Object<string, Chain>} chains - Replica chains, or an array or object
+ *                                                               of chains followed by options
+ * @param {Object} [options] - Options (array or object form only)
+ * @param {function(Ctx, Ctx): *} [options.agreeOn] - Value replicas must agree on
+ * @returns {Chain} Quorum chain
+ *
+ * @example
+ * const readBalance = quorum(2, [replicaA, replicaB, replicaC], { agreeOn: ctx => ctx.balance });
+ */
+export function quorum(n, ...chains) {
+  const { branches, options } = toBranches(chains);
+  const { agreeOn = defaultAgreement } = options;
+  if (!Number.isInteger(n) || n < 1 || n > branches.length) {
+    throw new Error('quorum requires n between 1 and the number of chains');
+  }
+
+  const voting = async function(ctx) {
+    const groups = [];
+    const largestGroup = () => Math.max(0, ...groups.map(group => group.outcomes.length));
+
+    return runUntilDecided(ctx, branches, {
+      kind: 'quorum',
+      decide: (outcome, { outcomes, remaining }) => {
+        if (!branchError(outcome)) {
+          const value = agreeOn(outcome.result, ctx);
+          let group = groups.find(candidate => isDeepStrictEqual(candidate.value, value));
+          if (!group) {
+            group = { value, outcomes: [] };
+            groups.push(group);
+          }
+          group.outcomes.push(outcome);
+          if (group.outcomes.length >= n) {
+            const winner = asCallerResult(group.outcomes[0].result, ctx);
+            return {
+              ...winner,
+              _meta: {
+                ...winner._meta,
+                quorum: { required: n, total: branches.length, agreeing: group.outcomes.map(agreed => agreed.branch) }
+              }
+            };
+          }
         }
-      }, delayMs);
+        if (largestGroup() + remaining < n) {
+          const failures = branchFailures(outcomes);
+          return createErrorContext(new QuorumError(
+            `Quorum of ${n} out of ${branches.length} not reached: ${largestGroup()} agreeing, ${failures.length} failed`,
+            { required: n, agreeing: largestGroup(), failures }
+          ), ctx);
+        }
+        return UNDECIDED;
+      },
+      exhausted: () => ctx
     });
   };
+
+  return annotateBranches(voting, 'quorum', branches);
 }
 
+const SUPERSEDED_MODES = ['share', 'skip'];
+
 /**
- * Throttle execution - limit execution rate.
- * 
- * @param {Chain} chain - Chain to throttle
- * @param {number} intervalMs - Minimum interval between executions
- * @returns {Chain} Throttled chain
+ * Read the shared options of debounce() and throttle().
  */
-export function throttle(chain, intervalMs) {
-  let lastExecution = 0;
-  let lastResult = null;
-  
-  return async function(ctx) {
-    const now = Date.now();
-    
-    if (now - lastExecution >= intervalMs) {
-      lastExecution = now;
-      try {
-        lastResult = await chain(ctx);
-      } catch (error) {
-        lastResult = createErrorContext(error, ctx);
+function rateControlOptions(kind, options, defaults) {
+  const {
+    key = () => 'global',
+    leading = defaults.leading,
+    trailing = defaults.trailing,
+    superseded = 'share'
+  } = options;
+  if (!leading && !trailing) {
+    throw new Error(`${kind} requires leading or trailing execution`);
+  }
+  if (!SUPERSEDED_MODES.includes(superseded)) {
+    throw new Error(`${kind} superseded must be one of: ${SUPERSEDED_MODES.join(', ')}`);
+  }
+  return { key, leading, trailing, superseded };
+}
+
+/**
+ * Run a chain, turning a throw into an error context.
+ */
+async function settle(chain, ctx) {
+  try {
+    return await chain(ctx);
+  } catch (error) {
+    return createErrorContext(error, ctx);
+  }
+}
+
+/**
+ * Outcome of a caller that did not get its own execution.
+ */
+function supersededContext(ctx) {
+  return { ...ctx, superseded: true };
+}
+
+/**
+ * Callers waiting for a trailing execution. Only the latest caller's context
+ * is executed; earlier callers either wait for its result ('share') or are
+ * resolved right away with a superseded context ('skip').
+ */
+function createTrailingQueue(superseded) {
+  let waiters = [];
+
+  return {
+    get size() {
+      return waiters.length;
+    },
+
+    add(ctx) {
+      if (superseded === 'skip') {
+        for (const waiter of waiters) {
+          waiter.resolve(supersededContext(waiter.ctx));
+        }
+        waiters = [];
+      }
+      return new Promise(resolve => waiters.push({ ctx, resolve }));
+    },
+
+    async flush(chain) {
+      const batch = waiters;
+      waiters = [];
+      if (batch.length === 0) {
+        return null;
+      }
+      const result = await settle(chain, batch[batch.length - 1].ctx);
+      for (const waiter of batch) {
+        waiter.resolve(result);
       }
+      return result;
     }
-    
-    return lastResult || ctx;
   };
 }
 
 /**
- * Cache results based on a key function.
- * 
- * @param {Chain} chain - Chain to cache
- * @param {function(Ctx): string} keyFn - Function to generate cache key
- * @param {number} [ttlMs=60000] - Time to live in milliseconds
- * @returns {Chain} Cached chain
+ * Debounce execution - run the chain once a caller key has been quiet for
+ * `delayMs`.
+ *
+ * Calls are grouped per key into bursts. With `trailing` (the default) the
+ * chain runs with the latest context when the burst ends, or after
+ * `maxWaitMs` of continuous calls; with `leading` the first call of a burst
+ * runs immediately. Every caller resolves: superseded callers share the
+ * result of the execution that replaced them (`superseded: 'share'`) or get
+ * their own context with `superseded: true` (`superseded: 'skip'`).
+ *
+ * Without `key`, every caller of the debounced chain shares one burst: calls
+ * for different users or requests supersede each other. Pass a `key` for
+ * per-user or per-resource debouncing.
+ *
+ * @param {Chain} chain - Chain to debounce
+ * @param {number} delayMs - Quiet period that ends a burst, in milliseconds
+ * @param {Object} [options={}] - Debounce options
+ * @param {function(Ctx): (string|null|Promise<string|null>)} [options.key] - Burst key; 'global'
+ *                                                                          (shared) by default, null or
+ *                                                                          undefined runs the chain directly
+ * @param {boolean} [options.leading=false] - Run the first call of a burst immediately
+ * @param {boolean} [options.trailing=true] - Run the latest call when the burst ends
+ * @param {number} [options.maxWaitMs=Infinity] - Longest a trailing call waits during a burst
+ * @param {string} [options.superseded='share'] - Outcome of superseded callers: 'share' or 'skip'
+ * @returns {Chain} Debounced chain
+ *
+ * @example
+ * const autosave = debounce(saveDraft, 2000, { key: ctx => ctx.user.id, maxWaitMs: 10000 });
  */
-export function cache(chain, keyFn, ttlMs = 60000) {
-  const cacheStore = new Map();
-  
-  return async function(ctx) {
-    const key = keyFn(ctx);
-    const now = Date.now();
-    
-    // Check if we have a valid cached result
-    if (cacheStore.has(key)) {
-      const { result, timestamp } = cacheStore.get(key);
-      if (now - timestamp < ttlMs) {
-        return { ...result, cached: true };
-      } else {
-        cacheStore.delete(key);
+export function debounce(chain, delayMs, options = {}) {
+  const { key, leading, trailing, superseded } = rateControlOptions('Debounce', options, {
+    leading: false,
+    trailing: true
+  });
+  const { maxWaitMs = Infinity } = options;
+  const bursts = new Map();
+
+  function flush(burst) {
+    clearTimeout(burst.maxTimer);
+    burst.maxTimer = null;
+    return burst.queue.flush(chain);
+  }
+
+  const debounced = async function(ctx) {
+    const id = await key(ctx);
+    if (id === null || id === undefined) {
+      return settle(chain, ctx);
+    }
+
+    let burst = bursts.get(id);
+    const startsBurst = !burst;
+    if (startsBurst) {
+      burst = { timer: null, maxTimer: null, queue: createTrailingQueue(superseded), leadingRun: null };
+      bursts.set(id, burst);
+    }
+    clearTimeout(burst.timer);
+    burst.timer = setTimeout(() => {
+      bursts.delete(id);
+      flush(burst);
+    }, delayMs);
+
+    if (startsBurst && leading) {
+      burst.leadingRun = settle(chain, ctx);
+      return burst.leadingRun;
+    }
+    if (!trailing) {
+      return superseded === 'share' ? burst.leadingRun : supersededContext(ctx);
+    }
+    if (burst.queue.size === 0 && Number.isFinite(maxWaitMs)) {
+      burst.maxTimer = setTimeout(() => flush(burst), maxWaitMs);
+    }
+    return burst.queue.add(ctx);
+  };
+
+  return annotate(debounced, 'debounce', [{ label: `${delayMs}ms`, target: chain }]);
+}
+
+/**
+ * Throttle execution - run the chain at most once per `intervalMs` for each
+ * caller key.
+ *
+ * With `leading` (the default) a call outside the interval runs immediately.
+ * Calls inside the interval share the latest execution's result, or with
+ * `trailing` wait for one execution with the latest context at the end of
+ * the interval. Superseded callers are resolved as in debounce().
+ *
+ * Without `key`, every caller of the throttled chain shares one interval:
+ * a call from one user is throttled by another user's call. Pass a `key` for
+ * per-user or per-resource throttling.
+ *
+ * @param {Chain} chain - Chain to throttle
+ * @param {number} intervalMs - Minimum interval between executions
+ * @param {Object} [options={}] - Throttle options
+ * @param {function(Ctx): (string|null|Promise<string|null>)} [options.key] - Caller key; 'global'
+ *                                                                          (shared) by default, null or
+ *                                                                          undefined runs the chain directly
+ * @param {boolean} [options.leading=true] - Run a call outside the interval immediately
+ * @param {boolean} [options.trailing=false] - Run the latest call inside the interval at its end
+ * @param {string} [options.superseded='share'] - Outcome of superseded callers: 'share' or 'skip'
+ * @returns {Chain} Throttled chain
+ *
+ * @example
+ * const coalescedWebhook = throttle(syncRepository, 5000, { key: ctx => ctx.body.repository.id, trailing: true });
+ */
+export function throttle(chain, intervalMs, options = {}) {
+  const { key, leading, trailing, superseded } = rateControlOptions('Throttle', options, {
+    leading: true,
+    trailing: false
+  });
+  const windows = new Map();
+
+  function execute(id, window, run) {
+    window.lastRunAt = Date.now();
+    window.lastRun = run();
+    // Forget the key once its interval has passed without a pending call
+    clearTimeout(window.idleTimer);
+    window.idleTimer = setTimeout(() => {
+      if (!window.timer) {
+        windows.delete(id);
       }
+    }, intervalMs);
+    window.idleTimer.unref?.();
+    return window.lastRun;
+  }
+
+  const throttled = async function(ctx) {
+    const id = await key(ctx);
+    if (id === null || id === undefined) {
+      return settle(chain, ctx);
     }
-    
-    // Execute chain and cache result
-    try {
-      const result = await chain(ctx);
-      cacheStore.set(key, { result, timestamp: now });
-      return result;
-    } catch (error) {
-      return createErrorContext(error, ctx);
+
+    let window = windows.get(id);
+    if (!window) {
+      window = { lastRunAt: -Infinity, lastRun: null, timer: null, idleTimer: null, queue: createTrailingQueue(superseded) };
+      windows.set(id, window);
+    }
+    const now = Date.now();
+    const elapsed = now - window.lastRunAt;
+
+    if (leading && elapsed >= intervalMs && !window.timer) {
+      return execute(id, window, () => settle(chain, ctx));
+    }
+    if (!trailing) {
+      return superseded === 'share' && window.lastRun ? window.lastRun : supersededContext(ctx);
+    }
+    if (!window.timer) {
+      window.timer = setTimeout(() => {
+        window.timer = null;
+        execute(id, window, () => window.queue.flush(chain));
+      }, elapsed < intervalMs ? intervalMs - elapsed : intervalMs);
     }
+    return window.queue.add(ctx);
   };
+
+  return annotate(throttled, 'throttle', [{ label: `${intervalMs}ms`, target: chain }]);
 }
 
 // Duplicate chain function removed - using core chain function from modulink.js
@@ -778,26 +2215,18 @@ export function logging(options = {}) {
 
 /**
  * Parallel execution middleware
- * @param {...Function} functions - Functions to execute in parallel
+ *
+ * Accepts the same branch and option forms as parallel(); results that are
+ * not objects are ignored.
+ *
+ * @param {...Function|Array<Function>|Object<string, Function>} functions - Functions to execute in parallel
+ * @param {Object} [options] - Merge options, see parallel()
  * @returns {Function} Middleware function
  */
 export function parallelMiddleware(...functions) {
+  const { run } = createParallelRunner('parallelMiddleware', functions);
+
   return async function(ctx) {
-    try {
-      const promises = functions.map(fn => Promise.resolve(fn(ctx)));
-      const results = await Promise.all(promises);
-      
-      // Merge all results into the context
-      let mergedContext = { ...ctx };
-      for (const result of results) {
-        if (result && typeof result === 'object') {
-          mergedContext = { ...mergedContext, ...result };
-        }
-      }
-      
-      return mergedContext;
-    } catch (error) {
-      return createErrorContext(error, ctx);
-    }
+    return run(ctx);
   };
 }